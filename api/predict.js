@@ -1,5 +1,10 @@
 // Copy the backend server logic for Vercel API endpoint
 const BASELINE_DATA = {
+  // Baseline keys join one value per dimension with '_' in this order, e.g. commercial_ios
+  dimensions: {
+    segment: ['commercial', 'consumer'],
+    platform: ['ios', 'android']
+  },
   currentDAU: {
     commercial_ios: 3550000,
     commercial_android: 2780000,
@@ -12,36 +17,96 @@ const BASELINE_DATA = {
     consumer_ios: 21000,      
     consumer_android: 74000   
   },
+  // { day, retention } percentage checkpoints per user type; any set of days is accepted
+  // Optional cells: { commercial_ios: { new, existing } } replace either curve for one baseline cell
   retentionCurves: {
-    existing: {
-      d1: 58,
-      d7: 51.8,
-      d14: 50,
-      d28: 48,
-      d360: 30,
-      d720: 20
-    },
-    new: {
-      d1: 22.0,  
-      d7: 14.0,  
-      d14: 11.5, 
-      d28: 9.5,  
-      d360: 4.0, 
-      d720: 2.0  
-    }
+    existing: [
+      { day: 1, retention: 58 },
+      { day: 7, retention: 51.8 },
+      { day: 14, retention: 50 },
+      { day: 28, retention: 48 },
+      { day: 360, retention: 30 },
+      { day: 720, retention: 20 }
+    ],
+    new: [
+      { day: 1, retention: 22.0 },
+      { day: 7, retention: 14.0 },
+      { day: 14, retention: 11.5 },
+      { day: 28, retention: 9.5 },
+      { day: 360, retention: 4.0 },
+      { day: 720, retention: 2.0 }
+    ]
   }
 };
 
+// Retention checkpoints: normalize retention data to { day, retention } percentages sorted by day.
+// Accepts a list of { day, retention } or the legacy { d1, d7, ... } object with any d<day> keys.
+function normalizeRetentionCheckpoints(retentionData) {
+  const checkpoints = Array.isArray(retentionData)
+    ? retentionData.map(({ day, retention }) => ({ day, retention }))
+    : Object.entries(retentionData || {})
+      .filter(([key]) => /^d\d+$/.test(key))
+      .map(([key, retention]) => ({ day: Number(key.slice(1)), retention }));
+  
+  checkpoints.forEach(({ day, retention }) => {
+    if (!Number.isInteger(day) || day < 1) {
+      throw new Error(`Retention checkpoint day must be a positive integer: ${day}`);
+    }
+    if (typeof retention !== 'number' || !Number.isFinite(retention) || retention < 0 || retention > 100) {
+      throw new Error(`Retention at day ${day} must be a percentage between 0 and 100`);
+    }
+  });
+  checkpoints.sort((a, b) => a.day - b.day);
+  checkpoints.forEach((checkpoint, index) => {
+    if (index > 0 && checkpoint.day === checkpoints[index - 1].day) {
+      throw new Error(`Duplicate retention checkpoint for day ${checkpoint.day}`);
+    }
+  });
+  if (checkpoints.length < 2) {
+    throw new Error('At least two retention checkpoints are required');
+  }
+  
+  return checkpoints;
+}
+
+// Convert retention data to [day, retention fraction] points
+function toRetentionPoints(retentionData) {
+  return normalizeRetentionCheckpoints(retentionData).map(({ day, retention }) => [day, retention / 100]);
+}
+
+// Retention gains in percentage points keyed by day. Reads retention.gains as a list of
+// { day, gain } plus legacy d<day>Gain fields; list entries win when both give the same day.
+function getRetentionGains(retention) {
+  const gains = new Map();
+  Object.entries(retention).forEach(([key, value]) => {
+    const match = /^d(\d+)Gain$/.exec(key);
+    if (match && value) gains.set(Number(match[1]), value);
+  });
+  (retention.gains || []).forEach(({ day, gain }) => {
+    if (gain) gains.set(day, gain);
+  });
+  return gains;
+}
+
+// Apply gains to baseline checkpoints, kept between 0% and 100%. A gain on a day the baseline does not
+// measure is added on top of the fitted baseline curve at that day.
+function applyRetentionGains(retentionData, baseCurve, gains) {
+  const checkpoints = normalizeRetentionCheckpoints(retentionData);
+  const measuredDays = new Set(checkpoints.map(({ day }) => day));
+  gains.forEach((gain, day) => {
+    if (!measuredDays.has(day)) {
+      checkpoints.push({ day, retention: getRetentionAtDay(baseCurve, day) * 100 });
+    }
+  });
+  
+  return checkpoints
+    .map(({ day, retention }) => ({ day, retention: Math.min(100, Math.max(0, retention + (gains.get(day) || 0))) }))
+    .sort((a, b) => a.day - b.day);
+}
+
 // Power curve function: retention(t) = a * t^(-b)
 function fitPowerCurve(retentionData) {
-  const points = [
-    [1, retentionData.d1 / 100],
-    [7, retentionData.d7 / 100],
-    [14, retentionData.d14 / 100],
-    [28, retentionData.d28 / 100],
-    [360, retentionData.d360 / 100],
-    [720, retentionData.d720 / 100]
-  ];
+  const points = toRetentionPoints(retentionData);
   
   // Simple power curve fitting using least squares on log-transformed data
   const logPoints = points.map(([t, r]) => [Math.log(t), Math.log(Math.max(r, 0.001))]);
@@ -77,14 +142,7 @@ function fitPowerCurve(retentionData) {
 
 // Exponential decay function: retention(t) = c + a * e^(-λt)
 function fitExponentialDecay(retentionData) {
-  const points = [
-    [1, retentionData.d1 / 100],
-    [7, retentionData.d7 / 100],
-    [14, retentionData.d14 / 100],
-    [28, retentionData.d28 / 100],
-    [360, retentionData.d360 / 100],
-    [720, retentionData.d720 / 100]
-  ];
+  const points = toRetentionPoints(retentionData);
   
   // Estimate asymptote (c) as the minimum retention value
   const minRetention = Math.min(...points.map(([, r]) => r));
@@ -122,263 +180,2803 @@ function fitExponentialDecay(retentionData) {
   return { a, lambda, c, rSquared, type: 'exponential' };
 }
 
-function getRetentionAtDay(params, day) {
-  if (day === 0) {
-    return 1.0; // 100% retention on signup day
+// Natural log of the gamma function (Lanczos approximation, g = 7)
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
   }
-  
-  if (params.type === 'exponential') {
-    return Math.min(1, Math.max(0, params.c + params.a * Math.exp(-params.lambda * day)));
-  } else {
-    return Math.min(1, params.a * Math.pow(day, -params.b));
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) {
+    sum += coefficients[i] / (z + i);
   }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
 }
 
-// Calculate cumulative retention for existing users using new decay model
-function getExistingUserRetention(days) {
-  const a = 0.0217;
-  const b = 0.0131;
-  
-  return 1 - a * Math.exp(-b * days);
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
 }
 
-// Calculate DAU impact with sophisticated modeling
-function calculateDAUimpact(params) {
-  const { 
-    initiativeType, 
-    acquisition, 
-    retention, 
-    baselineDecay = 0.00959, // 25% monthly churn: 1-(0.75)^(1/30)
-    segments = { commercial: true, consumer: true },
-    platforms = { ios: true, android: true },
-    exposureRate = 100,
-    customBaseline = null
-  } = params;
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// Solve the small dense system A·x = b by Gaussian elimination with partial pivoting
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
   
-  // Use custom baseline data if provided, otherwise use default
-  const baselineData = customBaseline || BASELINE_DATA;
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    if (Math.abs(rows[col][col]) < 1e-300) return null;
+    
+    for (let row = col + 1; row < size; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= size; k++) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
   
-  // Calculate targeted DAU and acquisitions based on segments/platforms
-  let totalCurrentDAU = 0;
-  let dailyAcquisitions = 0;
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k++) {
+      sum -= rows[row][k] * solution[k];
+    }
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0);
+
+// Levenberg-Marquardt: minimizes the sum of squares of residualFn(params) using a forward-difference Jacobian
+function levenbergMarquardt(residualFn, start, { maxIterations = 200, tolerance = 1e-12 } = {}) {
+  let params = start.slice();
+  let residuals = residualFn(params);
+  let cost = sumOfSquares(residuals);
+  let damping = 1e-3;
   
-  Object.entries(baselineData.currentDAU).forEach(([key, value]) => {
-    const [segment, platform] = key.split('_');
-    if (segments[segment] && platforms[platform]) {
-      totalCurrentDAU += value;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const jacobian = residuals.map(() => []);
+    params.forEach((value, j) => {
+      const step = 1e-6 * Math.max(1, Math.abs(value));
+      const shifted = params.slice();
+      shifted[j] += step;
+      residualFn(shifted).forEach((r, i) => {
+        jacobian[i][j] = (r - residuals[i]) / step;
+      });
+    });
+    
+    // Normal equations: (JᵀJ + damping·diag(JᵀJ))·δ = -Jᵀr
+    const jtj = params.map((_, a) => params.map((__, b) => jacobian.reduce((sum, row) => sum + row[a] * row[b], 0)));
+    const jtr = params.map((_, a) => jacobian.reduce((sum, row, i) => sum + row[a] * residuals[i], 0));
+    
+    let accepted = false;
+    while (damping < 1e12) {
+      const damped = jtj.map((row, a) => row.map((value, b) => a === b ? value + damping * Math.max(value, 1e-12) : value));
+      const delta = solveLinearSystem(damped, jtr.map(value => -value));
+      if (delta) {
+        const candidate = params.map((value, j) => value + delta[j]);
+        const candidateResiduals = residualFn(candidate);
+        const candidateCost = sumOfSquares(candidateResiduals);
+        
+        if (Number.isFinite(candidateCost) && candidateCost < cost) {
+          const improvement = cost - candidateCost;
+          params = candidate;
+          residuals = candidateResiduals;
+          cost = candidateCost;
+          damping = Math.max(damping / 10, 1e-12);
+          accepted = improvement > tolerance * (1 + cost);
+          break;
+        }
+      }
+      damping *= 10;
     }
+    
+    if (!accepted) break;
+  }
+  
+  return { params, cost, residuals };
+}
+
+// Weight of the checkpoint at `day`: weights may be { d7: 2, ... } or [{ day, weight }]; default 1
+function getCheckpointWeight(weights, day) {
+  if (!weights) return 1;
+  if (Array.isArray(weights)) {
+    const match = weights.find(entry => entry.day === day);
+    return match ? match.weight : 1;
+  }
+  return weights[`d${day}`] ?? 1;
+}
+
+// Weights must be finite and non-negative, and at least one checkpoint must carry weight
+function validateCheckpointWeights(weights, points) {
+  if (!weights) return;
+  const given = Array.isArray(weights) ? weights.map(entry => entry?.weight) : Object.values(weights);
+  if (given.some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+    throw new Error('fitting.weights must be finite non-negative numbers');
+  }
+  if (!points.some(([day]) => getCheckpointWeight(weights, day) > 0)) {
+    throw new Error('fitting.weights must give at least one retention checkpoint a positive weight');
+  }
+}
+
+// Retention curve families for non-linear least squares. Parameters are optimized
+// on a log scale where they must stay positive; `starts` lists the initial guesses to try.
+const CURVE_FAMILIES = {
+  // retention(t) = a * t^(-b)
+  power: {
+    parameterCount: 2,
+    starts: (points) => {
+      const { a, b } = fitPowerCurve(points.map(([day, r]) => ({ day, retention: r * 100 })));
+      return [[Math.log(a), b], [Math.log(points[0][1]), 0.5]];
+    },
+    toParams: ([logA, b]) => ({ a: Math.exp(logA), b })
+  },
+  // retention(t) = c + a * e^(-λt), with the floor c estimated freely
+  exponential: {
+    parameterCount: 3,
+    starts: (points) => {
+      const { a, lambda, c } = fitExponentialDecay(points.map(([day, r]) => ({ day, retention: r * 100 })));
+      return [[Math.log(Math.max(a, 1e-6)), Math.log(Math.max(lambda, 1e-6)), Math.log(Math.max(c, 1e-4))]];
+    },
+    toParams: ([logA, logLambda, logC]) => ({ a: Math.exp(logA), lambda: Math.exp(logLambda), c: Math.exp(logC) })
+  },
+  // retention(t) = a * exp(-(t/λ)^k)
+  weibull: {
+    parameterCount: 3,
+    starts: (points) => [[Math.log(Math.min(1, points[0][1] * 1.2)), Math.log(30), Math.log(0.5)]],
+    toParams: ([logA, logScale, logShape]) => ({ a: Math.exp(logA), scale: Math.exp(logScale), shape: Math.exp(logShape) })
+  },
+  // retention(t) = a * (1 - Φ((ln t - μ) / σ))
+  lognormal: {
+    parameterCount: 3,
+    starts: (points) => [[Math.log(Math.min(1, points[0][1] * 1.5)), Math.log(30), Math.log(2)]],
+    toParams: ([logA, mu, logSigma]) => ({ a: Math.exp(logA), mu, sigma: Math.exp(logSigma) })
+  },
+  // Shifted-beta-geometric survival: retention(t) = B(α, β + t) / B(α, β)
+  sbg: {
+    parameterCount: 2,
+    starts: () => [[0, 0]],
+    toParams: ([logAlpha, logBeta]) => ({ alpha: Math.exp(logAlpha), beta: Math.exp(logBeta) })
+  },
+  // retention(t) = c + a * t^(-b)
+  powerFloor: {
+    parameterCount: 3,
+    starts: (points) => {
+      const { a, b } = fitPowerCurve(points.map(([day, r]) => ({ day, retention: r * 100 })));
+      const floor = Math.log(Math.max(Math.min(...points.map(([, r]) => r)) * 0.5, 0.0001));
+      return [
+        [Math.log(a), Math.log(Math.max(b, 0.01)), floor],
+        [Math.log(points[0][1]), Math.log(0.5), floor]
+      ];
+    },
+    toParams: ([logA, logB, logC]) => ({ a: Math.exp(logA), b: Math.exp(logB), c: Math.exp(logC) })
+  }
+};
+
+// All families available for automatic selection
+const CURVE_FAMILY_NAMES = Object.keys(CURVE_FAMILIES);
+
+function sumSquaredError(params, points, weights) {
+  return points.reduce((sum, [t, r]) => sum + getCheckpointWeight(weights, t) * (r - getRetentionAtDay(params, t)) ** 2, 0);
+}
+
+// R² of a fitted curve in retention (linear) space
+function linearRSquared(params, points) {
+  const mean = points.reduce((sum, [, r]) => sum + r, 0) / points.length;
+  const ssTotal = points.reduce((sum, [, r]) => sum + (r - mean) ** 2, 0);
+  if (ssTotal === 0) return 1;
+  return Math.max(0, 1 - sumSquaredError(params, points) / ssTotal);
+}
+
+// Fitted value and residual per checkpoint, in percentage points
+function getFitResiduals(params, points) {
+  return points.map(([day, r]) => {
+    const fitted = getRetentionAtDay(params, day) * 100;
+    return { day, actual: r * 100, fitted, residual: r * 100 - fitted };
   });
+}
+
+// Non-linear least squares fit in percentage-point space with optional per-checkpoint weights
+function fitCurveNLS(family, retentionData, weights) {
+  const definition = CURVE_FAMILIES[family];
+  const points = toRetentionPoints(retentionData);
+  const residualFn = (vector) => {
+    const params = { ...definition.toParams(vector), type: family };
+    return points.map(([day, r]) => {
+      const residual = Math.sqrt(getCheckpointWeight(weights, day)) * (r - getRetentionAtDay(params, day)) * 100;
+      return Number.isFinite(residual) ? residual : 1e6;
+    });
+  };
+  const { params: vector } = definition.starts(points)
+    .map(start => levenbergMarquardt(residualFn, start))
+    .reduce((best, fit) => fit.cost < best.cost ? fit : best);
+  const params = { ...definition.toParams(vector), type: family };
+  
+  return {
+    ...params,
+    rSquared: linearRSquared(params, points),
+    method: 'nls',
+    residuals: getFitResiduals(params, points)
+  };
+}
+
+// Fit any supported curve family to retention data. Power and exponential curves use the
+// closed-form log-linear fits unless fitting.method is 'nls'; other families always use NLS.
+function fitRetentionCurve(family, retentionData, fitting = {}) {
+  if (!CURVE_FAMILIES[family]) {
+    throw new Error(`Unsupported curve family: ${family}`);
+  }
+  validateCheckpointWeights(fitting.weights, toRetentionPoints(retentionData));
+  if (fitting.method !== 'nls') {
+    if (family === 'power') return fitPowerCurve(retentionData);
+    if (family === 'exponential') return fitExponentialDecay(retentionData);
+  }
+  return fitCurveNLS(family, retentionData, fitting.weights);
+}
+
+// Fit a baseline curve for one user type according to the curve selection mode:
+// 'default' keeps the standard family, 'fixed' uses the family named for the user type,
+// and 'aic' / 'bic' / 'holdout' pick the best of the candidate families
+function fitBaselineCurve(retentionData, defaultFamily, curveSelection, userType, fitting) {
+  const { mode = 'default', families = CURVE_FAMILY_NAMES } = curveSelection;
   
-  Object.entries(baselineData.weeklyAcquisitions).forEach(([key, value]) => {
-    const [segment, platform] = key.split('_');
-    if (segments[segment] && platforms[platform]) {
-      dailyAcquisitions += value / 7;
+  switch (mode) {
+    case 'default':
+      return fitRetentionCurve(defaultFamily, retentionData, fitting);
+    case 'fixed':
+      return fitRetentionCurve(curveSelection[userType] || defaultFamily, retentionData, fitting);
+    case 'aic':
+    case 'bic':
+    case 'holdout': {
+      // Too few checkpoints to compare any family: keep the standard one
+      const pointCount = toRetentionPoints(retentionData).length;
+      if (selectableFamilies(families, pointCount, mode).length === 0) {
+        return fitRetentionCurve(defaultFamily, retentionData, fitting);
+      }
+      return selectRetentionCurve(retentionData, mode, families, fitting);
+    }
+    default:
+      throw new Error(`Unsupported curve selection mode: ${mode}`);
+  }
+}
+
+// Leave-one-out RMSE: refit without each checkpoint and predict it
+function holdoutError(family, points, fitting) {
+  let squaredError = 0;
+  for (let i = 0; i < points.length; i++) {
+    const training = points.filter((_, index) => index !== i).map(([day, r]) => ({ day, retention: r * 100 }));
+    const params = fitRetentionCurve(family, training, fitting);
+    squaredError += (points[i][1] - getRetentionAtDay(params, points[i][0])) ** 2;
+  }
+  return Math.sqrt(squaredError / points.length);
+}
+
+// Families with fewer parameters than checkpoints; one that fits every point exactly would always
+// win on AIC/BIC. Holdout fits leave one checkpoint out, so they need one more.
+function selectableFamilies(families, pointCount, criterion) {
+  const available = criterion === 'holdout' ? pointCount - 1 : pointCount;
+  families.forEach(family => {
+    if (!CURVE_FAMILIES[family]) {
+      throw new Error(`Unsupported curve family: ${family}`);
     }
   });
+  return families.filter(family => CURVE_FAMILIES[family].parameterCount < available);
+}
+
+// Fit every candidate family and pick the best by AIC, BIC or held-out error
+function selectRetentionCurve(retentionData, criterion = 'aic', families = CURVE_FAMILY_NAMES, fitting = {}) {
+  const points = toRetentionPoints(retentionData);
+  const n = points.length;
+  const eligible = selectableFamilies(families, n, criterion);
+  if (eligible.length === 0) {
+    throw new Error(`Too few retention checkpoints (${n}) to compare curve families by ${criterion}`);
+  }
   
-  // Pre-calculate retention curves
-  const baseNewUserCurve = fitPowerCurve(baselineData.retentionCurves.new);
-  const baseExistingUserCurve = fitExponentialDecay(baselineData.retentionCurves.existing);
+  const candidates = eligible.map(family => {
+    const params = fitRetentionCurve(family, retentionData, fitting);
+    const k = CURVE_FAMILIES[family].parameterCount;
+    // Floor the error so a perfect fit does not produce -Infinity
+    const sse = Math.max(sumSquaredError(params, points, fitting.weights), 1e-12);
+    return {
+      type: family,
+      params,
+      sse,
+      aic: n * Math.log(sse / n) + 2 * k,
+      bic: n * Math.log(sse / n) + k * Math.log(n),
+      holdoutRmse: criterion === 'holdout' ? holdoutError(family, points, fitting) : undefined
+    };
+  });
   
-  // Calculate improved retention curves if retention experiment is active
-  let improvedNewUserCurve = baseNewUserCurve;
-  let improvedExistingUserCurve = baseExistingUserCurve;
+  const score = (candidate) => criterion === 'holdout' ? candidate.holdoutRmse : candidate[criterion];
+  const best = candidates.reduce((winner, candidate) => score(candidate) < score(winner) ? candidate : winner);
   
-  if (initiativeType === 'retention' || initiativeType === 'combined') {
-    if (retention.targetUsers === 'new' || retention.targetUsers === 'all') {
-      const improvedNewRetention = {
-        d1: Math.min(100, baselineData.retentionCurves.new.d1 + (retention.d1Gain || 0)),
-        d7: Math.min(100, baselineData.retentionCurves.new.d7 + (retention.d7Gain || 0)),
-        d14: Math.min(100, baselineData.retentionCurves.new.d14 + (retention.d14Gain || 0)),
-        d28: Math.min(100, baselineData.retentionCurves.new.d28 + (retention.d28Gain || 0)),
-        d360: Math.min(100, baselineData.retentionCurves.new.d360 + (retention.d360Gain || 0)),
-        d720: Math.min(100, baselineData.retentionCurves.new.d720 + (retention.d720Gain || 0))
-      };
-      improvedNewUserCurve = fitPowerCurve(improvedNewRetention);
-    }
-    
-    if (retention.targetUsers === 'existing' || retention.targetUsers === 'all') {
-      const improvedExistingRetention = {
-        d1: Math.min(100, baselineData.retentionCurves.existing.d1 + (retention.d1Gain || 0)),
-        d7: Math.min(100, baselineData.retentionCurves.existing.d7 + (retention.d7Gain || 0)),
-        d14: Math.min(100, baselineData.retentionCurves.existing.d14 + (retention.d14Gain || 0)),
-        d28: Math.min(100, baselineData.retentionCurves.existing.d28 + (retention.d28Gain || 0)),
-        d360: Math.min(100, baselineData.retentionCurves.existing.d360 + (retention.d360Gain || 0)),
-        d720: Math.min(100, baselineData.retentionCurves.existing.d720 + (retention.d720Gain || 0))
-      };
-      improvedExistingUserCurve = fitExponentialDecay(improvedExistingRetention);
+  return {
+    ...best.params,
+    selection: {
+      criterion,
+      candidates: candidates.map(({ type, params, aic, bic, holdoutRmse }) => ({
+        type,
+        rSquared: params.rSquared,
+        aic,
+        bic,
+        holdoutRmse
+      }))
     }
+  };
+}
+
+function getRetentionAtDay(params, day) {
+  // Handle D0 case (day 0 = 100% retention for new users)
+  if (day === 0) {
+    return 1.0; // 100% retention on signup day
   }
   
-  const results = {
-    baseline: [],
-    withInitiative: [],
-    incrementalDAU: [],
-    summary: {
-      totalImpact: 0,
-      peakImpact: 0,
-      peakMonth: 0,
-      peakLiftPercent: 0,
-      breakdown: {
-        existingUsers: 0,
-        newUsers: 0,
-        newAcquisition: 0
-      }
-    },
-    retentionCurves: {
-      baseNewUser: baseNewUserCurve,
-      improvedNewUser: improvedNewUserCurve,
-      baseExistingUser: baseExistingUserCurve,
-      improvedExistingUser: improvedExistingUserCurve
+  switch (params.type) {
+    case 'exponential':
+      return Math.min(1, Math.max(0, params.c + params.a * Math.exp(-params.lambda * day)));
+    case 'weibull':
+      return Math.min(1, params.a * Math.exp(-Math.pow(day / params.scale, params.shape)));
+    case 'lognormal':
+      return Math.min(1, params.a * (1 - normalCDF((Math.log(day) - params.mu) / params.sigma)));
+    case 'sbg':
+      return Math.min(1, Math.exp(logBeta(params.alpha, params.beta + day) - logBeta(params.alpha, params.beta)));
+    case 'powerFloor':
+      return Math.min(1, params.c + params.a * Math.pow(day, -params.b));
+    default:
+      return Math.min(1, params.a * Math.pow(day, -params.b));
+  }
+}
+
+// Existing-user baseline decay: today's existing DAU keeps R(t) = e^(-dailyDecay × t) of its users.
+// 'fitted' derives dailyDecay from the existing-user checkpoints relative to the first one, since
+// the existing base is past its early drop-off; 'churn' converts a monthly churn %. A bare number
+// is the legacy daily decay rate.
+function resolveExistingUserDecay(baselineDecay, retentionData) {
+  let method;
+  let dailyDecay;
+  
+  if (typeof baselineDecay === 'number') {
+    if (!(baselineDecay >= 0 && baselineDecay < 1)) {
+      throw new Error('baselineDecay must be a daily decay rate between 0 and 1');
+    }
+    method = 'churn';
+    dailyDecay = -Math.log(1 - baselineDecay);
+  } else if (baselineDecay.method === 'churn') {
+    const { monthlyChurn } = baselineDecay;
+    if (!(typeof monthlyChurn === 'number' && monthlyChurn >= 0 && monthlyChurn < 100)) {
+      throw new Error('baselineDecay.monthlyChurn must be a percentage from 0 up to 100');
     }
+    method = 'churn';
+    dailyDecay = -Math.log(1 - monthlyChurn / 100) / DAYS_PER_MONTH;
+  } else if (baselineDecay.method === 'fitted') {
+    // Least squares through the origin: ln(r(t0 + t) / r(t0)) = -dailyDecay × t
+    const [[firstDay, firstRetention], ...later] = toRetentionPoints(retentionData);
+    let sumTLogY = 0;
+    let sumT2 = 0;
+    later.filter(([, r]) => r > 0).forEach(([day, r]) => {
+      const t = day - firstDay;
+      sumTLogY += t * Math.log(r / firstRetention);
+      sumT2 += t * t;
+    });
+    method = 'fitted';
+    dailyDecay = sumT2 > 0 ? Math.max(0, -sumTLogY / sumT2) : 0;
+  } else {
+    throw new Error(`Unsupported baselineDecay method: ${baselineDecay.method}`);
+  }
+  
+  return {
+    method,
+    dailyDecay,
+    monthlyChurn: Math.round((1 - Math.exp(-dailyDecay * DAYS_PER_MONTH)) * 10000) / 100,
+    formula: `e^(-${dailyDecay.toPrecision(4)}×t)`
   };
+}
+
+// Share of today's existing DAU still active `days` days from now
+function getExistingUserRetention(decay, days) {
+  return Math.exp(-decay.dailyDecay * days);
+}
+
+// Number of days in one forecast month
+const DAYS_PER_MONTH = 30;
+
+// Longest supported forecast horizon (5 years)
+const MAX_HORIZON_MONTHS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day-of-week multiplier keys, indexed by Date#getUTCDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// DAU multiplier for imported ICS events that do not set X-DAU-MULTIPLIER
+const DEFAULT_EVENT_MULTIPLIER = 0.85;
+
+// Parse a 'YYYY-MM-DD' date to a UTC timestamp
+function parseCalendarDate(value, field) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  const time = match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+  if (!match || new Date(time).getUTCDate() !== Number(match[3])) {
+    throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+  }
+  return time;
+}
+
+function formatCalendarDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Extract events from an iCalendar (ICS) file as { date, endDate, name, multiplier }. An all-day
+// DTEND is exclusive in ICS, while a timed event ends on the date of its DTEND; an event never
+// ends before it starts. An X-DAU-MULTIPLIER property overrides the default multiplier.
+function parseIcsEvents(ics, defaultMultiplier = DEFAULT_EVENT_MULTIPLIER) {
+  const toDate = (value) => `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  // Unfold continuation lines before splitting into properties
+  const lines = ics.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
   
-  // Calculate monthly snapshots at day 15 of each month (months 1-12)
-  for (let month = 1; month <= 12; month++) {
-    // Calculate day: Day 15 of month = (month - 1) * 30 + 15
-    const day = (month - 1) * 30 + 15;
-    
-    // === BASELINE DAU ===
-    // A. Existing User Baseline: Daily retention model: 1 - a*exp(-b*t)
-    // Parameters: a=0.0217, b=0.0131, t=days
-    const existingUserBaselineDAU = totalCurrentDAU * getExistingUserRetention(day);
-    
-    // B. New User Baseline: Σ[c=0 to t] Daily Acquisition × Retention(t - c)
-    let newUserBaselineDAU = 0;
-    for (let cohortDay = 0; cohortDay < day; cohortDay++) {
-      const cohortAge = day - cohortDay;
-      const retention = getRetentionAtDay(baseNewUserCurve, cohortAge);
-      newUserBaselineDAU += dailyAcquisitions * retention;
-    }
-    
-    const baselineDAU = existingUserBaselineDAU + newUserBaselineDAU;
-    
-    // === INCREMENTAL DAU ===
-    let existingUserIncrementalDAU = 0;
-    let newUserIncrementalDAU = 0;
-    let newAcquisitionDAU = 0;
-    
-    // Retention experiment impact
-    if (initiativeType === 'retention' || initiativeType === 'combined') {
-      const launchDay = retention.monthsToStart * 30;
-      
-      // Check if feature is live
-      if (day >= launchDay) {
-        const daysSinceLaunch = day - launchDay;
-        
-        // A. Existing User Incremental DAU
-        if (retention.targetUsers === 'existing' || retention.targetUsers === 'all') {
-          const launchCohortSize = totalCurrentDAU * getExistingUserRetention(launchDay) * (exposureRate / 100);
-          
-          if (daysSinceLaunch >= 1) {
-            const baseRetention = getRetentionAtDay(baseExistingUserCurve, daysSinceLaunch);
-            const improvedRetention = getRetentionAtDay(improvedExistingUserCurve, daysSinceLaunch);
-            const retentionUplift = Math.max(0, improvedRetention - baseRetention);
-            
-            existingUserIncrementalDAU = launchCohortSize * retentionUplift;
-          }
-        }
-        
-        // B. New User Incremental DAU
-        if (retention.targetUsers === 'new' || retention.targetUsers === 'all') {
-          const exposedDailyAcq = dailyAcquisitions * (exposureRate / 100);
-          
-          // Sum incremental DAU from all new user cohorts acquired since launch
-          for (let cohortDay = launchDay; cohortDay < day; cohortDay++) {
-            const cohortAge = day - cohortDay;
-            const baseRetention = getRetentionAtDay(baseNewUserCurve, cohortAge);
-            const improvedRetention = getRetentionAtDay(improvedNewUserCurve, cohortAge);
-            const retentionUplift = Math.max(0, improvedRetention - baseRetention);
-            
-            newUserIncrementalDAU += exposedDailyAcq * retentionUplift;
-          }
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = { multiplier: defaultMultiplier };
+    } else if (line === 'END:VEVENT') {
+      if (event && event.date) {
+        if (event.endDate && event.endDate < event.date) {
+          event.endDate = event.date;
         }
+        events.push(event);
       }
-    }
-    
-    // C. New Acquisition Incremental DAU
-    if (initiativeType === 'acquisition' || initiativeType === 'combined') {
-      const campaignStartDay = acquisition.weeksToStart * 7;
-      const campaignEndDay = campaignStartDay + (acquisition.duration * 7);
-      const rampWeeks = Math.min(4, acquisition.duration);
-      
-      // Validate acquisition parameters
-      if (acquisition.weeklyInstalls > 0 && acquisition.duration > 0) {
-        // Calculate DAU from acquisition campaign cohorts
-        if (day >= campaignStartDay) {
-          const targetDailyAcq = acquisition.weeklyInstalls / 7;
-          
-          const lastAcquisitionDay = Math.min(day, campaignEndDay - 1);
-          
-          for (let cohortDay = campaignStartDay; cohortDay <= lastAcquisitionDay; cohortDay++) {
-            const cohortAge = day - cohortDay;
-            
-            // Apply ramp rate: min(1, (c - launch_day) / (ramp_weeks × 7))
-            const daysInCampaign = cohortDay - campaignStartDay;
-            const rampRate = Math.min(1, daysInCampaign / (rampWeeks * 7));
-            const dailyVolume = targetDailyAcq * rampRate;
-            
-            const retention = getRetentionAtDay(baseNewUserCurve, cohortAge);
-            newAcquisitionDAU += dailyVolume * retention;
-          }
-        }
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      if (separator < 0) return;
+      const [property, ...propertyParams] = line.slice(0, separator).toUpperCase().split(';');
+      const value = line.slice(separator + 1).trim();
+      if (property === 'DTSTART') {
+        event.date = toDate(value);
+      } else if (property === 'DTEND') {
+        const allDay = propertyParams.includes('VALUE=DATE') || !value.includes('T');
+        event.endDate = allDay ? formatCalendarDate(parseCalendarDate(toDate(value), 'DTEND') - DAY_MS) : toDate(value);
+      } else if (property === 'SUMMARY') {
+        event.name = value;
+      } else if (property === 'X-DAU-MULTIPLIER') {
+        event.multiplier = Number(value);
       }
     }
-    
-    const incrementalDAU = existingUserIncrementalDAU + newUserIncrementalDAU + newAcquisitionDAU;
-    
-    // Store monthly snapshot results
-    results.baseline.push(Math.round(baselineDAU));
-    results.withInitiative.push(Math.round(baselineDAU + incrementalDAU));
-    results.incrementalDAU.push(Math.round(incrementalDAU));
-    
-    // Update summary stats
-    if (incrementalDAU > results.summary.peakImpact) {
-      results.summary.peakImpact = incrementalDAU;
-      results.summary.peakMonth = month;
-      results.summary.peakLiftPercent = baselineDAU > 0 ? (incrementalDAU / baselineDAU) * 100 : 0;
+  });
+  
+  return events;
+}
+
+// Resolve month boundaries (day offsets, horizonMonths + 1 entries) and per-day DAU multipliers.
+// Without a start date months are 30-day blocks with no calendar effects; with one, months
+// follow the calendar from the start date and weekday / event multipliers apply.
+function buildForecastCalendar(calendar, horizonMonths) {
+  if (!calendar || !calendar.startDate) {
+    if (calendar && (calendar.dayOfWeekMultipliers || calendar.events || calendar.ics)) {
+      throw new Error('calendar.startDate is required for weekday and event effects');
     }
-    
-    // Accumulate total impact (monthly values × 30 days for total DAU-days)
-    results.summary.totalImpact += incrementalDAU * 30;
-    results.summary.breakdown.existingUsers += existingUserIncrementalDAU * 30;
-    results.summary.breakdown.newUsers += newUserIncrementalDAU * 30;
-    results.summary.breakdown.newAcquisition += newAcquisitionDAU * 30;
+    return {
+      monthStarts: Array.from({ length: horizonMonths + 1 }, (_, month) => month * DAYS_PER_MONTH),
+      multipliers: null
+    };
   }
   
-  // Round summary values
-  results.summary.totalImpact = Math.round(results.summary.totalImpact);
-  results.summary.peakImpact = Math.round(results.summary.peakImpact);
-  results.summary.peakLiftPercent = Math.round(results.summary.peakLiftPercent * 10) / 10;
-  results.summary.breakdown.existingUsers = Math.round(results.summary.breakdown.existingUsers);
-  results.summary.breakdown.newUsers = Math.round(results.summary.breakdown.newUsers);
-  results.summary.breakdown.newAcquisition = Math.round(results.summary.breakdown.newAcquisition);
+  const { startDate, dayOfWeekMultipliers = {}, events = [], ics, eventMultiplier } = calendar;
+  const start = parseCalendarDate(startDate, 'calendar.startDate');
+  const startYear = new Date(start).getUTCFullYear();
+  const startMonth = new Date(start).getUTCMonth();
+  const startDay = new Date(start).getUTCDate();
   
-  return results;
+  const monthStarts = [];
+  for (let month = 0; month <= horizonMonths; month++) {
+    // Clamp to the last day of shorter months (e.g. Jan 31 -> Feb 28)
+    const daysInMonth = new Date(Date.UTC(startYear, startMonth + month + 1, 0)).getUTCDate();
+    const monthStart = Date.UTC(startYear, startMonth + month, Math.min(startDay, daysInMonth));
+    monthStarts.push(Math.round((monthStart - start) / DAY_MS));
+  }
+  const horizonDays = monthStarts[horizonMonths];
+  
+  Object.entries(dayOfWeekMultipliers).forEach(([weekday, multiplier]) => {
+    if (!WEEKDAYS.includes(weekday)) {
+      throw new Error(`Unsupported weekday: ${weekday}`);
+    }
+    if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 0) {
+      throw new Error(`Multiplier for ${weekday} must be a non-negative number`);
+    }
+  });
+  
+  const multipliers = [];
+  const dates = [];
+  for (let day = 0; day < horizonDays; day++) {
+    const time = start + day * DAY_MS;
+    multipliers.push(dayOfWeekMultipliers[WEEKDAYS[new Date(time).getUTCDay()]] ?? 1);
+    dates.push(formatCalendarDate(time));
+  }
+  
+  // Overlapping events compound
+  const allEvents = ics ? events.concat(parseIcsEvents(ics, eventMultiplier)) : events;
+  allEvents.forEach(({ date, endDate, multiplier, name }) => {
+    const label = name || date;
+    if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 0) {
+      throw new Error(`Multiplier for event ${label} must be a non-negative number`);
+    }
+    const first = Math.round((parseCalendarDate(date, `Event ${label} date`) - start) / DAY_MS);
+    const last = endDate ? Math.round((parseCalendarDate(endDate, `Event ${label} endDate`) - start) / DAY_MS) : first;
+    for (let day = Math.max(0, first); day <= Math.min(last, horizonDays - 1); day++) {
+      multipliers[day] *= multiplier;
+    }
+  });
+  
+  return { startDate, monthStarts, multipliers, dates };
 }
 
-export default function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+// Daily DAU series that calendar effects apply to
+const CALENDAR_SERIES = ['baseline', 'incremental', 'existingUsers', 'newUsers', 'newAcquisition', 'cannibalizedAcquisition', 'reactivatedUsers', 'viralUsers'];
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+// Copy of the daily series with every baseline and incremental DAU series scaled by the calendar multipliers
+function applyCalendarEffects(daily, multipliers) {
+  const adjusted = { ...daily };
+  CALENDAR_SERIES.forEach(key => {
+    adjusted[key] = daily[key].map((value, day) => value * multipliers[day]);
+  });
+  return adjusted;
+}
 
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
-  }
+// Rolling windows reported next to DAU, with the key of their DAU / window stickiness ratio
+const ACTIVE_USER_WINDOWS = {
+  wau: { windowDays: 7, stickiness: 'dauWau' },
+  mau: { windowDays: 30, stickiness: 'dauMau' }
+};
+
+// Estimate users active at least once in the `windowDays` days ending on each day. Cohorts that
+// entered within the window (installs, won-back and invited users) all count, with days before the
+// forecast assumed to bring in baseline installs at day 0's rate. Everyone older is measured by the
+// DAU on the first day of the window: an engaged pool of DAU / dailyActiveRate users, each active on
+// a given day with probability dailyActiveRate, so a share 1 - (1 - dailyActiveRate)^windowDays of
+// it shows up in the window. Setting dailyActiveRate to today's DAU/MAU calibrates the baseline
+function estimateWindowActiveUsers(dau, installs, windowDays, dailyActiveRate, priorDailyInstalls) {
+  const rate = dailyActiveRate / 100;
+  const reach = (1 - Math.pow(1 - rate, windowDays)) / rate;
+  const windowUsers = [];
+  let recentInstalls = 0;
+  
+  for (let day = 0; day < dau.length; day++) {
+    const windowStart = day - windowDays + 1;
+    // Cohorts acquired on days windowStart..day-1 first show up in DAU inside the window
+    if (day > 0) {
+      recentInstalls += installs[day - 1];
+    }
+    if (windowStart > 0) {
+      recentInstalls -= installs[windowStart - 1];
+    }
+    const priorInstalls = Math.max(0, -windowStart) * priorDailyInstalls;
+    windowUsers.push(recentInstalls + priorInstalls + dau[Math.max(0, windowStart)] * reach);
+  }
+  
+  return windowUsers;
+}
+
+// Daily baseline and with-initiative WAU/MAU, never below that day's DAU
+function estimateActiveUsers(daily, dailyActiveRate) {
+  const withInitiativeDAU = daily.baseline.map((value, day) => value + daily.incremental[day]);
+  const withInitiativeInstalls = daily.baselineInstalls.map((value, day) => value + daily.incrementalInstalls[day]);
+  const activeUsers = {};
+  
+  Object.entries(ACTIVE_USER_WINDOWS).forEach(([metric, { windowDays }]) => {
+    const priorDailyInstalls = daily.baselineInstalls[0];
+    const baseline = estimateWindowActiveUsers(daily.baseline, daily.baselineInstalls, windowDays, dailyActiveRate, priorDailyInstalls);
+    const withInitiative = estimateWindowActiveUsers(withInitiativeDAU, withInitiativeInstalls, windowDays, dailyActiveRate, priorDailyInstalls);
+    activeUsers[metric] = {
+      baseline: baseline.map((value, day) => Math.max(value, daily.baseline[day])),
+      withInitiative: withInitiative.map((value, day) => Math.max(value, withInitiativeDAU[day]))
+    };
+  });
+  
+  return activeUsers;
+}
+
+// Check reactivation campaign parameters: rate is the weekly % of eligible lapsed users won back,
+// windowDays how recently users must have lapsed to be targeted
+function validateReactivation(reactivation) {
+  const { rate, windowDays, weeksToStart = 0, duration } = reactivation || {};
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  
+  if (!isNumber(rate) || rate < 0 || rate > 100) {
+    throw new Error('reactivation.rate must be a percentage between 0 and 100');
+  }
+  if (!Number.isInteger(windowDays) || windowDays < 1) {
+    throw new Error('reactivation.windowDays must be a positive integer');
+  }
+  if (!isNumber(weeksToStart) || weeksToStart < 0 || !isNumber(duration) || duration <= 0) {
+    throw new Error('reactivation.weeksToStart must be non-negative and reactivation.duration positive');
+  }
+}
+
+function validateViral({ kFactor, cycleDays }) {
+  if (typeof kFactor !== 'number' || !Number.isFinite(kFactor) || kFactor < 0) {
+    throw new Error('viral.kFactor must be a non-negative number');
+  }
+  if (typeof cycleDays !== 'number' || !(cycleDays > 0)) {
+    throw new Error('viral.cycleDays must be a positive number');
+  }
+}
+
+function validateNovelty({ halfLifeDays, schedule }) {
+  if (schedule !== undefined) {
+    if (!Array.isArray(schedule) || schedule.length === 0) {
+      throw new Error('retention.novelty.schedule must be a non-empty array of { day, remaining } points');
+    }
+    schedule.forEach(({ day, remaining }, index) => {
+      if (typeof day !== 'number' || day < 0 || typeof remaining !== 'number' || remaining < 0 || remaining > 100) {
+        throw new Error(`Invalid novelty schedule point ${index}: day must be non-negative and remaining a percentage between 0 and 100`);
+      }
+      if (index > 0 && day <= schedule[index - 1].day) {
+        throw new Error('retention.novelty.schedule days must be strictly increasing');
+      }
+    });
+  } else if (!(typeof halfLifeDays === 'number' && halfLifeDays > 0)) {
+    throw new Error('retention.novelty.halfLifeDays must be a positive number');
+  }
+}
+
+// Share (0-1) of the retention uplift still in effect `days` days after launch: halves every
+// halfLifeDays, or follows a { day, remaining % } schedule interpolated linearly from the full
+// effect at launch and flat after its last point
+function getNoveltyFactor({ halfLifeDays, schedule }, days) {
+  if (!schedule) {
+    return Math.pow(0.5, days / halfLifeDays);
+  }
+  const points = schedule[0].day > 0 ? [{ day: 0, remaining: 100 }, ...schedule] : schedule;
+  if (days <= points[0].day) {
+    return points[0].remaining / 100;
+  }
+  for (let i = 1; i < points.length; i++) {
+    if (days <= points[i].day) {
+      const share = (days - points[i - 1].day) / (points[i].day - points[i - 1].day);
+      return (points[i - 1].remaining + share * (points[i].remaining - points[i - 1].remaining)) / 100;
+    }
+  }
+  return points[points.length - 1].remaining / 100;
+}
+
+// Ramp shapes: share of peak volume `days` days into a ramp lasting `rampDays` days
+const RAMP_SHAPES = {
+  linear: (days, rampDays) => Math.min(1, days / rampDays),
+  // Volume steps up once per week
+  step: (days, rampDays) => Math.min(1, (Math.floor(days / 7) + 1) / (rampDays / 7)),
+  // Smoothstep: slow start, fast middle, gentle approach to the peak
+  sCurve: (days, rampDays) => {
+    const x = Math.min(1, days / rampDays);
+    return x * x * (3 - 2 * x);
+  }
+};
+
+// Staged rollout of a retention feature: steps list { day, percent } exposure levels by days since
+// launch (or { date, percent } with a calendar start date), each held until the next; a ramp
+// rises from startPercent at launch to exposureRate over `weeks` weeks along a ramp shape
+function validateRollout({ steps, shape, weeks, startPercent = 0 }, hasStartDate) {
+  const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+  if (steps !== undefined) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('retention.rollout.steps must be a non-empty array of { day, percent } steps');
+    }
+    steps.forEach(({ day, date, percent }, index) => {
+      if (date !== undefined) {
+        if (!hasStartDate) {
+          throw new Error('calendar.startDate is required for dated rollout steps');
+        }
+        parseCalendarDate(date, `Rollout step ${index} date`);
+      } else if (!(typeof day === 'number' && day >= 0)) {
+        throw new Error(`Invalid rollout step ${index}: day must be a non-negative number`);
+      }
+      if (!isPercent(percent)) {
+        throw new Error(`Invalid rollout step ${index}: percent must be between 0 and 100`);
+      }
+    });
+    return;
+  }
+  if (!RAMP_SHAPES[shape]) {
+    throw new Error(`Unsupported rollout shape: ${shape}`);
+  }
+  if (!(typeof weeks === 'number' && weeks > 0)) {
+    throw new Error('retention.rollout.weeks must be a positive number');
+  }
+  if (!isPercent(startPercent)) {
+    throw new Error('retention.rollout.startPercent must be between 0 and 100');
+  }
+}
+
+// Share (0-1) of users exposed to a retention feature on each forecast day: none before launch,
+// then exposureRate or the rollout. Exposure never falls, so a step below an earlier one is ignored
+function buildRetentionExposure(retention, exposureRate, horizonDays, startDate) {
+  const launchDay = retention.monthsToStart * DAYS_PER_MONTH;
+  const { rollout } = retention;
+  let exposureAt = () => exposureRate;
+  if (rollout && rollout.steps) {
+    const steps = rollout.steps.map(({ day, date, percent }) => ({
+      day: date !== undefined
+        ? (parseCalendarDate(date, 'Rollout step date') - parseCalendarDate(startDate, 'calendar.startDate')) / DAY_MS - launchDay
+        : day,
+      percent
+    }));
+    exposureAt = (days) => steps.reduce((level, step) => step.day <= days ? Math.max(level, step.percent) : level, 0);
+  } else if (rollout) {
+    const { shape, weeks, startPercent = 0 } = rollout;
+    exposureAt = (days) => startPercent + (exposureRate - startPercent) * RAMP_SHAPES[shape](days, weeks * 7);
+  }
+  
+  let exposed = 0;
+  return Array.from({ length: horizonDays }, (_, day) => {
+    if (day >= launchDay) {
+      exposed = Math.max(exposed, exposureAt(day - launchDay) / 100);
+    }
+    return exposed;
+  });
+}
+
+// What happens after the ramp peaks: hold flat, taper linearly to zero over the last weeks,
+// or decay by weeklyRate % per week
+const AFTER_PEAK_SHAPES = ['flat', 'rampDown', 'decay'];
+
+function validateAcquisition(acquisition) {
+  const { weeksToStart = 0, duration = 0, ramp = {}, afterPeak = {}, budget, cannibalization, cpi, totalSpend } = acquisition;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  
+  if (!isNumber(weeksToStart) || weeksToStart < 0 || !isNumber(duration) || duration < 0) {
+    throw new Error('acquisition.weeksToStart and acquisition.duration must be non-negative numbers');
+  }
+  if (ramp.shape !== undefined && !RAMP_SHAPES[ramp.shape]) {
+    throw new Error(`Unsupported ramp shape: ${ramp.shape}`);
+  }
+  if (ramp.weeks !== undefined && !(isNumber(ramp.weeks) && ramp.weeks >= 0)) {
+    throw new Error('acquisition.ramp.weeks must be a non-negative number');
+  }
+  if (afterPeak.shape !== undefined && !AFTER_PEAK_SHAPES.includes(afterPeak.shape)) {
+    throw new Error(`Unsupported after-peak shape: ${afterPeak.shape}`);
+  }
+  if (afterPeak.shape === 'rampDown' && !(isNumber(afterPeak.weeks) && afterPeak.weeks > 0)) {
+    throw new Error('acquisition.afterPeak.weeks must be positive for a ramp-down');
+  }
+  if (afterPeak.shape === 'decay' && !(isNumber(afterPeak.weeklyRate) && afterPeak.weeklyRate >= 0 && afterPeak.weeklyRate <= 100)) {
+    throw new Error('acquisition.afterPeak.weeklyRate must be a percentage between 0 and 100');
+  }
+  if (cannibalization) {
+    validateCannibalization(cannibalization);
+  }
+  if (budget) {
+    const { weekly, cpi, cpiElasticity = 0, baseVolume = Infinity } = budget;
+    if (!isNumber(weekly) || weekly < 0 || !isNumber(cpi) || cpi <= 0) {
+      throw new Error('acquisition.budget needs a non-negative weekly budget and a positive cpi');
+    }
+    if (!isNumber(cpiElasticity) || cpiElasticity < 0 || !(baseVolume > 0)) {
+      throw new Error('acquisition.budget.cpiElasticity must be non-negative and baseVolume positive');
+    }
+  }
+  if (cpi !== undefined || totalSpend !== undefined) {
+    if (budget || (cpi !== undefined && totalSpend !== undefined)) {
+      throw new Error('Give a campaign only one of acquisition.budget, acquisition.cpi and acquisition.totalSpend');
+    }
+    if (cpi !== undefined && !(isNumber(cpi) && cpi > 0)) {
+      throw new Error('acquisition.cpi must be a positive number');
+    }
+    if (totalSpend !== undefined && !(isNumber(totalSpend) && totalSpend >= 0)) {
+      throw new Error('acquisition.totalSpend must be a non-negative number');
+    }
+  }
+}
+
+function validateCannibalization({ rate, curve }) {
+  const isShare = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+  if (curve !== undefined) {
+    if (!Array.isArray(curve) || curve.length === 0) {
+      throw new Error('acquisition.cannibalization.curve must be a non-empty array of { intensity, rate } points');
+    }
+    curve.forEach(({ intensity, rate: pointRate }, index) => {
+      if (typeof intensity !== 'number' || intensity < 0 || !isShare(pointRate)) {
+        throw new Error(`Invalid cannibalization curve point ${index}: intensity must be non-negative and rate a percentage between 0 and 100`);
+      }
+      if (index > 0 && intensity <= curve[index - 1].intensity) {
+        throw new Error('acquisition.cannibalization.curve intensities must be strictly increasing');
+      }
+    });
+  } else if (!isShare(rate)) {
+    throw new Error('acquisition.cannibalization.rate must be a percentage between 0 and 100');
+  }
+}
+
+// Share (%) of paid installs that would have arrived organically anyway. A curve maps campaign
+// intensity (paid / organic daily installs) to a rate, interpolated linearly and flat past its ends
+function getCannibalizationRate({ rate, curve }, intensity) {
+  if (!curve) {
+    return rate;
+  }
+  if (intensity <= curve[0].intensity) {
+    return curve[0].rate;
+  }
+  for (let i = 1; i < curve.length; i++) {
+    if (intensity <= curve[i].intensity) {
+      const share = (intensity - curve[i - 1].intensity) / (curve[i].intensity - curve[i - 1].intensity);
+      return curve[i - 1].rate + share * (curve[i].rate - curve[i - 1].rate);
+    }
+  }
+  return curve[curve.length - 1].rate;
+}
+
+// Organic installs displaced by the campaign on each day, capped at the organic volume itself
+function applyCannibalization(schedule, cannibalization, dailyOrganicInstalls) {
+  schedule.displaced = schedule.installs.map(installs => {
+    if (!cannibalization || installs <= 0) {
+      return 0;
+    }
+    const intensity = dailyOrganicInstalls > 0 ? installs / dailyOrganicInstalls : Infinity;
+    const displaced = installs * getCannibalizationRate(cannibalization, intensity) / 100;
+    return Math.min(displaced, dailyOrganicInstalls);
+  });
+  return schedule;
+}
+
+// Weekly installs a weekly budget buys. CPI is flat up to baseVolume weekly installs and rises
+// above it as CPI = cpi × (installs / baseVolume)^cpiElasticity
+function installsForBudget(weeklyBudget, { cpi, cpiElasticity = 0, baseVolume = Infinity }) {
+  const flatInstalls = weeklyBudget / cpi;
+  if (flatInstalls <= baseVolume) {
+    return flatInstalls;
+  }
+  // Solve installs × cpi × (installs / baseVolume)^e = budget
+  return baseVolume * Math.pow(flatInstalls / baseVolume, 1 / (1 + cpiElasticity));
+}
+
+// Daily installs (and spend for costed campaigns) of an acquisition campaign, indexed by day.
+// Volume follows the ramp shape up to the peak - weeklyInstalls, or what budget.weekly buys -
+// then the after-peak shape. Budget campaigns ramp their spend rather than their installs;
+// install campaigns pay a flat cpi or spread totalSpend over their installs in the window.
+function buildAcquisitionSchedule(acquisition, horizonDays) {
+  validateAcquisition(acquisition);
+  const { weeksToStart = 0, duration = 0, weeklyInstalls = 0, ramp = {}, afterPeak = {}, budget, cpi, totalSpend } = acquisition;
+  const startDay = Math.round(weeksToStart * 7);
+  const endDay = startDay + Math.round(duration * 7);
+  const rampDays = (ramp.weeks ?? Math.min(4, duration)) * 7; // Default to 4-week ramp or campaign duration
+  const rampShape = RAMP_SHAPES[ramp.shape || 'linear'];
+  const schedule = {
+    startDay,
+    endDay,
+    installs: new Array(horizonDays).fill(0),
+    spend: budget || cpi !== undefined || totalSpend !== undefined ? new Array(horizonDays).fill(0) : null,
+    displaced: new Array(horizonDays).fill(0)
+  };
+  
+  if (duration <= 0 || (budget ? budget.weekly <= 0 : !(weeklyInstalls > 0))) {
+    return schedule;
+  }
+  
+  for (let cohortDay = startDay; cohortDay < Math.min(endDay, horizonDays); cohortDay++) {
+    const daysInCampaign = cohortDay - startDay;
+    let intensity = rampDays > 0 ? rampShape(daysInCampaign, rampDays) : 1;
+    if (afterPeak.shape === 'rampDown') {
+      intensity *= Math.min(1, (endDay - cohortDay) / (afterPeak.weeks * 7));
+    } else if (afterPeak.shape === 'decay' && daysInCampaign > rampDays) {
+      intensity *= Math.pow(1 - afterPeak.weeklyRate / 100, (daysInCampaign - rampDays) / 7);
+    }
+    
+    if (budget) {
+      schedule.spend[cohortDay] = budget.weekly * intensity / 7;
+      schedule.installs[cohortDay] = installsForBudget(budget.weekly * intensity, budget) / 7;
+    } else {
+      schedule.installs[cohortDay] = weeklyInstalls / 7 * intensity;
+    }
+  }
+  
+  if (cpi !== undefined) {
+    schedule.spend = schedule.installs.map(installs => installs * cpi);
+  } else if (totalSpend !== undefined) {
+    const totalInstalls = schedule.installs.reduce((sum, installs) => sum + installs, 0);
+    schedule.spend = schedule.installs.map(installs => totalInstalls > 0 ? totalSpend * installs / totalInstalls : 0);
+  }
+  
+  return schedule;
+}
+
+// Campaign totals reported alongside the forecast
+function summarizeAcquisitionSchedule(schedule) {
+  const totalInstalls = schedule.installs.reduce((sum, value) => sum + value, 0);
+  const plan = {
+    totalInstalls: Math.round(totalInstalls),
+    peakWeeklyInstalls: Math.round(Math.max(0, ...schedule.installs) * 7)
+  };
+  const totalDisplaced = schedule.displaced.reduce((sum, value) => sum + value, 0);
+  if (totalDisplaced > 0) {
+    plan.displacedOrganicInstalls = Math.round(totalDisplaced);
+    plan.netInstalls = Math.round(totalInstalls - totalDisplaced);
+  }
+  if (schedule.spend) {
+    const totalSpend = schedule.spend.reduce((sum, value) => sum + value, 0);
+    plan.totalSpend = Math.round(totalSpend);
+    plan.averageCpi = totalInstalls > 0 ? Math.round((totalSpend / totalInstalls) * 100) / 100 : 0;
+  }
+  return plan;
+}
+
+// Window of campaign cohort LTV unless monetization.ltvDays is given
+const DEFAULT_LTV_DAYS = 365;
+
+// ARPDAU and tenure ramp of one baseline cell: monetization.arpdau is one number for every cell
+// or { [cell]: number | { arpdau, ramp } }, where a cell's own ramp replaces the shared one
+function resolveCellMonetization({ arpdau, ramp }, key) {
+  const cell = typeof arpdau === 'number' ? arpdau : (arpdau || {})[key];
+  return cell !== null && typeof cell === 'object'
+    ? { arpdau: cell.arpdau, ramp: cell.ramp || ramp }
+    : { arpdau: cell, ramp };
+}
+
+function validateArpdauRamp(ramp, key) {
+  if (!Array.isArray(ramp) || ramp.length === 0) {
+    throw new Error(`ARPDAU ramp for ${key} must be a non-empty array of { day, percent } points`);
+  }
+  ramp.forEach(({ day, percent }, index) => {
+    if (typeof day !== 'number' || day < 0 || typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0) {
+      throw new Error(`Invalid ARPDAU ramp point ${index} for ${key}: day and percent must be non-negative numbers`);
+    }
+    if (index > 0 && day <= ramp[index - 1].day) {
+      throw new Error(`ARPDAU ramp days for ${key} must be strictly increasing`);
+    }
+  });
+}
+
+function validateMonetization(monetization, cells) {
+  const { ltvDays = DEFAULT_LTV_DAYS } = monetization;
+  cells.forEach(({ key }) => {
+    const { arpdau, ramp } = resolveCellMonetization(monetization, key);
+    if (!(typeof arpdau === 'number' && Number.isFinite(arpdau) && arpdau >= 0)) {
+      throw new Error(`monetization.arpdau for ${key} must be a non-negative number`);
+    }
+    if (ramp !== undefined) {
+      validateArpdauRamp(ramp, key);
+    }
+  });
+  if (!(Number.isInteger(ltvDays) && ltvDays > 0)) {
+    throw new Error('monetization.ltvDays must be a positive integer');
+  }
+}
+
+// Percentage of ARPDAU a user earns `days` days after install: the ramp interpolated linearly,
+// flat before its first and after its last point; 100 without a ramp
+function getRampPercent(ramp, days) {
+  if (!ramp) {
+    return 100;
+  }
+  if (days <= ramp[0].day) {
+    return ramp[0].percent;
+  }
+  for (let i = 1; i < ramp.length; i++) {
+    if (days <= ramp[i].day) {
+      const share = (days - ramp[i - 1].day) / (ramp[i].day - ramp[i - 1].day);
+      return ramp[i - 1].percent + share * (ramp[i].percent - ramp[i - 1].percent);
+    }
+  }
+  return ramp[ramp.length - 1].percent;
+}
+
+// Daily revenue per active user for every tenure up to maxAge, and for tenured users - existing
+// and won-back users - who earn the ramp's final percentage
+function buildRevenueTable({ arpdau, ramp }, maxAge) {
+  const byTenure = [];
+  for (let age = 0; age <= maxAge; age++) {
+    byTenure.push(arpdau * getRampPercent(ramp, age) / 100);
+  }
+  return { byTenure, tenured: ramp ? arpdau * ramp[ramp.length - 1].percent / 100 : arpdau };
+}
+
+// Revenue one install earns over its first `days` days on the base new-user curve
+function cohortLifetimeValue(curve, revenue, days) {
+  let ltv = 0;
+  for (let age = 0; age < days; age++) {
+    ltv += getRetentionAtDay(curve, age) * revenue.byTenure[age];
+  }
+  return ltv;
+}
+
+// Pre-compute retention for every cohort age in the forecast window
+function buildRetentionTable(params, maxAge) {
+  const table = [];
+  for (let age = 0; age <= maxAge; age++) {
+    table.push(getRetentionAtDay(params, age));
+  }
+  return table;
+}
+
+// Average of `length` consecutive values starting at `start`
+function averageOver(values, start, length) {
+  let sum = 0;
+  for (let i = start; i < start + length; i++) {
+    sum += values[i];
+  }
+  return sum / length;
+}
+
+// Day-by-day DAU simulation: returns baseline and incremental components for days 0..horizonDays-1
+function simulateDailyDAU(config) {
+  const {
+    horizonDays,
+    initiativeType,
+    acquisition,
+    retention,
+    exposureRate,
+    retentionExposure,
+    totalCurrentDAU,
+    dailyAcquisitions,
+    existingUserDecay,
+    baseNewUserCurve,
+    improvedNewUserCurve,
+    baseExistingUserCurve,
+    improvedExistingUserCurve,
+    reactivation,
+    reactivatedUserCurve,
+    acquisitionSchedule,
+    viral,
+    revenue
+  } = config;
+  
+  // Viral loop: every active user brings kFactor new users per cycleDays of activity, so
+  // yesterday's DAU × kFactor / cycleDays installs arrive each day and follow the base new-user
+  // curve. Installs driven by baseline DAU grow the baseline; those driven by incremental DAU
+  // (including earlier viral users) are the initiative's viral DAU
+  const viralRate = viral ? viral.kFactor / viral.cycleDays : 0;
+  const baselineViralInstalls = [];
+  const incrementalViralInstalls = [];
+  
+  const baseNewRetention = buildRetentionTable(baseNewUserCurve, horizonDays);
+  const improvedNewRetention = buildRetentionTable(improvedNewUserCurve, horizonDays);
+  const baseExistingRetention = buildRetentionTable(baseExistingUserCurve, horizonDays);
+  const improvedExistingRetention = buildRetentionTable(improvedExistingUserCurve, horizonDays);
+  const reactivatedRetention = reactivatedUserCurve ? buildRetentionTable(reactivatedUserCurve, horizonDays) : null;
+  
+  // Days on which a retention rollout exposes more users, with the share newly exposed
+  const exposureIncreases = [];
+  (retentionExposure || []).forEach((share, day) => {
+    const previous = day > 0 ? retentionExposure[day - 1] : 0;
+    if (share > previous) {
+      exposureIncreases.push({ day, share: share - previous });
+    }
+  });
+  
+  // Revenue per active user by tenure; zero without monetization
+  const revenueByTenure = revenue ? revenue.byTenure : new Array(horizonDays + 1).fill(0);
+  const tenuredRevenue = revenue ? revenue.tenured : 0;
+  // Revenue one base new-user install earns at each age
+  const baseNewRevenue = baseNewRetention.map((value, age) => value * revenueByTenure[age]);
+  
+  const daily = {
+    baseline: [],
+    incremental: [],
+    existingUsers: [],
+    newUsers: [],
+    // Net of cannibalization; gross = newAcquisition + cannibalizedAcquisition
+    newAcquisition: [],
+    // Organic DAU the campaign displaced
+    cannibalizedAcquisition: [],
+    reactivatedUsers: [],
+    viralUsers: [],
+    // Users won back on each day (a count, not DAU)
+    reactivations: [],
+    // Invite-driven installs on each day (counts), split by the DAU that generated them
+    baselineViralInstalls,
+    viralInstalls: incrementalViralInstalls,
+    // Users entering the active base each day (counts), for WAU/MAU estimates
+    baselineInstalls: [],
+    incrementalInstalls: [],
+    // Revenue earned each day, with tenure-based ARPDAU for install cohorts; acquisitionRevenue
+    // is the part of incrementalRevenue from campaign installs
+    baselineRevenue: [],
+    incrementalRevenue: [],
+    acquisitionRevenue: []
+  };
+  
+  for (let day = 0; day < horizonDays; day++) {
+    // === BASELINE DAU ===
+    // A. Existing User Baseline: Initial Existing Users × e^(-dailyDecay × t)
+    const existingUserBaselineDAU = totalCurrentDAU * getExistingUserRetention(existingUserDecay, day);
+    
+    // B. New User Baseline: Σ[c=0 to t] Daily Acquisition × Retention(t - c)
+    let newUserBaselineDAU = 0;
+    let baselineRevenue = existingUserBaselineDAU * tenuredRevenue;
+    for (let cohortDay = 0; cohortDay < day; cohortDay++) {
+      newUserBaselineDAU += dailyAcquisitions * baseNewRetention[day - cohortDay];
+      baselineRevenue += dailyAcquisitions * baseNewRevenue[day - cohortDay];
+    }
+    
+    // Baseline viral cohorts: Σ[c=0 to t] Baseline Viral Installs(c) × Retention(t - c)
+    let viralBaselineDAU = 0;
+    for (let cohortDay = 0; cohortDay < day; cohortDay++) {
+      viralBaselineDAU += baselineViralInstalls[cohortDay] * baseNewRetention[day - cohortDay];
+      baselineRevenue += baselineViralInstalls[cohortDay] * baseNewRevenue[day - cohortDay];
+    }
+    
+    const baselineDAU = existingUserBaselineDAU + newUserBaselineDAU + viralBaselineDAU;
+    
+    // === INCREMENTAL DAU ===
+    let existingUserIncrementalDAU = 0;
+    let newUserIncrementalDAU = 0;
+    let newAcquisitionDAU = 0;
+    // Revenue of uplifted and invited install cohorts, by tenure; campaign cohorts and tenured
+    // users are added below
+    let cohortRevenue = 0;
+    
+    // Retention experiment impact
+    if (initiativeType === 'retention' || initiativeType === 'combined') {
+      const launchDay = retention.monthsToStart * DAYS_PER_MONTH;
+      
+      // Check if feature is live
+      if (day >= launchDay) {
+        const daysSinceLaunch = day - launchDay;
+        // Novelty decay fades the uplift for every exposed user as the feature ages
+        const noveltyFactor = retention.novelty ? getNoveltyFactor(retention.novelty, daysSinceLaunch) : 1;
+        
+        // A. Existing User Incremental DAU
+        // Formula: Σ[e=exposure increases before t] Exposed Cohort Size(e) × (Improved Retention(t-e) - Base Retention(t-e)) × Novelty(days since launch)
+        if (retention.targetUsers === 'existing' || retention.targetUsers === 'all') {
+          exposureIncreases.forEach(({ day: exposureDay, share }) => {
+            if (exposureDay < day) {
+              // Exposed Cohort Size = Initial Users × Existing User Decay(e) × Newly Exposed Share(e);
+              // without a rollout the whole exposure rate joins at launch
+              const exposedCohortSize = totalCurrentDAU * getExistingUserRetention(existingUserDecay, exposureDay) * share;
+              const retentionUplift = Math.max(0, improvedExistingRetention[day - exposureDay] - baseExistingRetention[day - exposureDay]);
+              existingUserIncrementalDAU += exposedCohortSize * retentionUplift * noveltyFactor;
+            }
+          });
+        }
+        
+        // B. New User Incremental DAU
+        // Formula: Σ[c=launch_day to t] Daily Acquisition × Exposure(c) × (Improved Retention(t-c) - Base Retention(t-c)) × Novelty(days since launch)
+        if (retention.targetUsers === 'new' || retention.targetUsers === 'all') {
+          // Sum incremental DAU from all new user cohorts acquired since launch, each exposed at
+          // the rollout level of its install day
+          for (let cohortDay = launchDay; cohortDay < day; cohortDay++) {
+            const exposedDailyAcq = dailyAcquisitions * retentionExposure[cohortDay];
+            const cohortAge = day - cohortDay;
+            const retentionUplift = Math.max(0, improvedNewRetention[cohortAge] - baseNewRetention[cohortAge]);
+            newUserIncrementalDAU += exposedDailyAcq * retentionUplift * noveltyFactor;
+            cohortRevenue += exposedDailyAcq * retentionUplift * noveltyFactor * revenueByTenure[cohortAge];
+          }
+        }
+      }
+    }
+    
+    // C. New Acquisition Incremental DAU
+    // Formula: Σ[c=launch_day to min(t, campaign_end)] (Scheduled Daily Installs(c) - Displaced Organic(c)) × Retention(t-c)
+    let cannibalizedDAU = 0;
+    let acquisitionRevenue = 0;
+    if (acquisitionSchedule) {
+      // Calculate DAU from all campaign cohorts acquired up to this day
+      // During campaign: acquire users daily per the ramped schedule until campaign ends
+      // After campaign: continue calculating DAU from previously acquired cohorts
+      const lastAcquisitionDay = Math.min(day, acquisitionSchedule.endDay - 1);
+      
+      for (let cohortDay = acquisitionSchedule.startDay; cohortDay <= lastAcquisitionDay; cohortDay++) {
+        newAcquisitionDAU += acquisitionSchedule.installs[cohortDay] * baseNewRetention[day - cohortDay];
+        cannibalizedDAU += acquisitionSchedule.displaced[cohortDay] * baseNewRetention[day - cohortDay];
+        acquisitionRevenue += (acquisitionSchedule.installs[cohortDay] - acquisitionSchedule.displaced[cohortDay]) * baseNewRevenue[day - cohortDay];
+      }
+      newAcquisitionDAU -= cannibalizedDAU;
+    }
+    
+    // D. Reactivated Users DAU
+    // Formula: Σ[c=campaign_start to min(t, campaign_end)] Reactivated(c) × Post-Return Retention(t-c)
+    let reactivatedDAU = 0;
+    if (initiativeType === 'reactivation') {
+      const campaignStartDay = Math.round((reactivation.weeksToStart || 0) * 7);
+      const campaignEndDay = campaignStartDay + Math.round(reactivation.duration * 7);
+      const { windowDays } = reactivation;
+      
+      if (day >= campaignStartDay && day < campaignEndDay) {
+        // Lapsed pool: users who stopped being active within the last windowDays days
+        // Existing users: Initial Users × (Retention(t - window) - Retention(t))
+        let lapsedPool = totalCurrentDAU * Math.max(0,
+          getExistingUserRetention(existingUserDecay, Math.max(0, day - windowDays)) - getExistingUserRetention(existingUserDecay, day));
+        // New users: Σ[c=0 to t] Daily Acquisition × (Retention(age - window) - Retention(age))
+        for (let cohortDay = 0; cohortDay < day; cohortDay++) {
+          const cohortAge = day - cohortDay;
+          lapsedPool += dailyAcquisitions * Math.max(0,
+            baseNewRetention[Math.max(0, cohortAge - windowDays)] - baseNewRetention[cohortAge]);
+        }
+        
+        // Users already won back within the window are no longer lapsed
+        for (let returnDay = Math.max(campaignStartDay, day - windowDays); returnDay < day; returnDay++) {
+          lapsedPool -= daily.reactivations[returnDay];
+        }
+        
+        daily.reactivations.push(Math.max(0, lapsedPool) * (exposureRate / 100) * (reactivation.rate / 100) / 7);
+      } else {
+        daily.reactivations.push(0);
+      }
+      
+      const lastReturnDay = Math.min(day, campaignEndDay - 1);
+      for (let returnDay = campaignStartDay; returnDay <= lastReturnDay; returnDay++) {
+        reactivatedDAU += daily.reactivations[returnDay] * reactivatedRetention[day - returnDay];
+      }
+    }
+    
+    // E. Viral Incremental DAU
+    // Formula: Σ[c=0 to t] Incremental Viral Installs(c) × Retention(t - c)
+    let viralDAU = 0;
+    for (let cohortDay = 0; cohortDay < day; cohortDay++) {
+      viralDAU += incrementalViralInstalls[cohortDay] * baseNewRetention[day - cohortDay];
+      cohortRevenue += incrementalViralInstalls[cohortDay] * baseNewRevenue[day - cohortDay];
+    }
+    
+    const incrementalDAU = existingUserIncrementalDAU + newUserIncrementalDAU + newAcquisitionDAU + reactivatedDAU + viralDAU;
+    baselineViralInstalls.push(baselineDAU * viralRate);
+    incrementalViralInstalls.push(incrementalDAU * viralRate);
+    daily.baselineInstalls.push(dailyAcquisitions + baselineViralInstalls[day]);
+    daily.incrementalInstalls.push(
+      (acquisitionSchedule ? acquisitionSchedule.installs[day] - acquisitionSchedule.displaced[day] : 0) +
+      (daily.reactivations[day] || 0) +
+      incrementalViralInstalls[day]
+    );
+    
+    daily.baseline.push(baselineDAU);
+    daily.existingUsers.push(existingUserIncrementalDAU);
+    daily.newUsers.push(newUserIncrementalDAU);
+    daily.newAcquisition.push(newAcquisitionDAU);
+    daily.cannibalizedAcquisition.push(cannibalizedDAU);
+    daily.reactivatedUsers.push(reactivatedDAU);
+    daily.viralUsers.push(viralDAU);
+    daily.incremental.push(incrementalDAU);
+    daily.baselineRevenue.push(baselineRevenue);
+    daily.incrementalRevenue.push(cohortRevenue + acquisitionRevenue + (existingUserIncrementalDAU + reactivatedDAU) * tenuredRevenue);
+    daily.acquisitionRevenue.push(acquisitionRevenue);
+  }
+  
+  return daily;
+}
+
+// Check the baseline dimension schema: each dimension lists its distinct values, which cannot
+// contain the '_' that joins them into baseline keys
+function validateDimensions(dimensions) {
+  const entries = Object.entries(dimensions || {});
+  if (entries.length === 0) {
+    throw new Error('Baseline dimensions must define at least one dimension');
+  }
+  entries.forEach(([dimension, values]) => {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Dimension ${dimension} must list at least one value`);
+    }
+    values.forEach(value => {
+      if (typeof value !== 'string' || value === '' || value.includes('_')) {
+        throw new Error(`Invalid value for dimension ${dimension}: ${value} (values are non-empty and cannot contain '_')`);
+      }
+    });
+    if (new Set(values).size !== values.length) {
+      throw new Error(`Dimension ${dimension} lists a value more than once`);
+    }
+  });
+}
+
+// Targeted values per dimension as Sets. Targeting gives a list of values or a { value: boolean }
+// map per dimension; dimensions it leaves out include every value
+function resolveTargeting(dimensions, targeting) {
+  validateDimensions(dimensions);
+  Object.keys(targeting).forEach(dimension => {
+    if (!dimensions[dimension]) {
+      throw new Error(`Unknown targeting dimension: ${dimension}`);
+    }
+  });
+  
+  return Object.fromEntries(Object.entries(dimensions).map(([dimension, values]) => {
+    const target = targeting[dimension];
+    if (target === undefined) {
+      return [dimension, new Set(values)];
+    }
+    const chosen = Array.isArray(target) ? target : Object.keys(target).filter(value => target[value]);
+    chosen.forEach(value => {
+      if (!values.includes(value)) {
+        throw new Error(`Unknown value for dimension ${dimension}: ${value}`);
+      }
+    });
+    return [dimension, new Set(chosen)];
+  }));
+}
+
+// Whether a baseline key (e.g. commercial_ios) falls inside the targeted dimension values
+function isTargetedKey(key, dimensions, selected) {
+  const names = Object.keys(dimensions);
+  const parts = key.split('_');
+  if (parts.length !== names.length || parts.some((part, index) => !dimensions[names[index]].includes(part))) {
+    throw new Error(`Baseline key ${key} does not match the dimensions ${names.join(' × ')}`);
+  }
+  return parts.every((part, index) => selected[names[index]].has(part));
+}
+
+// Targeted baseline cells with their current DAU, daily organic installs and retention data.
+// retentionCurves.cells may give a cell its own new and/or existing curve; the shared curves
+// cover the rest
+function targetedCells(baselineData, dimensions, selected) {
+  const { currentDAU, weeklyAcquisitions, retentionCurves } = baselineData;
+  const cellCurves = retentionCurves.cells || {};
+  const keys = Array.from(new Set([...Object.keys(currentDAU), ...Object.keys(weeklyAcquisitions), ...Object.keys(cellCurves)]));
+  const cells = keys.filter(key => isTargetedKey(key, dimensions, selected)).map(key => ({
+    key,
+    currentDAU: currentDAU[key] || 0,
+    dailyAcquisitions: (weeklyAcquisitions[key] || 0) / 7,
+    retentionData: cellCurves[key] ? {
+      new: cellCurves[key].new || retentionCurves.new,
+      existing: cellCurves[key].existing || retentionCurves.existing
+    } : null
+  }));
+  if (cells.length === 0) {
+    throw new Error('Targeting must include at least one baseline cell');
+  }
+  return cells;
+}
+
+// Fit the base and improved curves an initiative needs from one set of new/existing retention data
+function fitForecastCurves(retentionData, { initiativeType, retention, reactivation, baselineDecay, curveSelection, fitting }) {
+  const existingUserDecay = resolveExistingUserDecay(baselineDecay, retentionData.existing);
+  
+  // Pre-calculate retention curves
+  const baseNewUserCurve = fitBaselineCurve(retentionData.new, 'power', curveSelection, 'newUsers', fitting);
+  const baseExistingUserCurve = fitBaselineCurve(retentionData.existing, 'exponential', curveSelection, 'existingUsers', fitting);
+  
+  // Calculate improved retention curves if retention experiment is active
+  let improvedNewUserCurve = baseNewUserCurve;
+  let improvedExistingUserCurve = baseExistingUserCurve;
+  
+  if (initiativeType === 'retention' || initiativeType === 'combined') {
+    const gains = getRetentionGains(retention);
+    
+    if (retention.targetUsers === 'new' || retention.targetUsers === 'all') {
+      const improvedNewRetention = applyRetentionGains(retentionData.new, baseNewUserCurve, gains);
+      improvedNewUserCurve = fitRetentionCurve(baseNewUserCurve.type, improvedNewRetention, fitting);
+    }
+    
+    if (retention.targetUsers === 'existing' || retention.targetUsers === 'all') {
+      const improvedExistingRetention = applyRetentionGains(retentionData.existing, baseExistingUserCurve, gains);
+      improvedExistingUserCurve = fitRetentionCurve(baseExistingUserCurve.type, improvedExistingRetention, fitting);
+    }
+  }
+  
+  // Returning users follow their own retention curve if given, otherwise the new-user curve
+  let reactivatedUserCurve = null;
+  if (initiativeType === 'reactivation') {
+    reactivatedUserCurve = reactivation.retentionCurve
+      ? fitRetentionCurve(baseNewUserCurve.type, reactivation.retentionCurve, fitting)
+      : baseNewUserCurve;
+  }
+  
+  const retentionCurves = {
+    baseNewUser: baseNewUserCurve,
+    improvedNewUser: improvedNewUserCurve,
+    baseExistingUser: baseExistingUserCurve,
+    improvedExistingUser: improvedExistingUserCurve
+  };
+  if (reactivatedUserCurve) {
+    retentionCurves.reactivatedUser = reactivatedUserCurve;
+  }
+  return { retentionCurves, existingUserDecay };
+}
+
+// A cell's slice of the campaign, in proportion to its share of the targeted organic installs
+// (or of the targeted DAU when there are none), so every cell sees the same campaign intensity
+function cellAcquisitionSchedule(schedule, cell, cells, cannibalization) {
+  const total = (field) => cells.reduce((sum, other) => sum + other[field], 0);
+  const share = total('dailyAcquisitions') > 0 ? cell.dailyAcquisitions / total('dailyAcquisitions')
+    : total('currentDAU') > 0 ? cell.currentDAU / total('currentDAU')
+    : 1 / cells.length;
+  const cellSchedule = {
+    ...schedule,
+    installs: schedule.installs.map(installs => installs * share),
+    spend: schedule.spend && schedule.spend.map(spend => spend * share)
+  };
+  return applyCannibalization(cellSchedule, cannibalization, cell.dailyAcquisitions);
+}
+
+// Element-wise sum of the daily series of several simulations
+function sumDailySeries(dailies) {
+  return Object.fromEntries(Object.keys(dailies[0]).map(series => [
+    series,
+    dailies[0][series].map((_, day) => dailies.reduce((sum, daily) => sum + daily[series][day], 0))
+  ]));
+}
+
+// Fit the retention curves and simulate every day of the forecast window for one initiative.
+// Each targeted baseline cell runs its own cohort math; daily holds their sum
+function simulateForecast(params) {
+  const { 
+    initiativeType, 
+    acquisition, 
+    retention, 
+    baselineDecay = { method: 'fitted' }, // or { method: 'churn', monthlyChurn } or a daily decay rate
+    targeting = {}, // { [dimension]: [values] }; dimensions left out include every value
+    segments = null, // legacy { commercial: true, ... } targeting of the segment dimension
+    platforms = null, // legacy { ios: true, ... } targeting of the platform dimension
+    exposureRate = 100,
+    customBaseline = null,
+    resolution = 'monthly', // 'monthly' (day-15 snapshots) or 'daily'
+    horizonMonths = 12,
+    curveSelection = { mode: 'default' },
+    fitting = { method: 'log-linear' }, // 'log-linear' or 'nls' with optional per-checkpoint weights
+    calendar = null, // { startDate, dayOfWeekMultipliers, events, ics, eventMultiplier }
+    reactivation = null, // { rate, windowDays, weeksToStart, duration, retentionCurve }
+    viral = null, // { kFactor, cycleDays }
+    activity = { dailyActiveRate: 50 }, // % of engaged users active on a given day, for WAU/MAU
+    monetization = null // { arpdau, ramp, ltvDays }
+  } = params;
+  
+  if (!Number.isInteger(horizonMonths) || horizonMonths < 1 || horizonMonths > MAX_HORIZON_MONTHS) {
+    throw new Error(`horizonMonths must be an integer between 1 and ${MAX_HORIZON_MONTHS}`);
+  }
+  
+  // Use custom baseline data if provided, otherwise use default
+  const baselineData = customBaseline || BASELINE_DATA;
+  
+  // Targeted cells based on the targeted dimension values
+  const dimensions = baselineData.dimensions || BASELINE_DATA.dimensions;
+  const legacyTargeting = { ...(segments && { segment: segments }), ...(platforms && { platform: platforms }) };
+  const selected = resolveTargeting(dimensions, { ...legacyTargeting, ...targeting });
+  const cells = targetedCells(baselineData, dimensions, selected);
+  
+  if ((initiativeType === 'retention' || initiativeType === 'combined') && retention.novelty) {
+    validateNovelty(retention.novelty);
+  }
+  if ((initiativeType === 'retention' || initiativeType === 'combined') && retention.rollout) {
+    validateRollout(retention.rollout, Boolean(calendar && calendar.startDate));
+  }
+  if (initiativeType === 'reactivation') {
+    validateReactivation(reactivation);
+  }
+  if (viral) {
+    validateViral(viral);
+  }
+  if (!(typeof activity.dailyActiveRate === 'number' && activity.dailyActiveRate > 0 && activity.dailyActiveRate <= 100)) {
+    throw new Error('activity.dailyActiveRate must be a percentage above 0 and at most 100');
+  }
+  if (monetization) {
+    validateMonetization(monetization, cells);
+  }
+  
+  // Shared curves, refit for cells that carry their own retention data
+  const fitOptions = { initiativeType, retention, reactivation, baselineDecay, curveSelection, fitting };
+  const { retentionCurves, existingUserDecay } = fitForecastCurves(baselineData.retentionCurves, fitOptions);
+  
+  // Simulate every day of the forecast window
+  const forecastCalendar = buildForecastCalendar(calendar, horizonMonths);
+  const { monthStarts } = forecastCalendar;
+  const horizonDays = monthStarts[horizonMonths];
+  const campaign = initiativeType === 'acquisition' || initiativeType === 'combined'
+    ? buildAcquisitionSchedule(acquisition, horizonDays)
+    : null;
+  
+  const retentionExposure = initiativeType === 'retention' || initiativeType === 'combined'
+    ? buildRetentionExposure(retention, exposureRate, horizonDays, forecastCalendar.startDate)
+    : null;
+  const ltvDays = monetization ? monetization.ltvDays || DEFAULT_LTV_DAYS : 0;
+  
+  const cellForecasts = cells.map(cell => {
+    const fitted = cell.retentionData ? fitForecastCurves(cell.retentionData, fitOptions) : { retentionCurves, existingUserDecay };
+    const acquisitionSchedule = campaign && cellAcquisitionSchedule(campaign, cell, cells, acquisition.cannibalization);
+    const revenue = monetization && buildRevenueTable(resolveCellMonetization(monetization, cell.key), Math.max(horizonDays, ltvDays));
+    const daily = simulateDailyDAU({
+      horizonDays,
+      initiativeType,
+      acquisition,
+      retention,
+      exposureRate,
+      retentionExposure,
+      totalCurrentDAU: cell.currentDAU,
+      dailyAcquisitions: cell.dailyAcquisitions,
+      existingUserDecay: fitted.existingUserDecay,
+      baseNewUserCurve: fitted.retentionCurves.baseNewUser,
+      improvedNewUserCurve: fitted.retentionCurves.improvedNewUser,
+      baseExistingUserCurve: fitted.retentionCurves.baseExistingUser,
+      improvedExistingUserCurve: fitted.retentionCurves.improvedExistingUser,
+      reactivation,
+      reactivatedUserCurve: fitted.retentionCurves.reactivatedUser || null,
+      acquisitionSchedule,
+      viral,
+      revenue
+    });
+    // The cell's campaign installs and the curve they follow, for LTV and cost per retained user
+    const campaignCohort = acquisitionSchedule && {
+      curve: fitted.retentionCurves.baseNewUser,
+      installs: acquisitionSchedule.installs.reduce((sum, value) => sum + value, 0),
+      displaced: acquisitionSchedule.displaced.reduce((sum, value) => sum + value, 0),
+      perInstall: revenue ? cohortLifetimeValue(fitted.retentionCurves.baseNewUser, revenue, ltvDays) : null
+    };
+    // Cells on the shared curves don't repeat them
+    return { key: cell.key, daily, displaced: acquisitionSchedule && acquisitionSchedule.displaced, campaignCohort, ...(cell.retentionData && fitted) };
+  });
+  
+  const daily = sumDailySeries(cellForecasts.map(cell => cell.daily));
+  const acquisitionSchedule = campaign && {
+    ...campaign,
+    displaced: campaign.displaced.map((_, day) => cellForecasts.reduce((sum, cell) => sum + cell.displaced[day], 0))
+  };
+  
+  return {
+    daily,
+    cells: cellForecasts.map(({ displaced, campaignCohort, ...cell }) => cell),
+    campaignCohorts: campaign && cellForecasts.map(({ campaignCohort }) => campaignCohort),
+    ltvDays,
+    forecastCalendar,
+    horizonMonths,
+    resolution,
+    retentionCurves,
+    existingUserDecay,
+    acquisitionSchedule,
+    activity
+  };
+}
+
+// Calendar effects apply to the simulated DAU after WAU/MAU are estimated from the engaged pool
+function withCalendarEffects(simulatedDaily, forecastCalendar) {
+  return forecastCalendar.multipliers
+    ? applyCalendarEffects(simulatedDaily, forecastCalendar.multipliers)
+    : simulatedDaily;
+}
+
+// Months are averaged over their days in daily resolution and whenever calendar multipliers apply:
+// a day-15 snapshot would carry that one day's weekday or holiday effect into the whole month
+function rollsUpByAverage({ forecastCalendar, resolution }) {
+  return resolution === 'daily' || Boolean(forecastCalendar.multipliers);
+}
+
+// Roll daily DAU series (calendar effects applied) up into monthly values and summary stats
+function rollUpDAU(daily, { forecastCalendar, horizonMonths, resolution }) {
+  const { monthStarts } = forecastCalendar;
+  const horizonDays = monthStarts[horizonMonths];
+  const byAverage = rollsUpByAverage({ forecastCalendar, resolution });
+  const results = {
+    baseline: [],
+    withInitiative: [],
+    incrementalDAU: [],
+    summary: {
+      totalImpact: 0,
+      peakImpact: 0,
+      peakMonth: 0,
+      peakLiftPercent: 0,
+      breakdown: {
+        existingUsers: 0,
+        newUsers: 0,
+        newAcquisition: 0,
+        grossAcquisition: 0,
+        cannibalizedAcquisition: 0,
+        reactivatedUsers: 0,
+        viralUsers: 0
+      }
+    }
+  };
+  
+  if (forecastCalendar.multipliers) {
+    results.calendar = {
+      startDate: forecastCalendar.startDate,
+      monthStartDates: monthStarts.slice(0, horizonMonths).map(day => forecastCalendar.dates[day])
+    };
+  }
+  
+  results.resolution = resolution;
+  results.horizonMonths = horizonMonths;
+  
+  for (let month = 1; month <= horizonMonths; month++) {
+    const monthStart = monthStarts[month - 1];
+    const monthLength = monthStarts[month] - monthStart;
+    let baselineDAU, existingUserIncrementalDAU, newUserIncrementalDAU, newAcquisitionDAU, cannibalizedDAU, reactivatedDAU, viralDAU;
+    
+    if (byAverage) {
+      // Monthly rollup: real average over the days of the month
+      baselineDAU = averageOver(daily.baseline, monthStart, monthLength);
+      existingUserIncrementalDAU = averageOver(daily.existingUsers, monthStart, monthLength);
+      newUserIncrementalDAU = averageOver(daily.newUsers, monthStart, monthLength);
+      newAcquisitionDAU = averageOver(daily.newAcquisition, monthStart, monthLength);
+      cannibalizedDAU = averageOver(daily.cannibalizedAcquisition, monthStart, monthLength);
+      reactivatedDAU = averageOver(daily.reactivatedUsers, monthStart, monthLength);
+      viralDAU = averageOver(daily.viralUsers, monthStart, monthLength);
+    } else {
+      // Monthly snapshot at day 15 of the month: Day = (month - 1) * 30 + 15
+      const day = monthStart + 15;
+      baselineDAU = daily.baseline[day];
+      existingUserIncrementalDAU = daily.existingUsers[day];
+      newUserIncrementalDAU = daily.newUsers[day];
+      newAcquisitionDAU = daily.newAcquisition[day];
+      cannibalizedDAU = daily.cannibalizedAcquisition[day];
+      reactivatedDAU = daily.reactivatedUsers[day];
+      viralDAU = daily.viralUsers[day];
+    }
+    const incrementalDAU = existingUserIncrementalDAU + newUserIncrementalDAU + newAcquisitionDAU + reactivatedDAU + viralDAU;
+    
+    // Store monthly results
+    results.baseline.push(Math.round(baselineDAU));
+    results.withInitiative.push(Math.round(baselineDAU + incrementalDAU));
+    results.incrementalDAU.push(Math.round(incrementalDAU));
+    
+    // Update summary stats
+    if (incrementalDAU > results.summary.peakImpact) {
+      results.summary.peakImpact = incrementalDAU;
+      results.summary.peakMonth = month;
+      results.summary.peakLiftPercent = baselineDAU > 0 ? (incrementalDAU / baselineDAU) * 100 : 0;
+    }
+    
+    // Accumulate total impact in DAU-days (snapshot mode approximates each month as snapshot × days in month)
+    if (!byAverage) {
+      results.summary.totalImpact += incrementalDAU * monthLength;
+      results.summary.breakdown.existingUsers += existingUserIncrementalDAU * monthLength;
+      results.summary.breakdown.newUsers += newUserIncrementalDAU * monthLength;
+      results.summary.breakdown.newAcquisition += newAcquisitionDAU * monthLength;
+      results.summary.breakdown.cannibalizedAcquisition += cannibalizedDAU * monthLength;
+      results.summary.breakdown.reactivatedUsers += reactivatedDAU * monthLength;
+      results.summary.breakdown.viralUsers += viralDAU * monthLength;
+    }
+  }
+  
+  if (byAverage) {
+    // Averaged months sum the actual DAU-days instead of approximating them
+    for (let day = 0; day < horizonDays; day++) {
+      results.summary.totalImpact += daily.existingUsers[day] + daily.newUsers[day] + daily.newAcquisition[day] + daily.reactivatedUsers[day] + daily.viralUsers[day];
+      results.summary.breakdown.existingUsers += daily.existingUsers[day];
+      results.summary.breakdown.newUsers += daily.newUsers[day];
+      results.summary.breakdown.newAcquisition += daily.newAcquisition[day];
+      results.summary.breakdown.cannibalizedAcquisition += daily.cannibalizedAcquisition[day];
+      results.summary.breakdown.reactivatedUsers += daily.reactivatedUsers[day];
+      results.summary.breakdown.viralUsers += daily.viralUsers[day];
+    }
+  }
+  
+  if (resolution === 'daily') {
+    results.daily = {
+      baseline: daily.baseline.map(Math.round),
+      withInitiative: daily.baseline.map((value, day) => Math.round(value + daily.incremental[day])),
+      incrementalDAU: daily.incremental.map(Math.round)
+    };
+    if (forecastCalendar.dates) {
+      results.daily.dates = forecastCalendar.dates;
+    }
+  }
+  
+  // Round summary values
+  results.summary.totalImpact = Math.round(results.summary.totalImpact);
+  results.summary.peakImpact = Math.round(results.summary.peakImpact);
+  results.summary.peakLiftPercent = Math.round(results.summary.peakLiftPercent * 10) / 10;
+  results.summary.breakdown.existingUsers = Math.round(results.summary.breakdown.existingUsers);
+  results.summary.breakdown.newUsers = Math.round(results.summary.breakdown.newUsers);
+  results.summary.breakdown.grossAcquisition = Math.round(results.summary.breakdown.newAcquisition + results.summary.breakdown.cannibalizedAcquisition);
+  results.summary.breakdown.newAcquisition = Math.round(results.summary.breakdown.newAcquisition);
+  results.summary.breakdown.cannibalizedAcquisition = Math.round(results.summary.breakdown.cannibalizedAcquisition);
+  results.summary.breakdown.reactivatedUsers = Math.round(results.summary.breakdown.reactivatedUsers);
+  results.summary.breakdown.viralUsers = Math.round(results.summary.breakdown.viralUsers);
+  
+  return results;
+}
+
+// Roll a simulated forecast up into monthly DAU plus WAU/MAU and stickiness
+function rollUpForecast(simulatedDaily, forecast) {
+  const { forecastCalendar, horizonMonths, resolution, activity } = forecast;
+  const activeUsers = estimateActiveUsers(simulatedDaily, activity.dailyActiveRate);
+  const daily = withCalendarEffects(simulatedDaily, forecastCalendar);
+  const results = rollUpDAU(daily, forecast);
+  const { monthStarts } = forecastCalendar;
+  
+  // WAU/MAU and DAU/WAU, DAU/MAU stickiness (%), rolled up like DAU
+  const byAverage = rollsUpByAverage(forecast);
+  const rollUpSeries = (series) => monthStarts.slice(0, horizonMonths).map((monthStart, index) => byAverage
+    ? averageOver(series, monthStart, monthStarts[index + 1] - monthStart)
+    : series[monthStart + 15]);
+  const stickiness = (dau, windowUsers) => windowUsers > 0 ? Math.round((dau / windowUsers) * 1000) / 10 : 0;
+  const dau = {
+    baseline: daily.baseline,
+    withInitiative: daily.baseline.map((value, day) => value + daily.incremental[day])
+  };
+  const monthlyDAU = { baseline: rollUpSeries(dau.baseline), withInitiative: rollUpSeries(dau.withInitiative) };
+  results.activeUsers = {};
+  Object.entries(ACTIVE_USER_WINDOWS).forEach(([metric, { stickiness: ratio }]) => {
+    results.activeUsers[metric] = {};
+    results.activeUsers[ratio] = {};
+    ['baseline', 'withInitiative'].forEach(series => {
+      const monthly = rollUpSeries(activeUsers[metric][series]);
+      results.activeUsers[metric][series] = monthly.map(Math.round);
+      results.activeUsers[ratio][series] = monthly.map((value, index) => stickiness(monthlyDAU[series][index], value));
+    });
+    
+    if (results.daily) {
+      results.daily.activeUsers = results.daily.activeUsers || {};
+      results.daily.activeUsers[metric] = {};
+      results.daily.activeUsers[ratio] = {};
+      ['baseline', 'withInitiative'].forEach(series => {
+        results.daily.activeUsers[metric][series] = activeUsers[metric][series].map(Math.round);
+        results.daily.activeUsers[ratio][series] = activeUsers[metric][series].map((value, day) => stickiness(dau[series][day], value));
+      });
+    }
+  });
+  
+  return results;
+}
+
+// Percentage of the retention uplift still in effect, rolled up like the DAU series so the chart
+// can overlay the fading effect (100 before launch)
+function summarizeNoveltyDecay(retention, { forecastCalendar, horizonMonths, resolution }) {
+  const { monthStarts } = forecastCalendar;
+  const launchDay = retention.monthsToStart * DAYS_PER_MONTH;
+  const remaining = Array.from({ length: monthStarts[horizonMonths] }, (_, day) =>
+    day < launchDay ? 100 : getNoveltyFactor(retention.novelty, day - launchDay) * 100);
+  const round = (value) => Math.round(value * 10) / 10;
+  
+  const monthly = monthStarts.slice(0, horizonMonths).map((monthStart, index) => resolution === 'daily'
+    ? round(averageOver(remaining, monthStart, monthStarts[index + 1] - monthStart))
+    : round(remaining[monthStart + 15]));
+  return resolution === 'daily' ? { remaining: monthly, daily: { remaining: remaining.map(round) } } : { remaining: monthly };
+}
+
+// Baseline and incremental DAU of each targeted cell, with calendar effects, rolled up like the
+// totals. Cells fitted from their own retention data report those curves
+function rollUpCells(cells, { forecastCalendar, horizonMonths, resolution }) {
+  const { monthStarts, multipliers } = forecastCalendar;
+  const adjust = (series) => multipliers ? series.map((value, day) => value * multipliers[day]) : series;
+  const byAverage = rollsUpByAverage({ forecastCalendar, resolution });
+  const rollUp = (series) => monthStarts.slice(0, horizonMonths).map((monthStart, index) => Math.round(byAverage
+    ? averageOver(series, monthStart, monthStarts[index + 1] - monthStart)
+    : series[monthStart + 15]));
+  const breakdown = { monthly: {}, daily: resolution === 'daily' ? {} : null };
+  
+  cells.forEach(({ key, daily, retentionCurves, existingUserDecay }) => {
+    const baseline = adjust(daily.baseline);
+    const withInitiative = adjust(daily.baseline.map((value, day) => value + daily.incremental[day]));
+    const incrementalDAU = adjust(daily.incremental);
+    breakdown.monthly[key] = {
+      baseline: rollUp(baseline),
+      withInitiative: rollUp(withInitiative),
+      incrementalDAU: rollUp(incrementalDAU)
+    };
+    if (retentionCurves) {
+      Object.assign(breakdown.monthly[key], { retentionCurves, existingUserDecay });
+    }
+    if (breakdown.daily) {
+      breakdown.daily[key] = {
+        baseline: baseline.map(Math.round),
+        withInitiative: withInitiative.map(Math.round),
+        incrementalDAU: incrementalDAU.map(Math.round)
+      };
+    }
+  });
+  return breakdown;
+}
+
+// Baseline, with-initiative and incremental revenue summed per month, with calendar effects, plus
+// campaign cohort LTV: each cell's installs earn its LTV per install, net of displaced organic
+// installs that would have earned it anyway
+function summarizeRevenue({ daily, campaignCohorts, ltvDays, acquisitionSchedule, forecastCalendar, horizonMonths, resolution }) {
+  const { monthStarts, multipliers } = forecastCalendar;
+  const adjust = (series) => multipliers ? series.map((value, day) => value * multipliers[day]) : series;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const round = (value) => Math.round(value * 100) / 100;
+  const baseline = adjust(daily.baselineRevenue);
+  const incremental = adjust(daily.incrementalRevenue);
+  const withInitiative = baseline.map((value, day) => value + incremental[day]);
+  const rollUp = (series) => monthStarts.slice(0, horizonMonths).map((monthStart, index) =>
+    round(sum(series.slice(monthStart, monthStarts[index + 1]))));
+  
+  const revenue = {
+    baseline: rollUp(baseline),
+    withInitiative: rollUp(withInitiative),
+    incremental: rollUp(incremental),
+    summary: {
+      totalBaseline: round(sum(baseline)),
+      totalWithInitiative: round(sum(withInitiative)),
+      totalIncremental: round(sum(incremental)),
+      liftPercent: sum(baseline) > 0 ? Math.round(sum(incremental) / sum(baseline) * 1000) / 10 : 0
+    }
+  };
+  if (resolution === 'daily') {
+    revenue.daily = {
+      baseline: baseline.map(round),
+      withInitiative: withInitiative.map(round),
+      incremental: incremental.map(round)
+    };
+  }
+  
+  if (campaignCohorts) {
+    const installs = sum(campaignCohorts.map(cell => cell.installs));
+    const netInstalls = sum(campaignCohorts.map(cell => cell.installs - cell.displaced));
+    const cohortRevenue = sum(campaignCohorts.map(cell => (cell.installs - cell.displaced) * cell.perInstall));
+    revenue.ltv = {
+      days: ltvDays,
+      perInstall: installs > 0 ? round(sum(campaignCohorts.map(cell => cell.installs * cell.perInstall)) / installs) : 0,
+      netInstalls: Math.round(netInstalls),
+      cohortRevenue: round(cohortRevenue)
+    };
+    if (acquisitionSchedule.spend) {
+      const spend = sum(acquisitionSchedule.spend);
+      revenue.ltv.spend = round(spend);
+      revenue.ltv.roas = spend > 0 ? Math.round(cohortRevenue / spend * 100) / 100 : null;
+    }
+  }
+  
+  return revenue;
+}
+
+// Days after install at which cost per retained campaign user is reported
+const RETAINED_USER_DAYS = [30, 180, 360];
+
+// Economics of a costed acquisition campaign: spend per average incremental acquisition DAU over
+// the forecast window and per campaign user still retained 30, 180 and 360 days after install.
+// With monetization, payback is the first day after the campaign starts on which its installs have
+// earned back the total spend, and ROI compares their revenue within the window with the spend
+function summarizeAcquisitionEconomics({ daily, acquisitionSchedule, campaignCohorts, forecastCalendar, horizonMonths }, monetized) {
+  const { monthStarts, multipliers } = forecastCalendar;
+  const horizonDays = monthStarts[horizonMonths];
+  const adjust = (series) => multipliers ? series.map((value, day) => value * multipliers[day]) : series;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const round = (value) => Math.round(value * 100) / 100;
+  const spend = sum(acquisitionSchedule.spend);
+  const averageDAU = sum(adjust(daily.newAcquisition)) / horizonDays;
+  
+  const economics = {
+    totalSpend: round(spend),
+    costPerIncrementalDAU: averageDAU > 0 ? round(spend / averageDAU) : null,
+    costPerRetainedUser: Object.fromEntries(RETAINED_USER_DAYS.map(day => {
+      const retained = sum(campaignCohorts.map(cell => (cell.installs - cell.displaced) * getRetentionAtDay(cell.curve, day)));
+      return [`d${day}`, retained > 0 ? round(spend / retained) : null];
+    }))
+  };
+  
+  if (monetized) {
+    const revenue = adjust(daily.acquisitionRevenue);
+    let earned = 0;
+    economics.paybackDay = null;
+    for (let day = acquisitionSchedule.startDay; day < horizonDays; day++) {
+      earned += revenue[day];
+      if (spend > 0 && earned >= spend) {
+        economics.paybackDay = day - acquisitionSchedule.startDay;
+        break;
+      }
+    }
+    const horizonRevenue = sum(revenue);
+    economics.horizonRevenue = round(horizonRevenue);
+    economics.roiPercent = spend > 0 ? Math.round((horizonRevenue - spend) / spend * 1000) / 10 : null;
+  }
+  
+  return economics;
+}
+
+// Calculate DAU impact with sophisticated modeling
+function calculateDAUimpact(params) {
+  const forecast = simulateForecast(params);
+  const { retentionCurves } = forecast;
+  const results = rollUpForecast(forecast.daily, forecast);
+  results.retentionCurves = retentionCurves;
+  results.existingUserDecay = forecast.existingUserDecay;
+  
+  const cells = rollUpCells(forecast.cells, forecast);
+  results.cells = cells.monthly;
+  if (results.daily) {
+    results.daily.cells = cells.daily;
+  }
+  
+  if (forecast.acquisitionSchedule) {
+    results.acquisitionPlan = summarizeAcquisitionSchedule(forecast.acquisitionSchedule);
+  }
+  
+  if ((params.initiativeType === 'retention' || params.initiativeType === 'combined') && params.retention.novelty) {
+    results.noveltyDecay = summarizeNoveltyDecay(params.retention, forecast);
+  }
+  
+  if (params.viral) {
+    const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0));
+    results.viral = {
+      baselineInstalls: sum(forecast.daily.baselineViralInstalls),
+      incrementalInstalls: sum(forecast.daily.viralInstalls)
+    };
+  }
+  
+  if (params.monetization) {
+    results.revenue = summarizeRevenue(forecast);
+  }
+  
+  if (forecast.acquisitionSchedule && forecast.acquisitionSchedule.spend) {
+    results.acquisitionEconomics = summarizeAcquisitionEconomics(forecast, Boolean(params.monetization));
+  }
+  
+  if (params.initiativeType === 'reactivation') {
+    results.reactivation = {
+      totalReactivated: Math.round(forecast.daily.reactivations.reduce((sum, value) => sum + value, 0))
+    };
+  }
+  
+  // Optional Monte Carlo bands around the point estimate
+  if (params.uncertainty) {
+    // Reuse the selected curve families so each simulation only refits the gains
+    results.uncertainty = runMonteCarlo({
+      ...params,
+      curveSelection: { mode: 'fixed', newUsers: retentionCurves.baseNewUser.type, existingUsers: retentionCurves.baseExistingUser.type }
+    });
+  }
+  
+  return results;
+}
+
+// How overlapping retention gains on the same users combine in a portfolio
+const OVERLAP_RULES = ['additive', 'multiplicative', 'capped'];
+
+// Combine the retention uplifts (DAU) several initiatives produce on the same users on one day:
+// additive sums them, multiplicative compounds the relative lifts over the baseline, and
+// capped sums them up to capPercent of the baseline
+function combineRetentionUplift(uplifts, baselineDAU, overlap) {
+  if (overlap.rule === 'multiplicative' && baselineDAU > 0) {
+    return baselineDAU * (uplifts.reduce((factor, uplift) => factor * (1 + uplift / baselineDAU), 1) - 1);
+  }
+  const total = uplifts.reduce((sum, uplift) => sum + uplift, 0);
+  if (overlap.rule === 'capped') {
+    return Math.min(total, baselineDAU * overlap.capPercent / 100);
+  }
+  return total;
+}
+
+function validatePortfolio(initiatives, overlap) {
+  if (!Array.isArray(initiatives) || initiatives.length === 0) {
+    throw new Error('initiatives must be a non-empty array');
+  }
+  const names = initiatives.map(initiative => initiative.name);
+  if (names.some(name => typeof name !== 'string' || name.trim() === '')) {
+    throw new Error('Every initiative needs a name');
+  }
+  if (new Set(names).size !== names.length) {
+    throw new Error('Initiative names must be unique');
+  }
+  if (!OVERLAP_RULES.includes(overlap.rule)) {
+    throw new Error(`Unsupported overlap rule: ${overlap.rule}`);
+  }
+  if (overlap.rule === 'capped' && !(typeof overlap.capPercent === 'number' && overlap.capPercent >= 0)) {
+    throw new Error('overlap.capPercent must be a non-negative number for the capped rule');
+  }
+}
+
+// Forecast several concurrent initiatives against one baseline. Each initiative carries its own
+// name, initiativeType, timing blocks (acquisition / retention / reactivation), targeting
+// and exposureRate; shared settings (baseline, horizon, calendar, curve fitting) come from params.
+// Retention uplifts combine by the overlap rule and are attributed back to each initiative in
+// proportion to its standalone uplift.
+function calculatePortfolioImpact(params) {
+  const { initiatives, overlap = { rule: 'additive' }, uncertainty, ...shared } = params;
+  validatePortfolio(initiatives, overlap);
+  if (uncertainty) {
+    throw new Error('Uncertainty bands are not supported for initiative portfolios');
+  }
+  if (shared.monetization) {
+    throw new Error('Revenue forecasts are not supported for initiative portfolios');
+  }
+  
+  const baselineForecast = simulateForecast({ ...shared, initiativeType: null });
+  const forecasts = initiatives.map(initiative => simulateForecast({ ...shared, ...initiative }));
+  const { baseline } = baselineForecast.daily;
+  
+  const retentionScales = [];
+  const attributed = forecasts.map(forecast => ({
+    baseline,
+    baselineInstalls: baselineForecast.daily.baselineInstalls,
+    incrementalInstalls: forecast.daily.incrementalInstalls,
+    existingUsers: [],
+    newUsers: [],
+    newAcquisition: [],
+    cannibalizedAcquisition: [],
+    reactivatedUsers: [],
+    viralUsers: [],
+    incremental: []
+  }));
+  
+  for (let day = 0; day < baseline.length; day++) {
+    const uplifts = forecasts.map(forecast => forecast.daily.existingUsers[day] + forecast.daily.newUsers[day]);
+    const total = uplifts.reduce((sum, uplift) => sum + uplift, 0);
+    const scale = total > 0 ? combineRetentionUplift(uplifts, baseline[day], overlap) / total : 0;
+    retentionScales.push(scale);
+    
+    // New installs, won-back users and the invites they send are distinct people, so they always add up
+    attributed.forEach((series, index) => {
+      series.existingUsers.push(forecasts[index].daily.existingUsers[day] * scale);
+      series.newUsers.push(forecasts[index].daily.newUsers[day] * scale);
+      series.newAcquisition.push(forecasts[index].daily.newAcquisition[day]);
+      series.cannibalizedAcquisition.push(forecasts[index].daily.cannibalizedAcquisition[day]);
+      series.reactivatedUsers.push(forecasts[index].daily.reactivatedUsers[day]);
+      series.viralUsers.push(forecasts[index].daily.viralUsers[day]);
+      series.incremental.push(series.existingUsers[day] + series.newUsers[day] + series.newAcquisition[day] + series.reactivatedUsers[day] + series.viralUsers[day]);
+    });
+  }
+  
+  const combined = { baseline, baselineInstalls: baselineForecast.daily.baselineInstalls };
+  ['existingUsers', 'newUsers', 'newAcquisition', 'cannibalizedAcquisition', 'reactivatedUsers', 'viralUsers', 'incremental', 'incrementalInstalls'].forEach(key => {
+    combined[key] = baseline.map((_, day) => attributed.reduce((sum, series) => sum + series[key][day], 0));
+  });
+  
+  const results = rollUpForecast(combined, baselineForecast);
+  results.retentionCurves = baselineForecast.retentionCurves;
+  results.existingUserDecay = baselineForecast.existingUserDecay;
+  
+  // Per-cell incremental DAU scales each cell's retention uplift the same way as the totals
+  const cellIncremental = (key, day) => forecasts.reduce((sum, forecast) => {
+    const cell = forecast.cells.find(candidate => candidate.key === key);
+    if (!cell) {
+      return sum;
+    }
+    const { existingUsers, newUsers, incremental } = cell.daily;
+    const uplift = existingUsers[day] + newUsers[day];
+    return sum + incremental[day] - uplift + uplift * retentionScales[day];
+  }, 0);
+  const cells = rollUpCells(baselineForecast.cells.map(cell => ({
+    ...cell,
+    daily: { baseline: cell.daily.baseline, incremental: baseline.map((_, day) => cellIncremental(cell.key, day)) }
+  })), baselineForecast);
+  results.cells = cells.monthly;
+  if (results.daily) {
+    results.daily.cells = cells.daily;
+  }
+  results.overlap = overlap;
+  results.initiatives = initiatives.map((initiative, index) => {
+    const rolledUp = rollUpForecast(attributed[index], baselineForecast);
+    const contribution = {
+      name: initiative.name,
+      initiativeType: initiative.initiativeType,
+      incrementalDAU: rolledUp.incrementalDAU,
+      summary: rolledUp.summary
+    };
+    if (rolledUp.daily) {
+      contribution.daily = { incrementalDAU: rolledUp.daily.incrementalDAU };
+    }
+    return contribution;
+  });
+  
+  return results;
+}
+
+// Inputs that accept probability distributions: weekly installs and a d<day>Gain for any checkpoint day
+const RETENTION_GAIN_INPUT = /^d(\d+)Gain$/;
+
+function isUncertainInput(input) {
+  return input === 'weeklyInstalls' || RETENTION_GAIN_INPUT.test(input);
+}
+
+// Copy of the forecast params with weeklyInstalls or a d<day>Gain set to value
+function withInputValue(params, input, value) {
+  if (input === 'weeklyInstalls') {
+    return { ...params, acquisition: { ...params.acquisition, weeklyInstalls: value } };
+  }
+  // Replace any listed gain for the same day so the value takes effect
+  const day = Number(RETENTION_GAIN_INPUT.exec(input)[1]);
+  const gains = ((params.retention && params.retention.gains) || []).filter(entry => entry.day !== day);
+  return { ...params, retention: { ...params.retention, gains: gains.concat({ day, gain: value }) } };
+}
+
+// Upper bound on simulations per request to keep response times reasonable
+const MAX_SIMULATIONS = 1000;
+// Each simulation convolves every daily cohort over the horizon, so its cost grows with the square
+// of the horizon in days. Requests are capped to the cost of 200 simulations over 12 months
+const MAX_SIMULATION_COST = 200 * (12 * DAYS_PER_MONTH) ** 2;
+
+// Simulations allowed over a horizon: 200 over 12 months, 50 over 24, 22 over 36
+function maxSimulationsFor(horizonMonths) {
+  const horizonDays = horizonMonths * DAYS_PER_MONTH;
+  return Math.max(2, Math.min(MAX_SIMULATIONS, Math.floor(MAX_SIMULATION_COST / horizonDays ** 2)));
+}
+
+// Seeded pseudo-random generator (mulberry32) so simulation runs are reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Draw one value from a normal, uniform or triangular distribution
+function sampleDistribution(spec, random) {
+  switch (spec.distribution) {
+    case 'normal': {
+      // Box-Muller transform
+      const u1 = Math.max(random(), Number.EPSILON);
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return spec.mean + spec.sd * z;
+    }
+    case 'uniform':
+      return spec.min + (spec.max - spec.min) * random();
+    case 'triangular': {
+      // Inverse CDF of the triangular distribution
+      const { min, mode, max } = spec;
+      const u = random();
+      const split = (mode - min) / (max - min);
+      if (u < split) {
+        return min + Math.sqrt(u * (max - min) * (mode - min));
+      }
+      return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default:
+      throw new Error(`Unsupported distribution: ${spec.distribution}`);
+  }
+}
+
+function validateDistribution(input, spec) {
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const valid = {
+    normal: () => isNumber(spec.mean) && isNumber(spec.sd) && spec.sd >= 0,
+    uniform: () => isNumber(spec.min) && isNumber(spec.max) && spec.min <= spec.max,
+    triangular: () => isNumber(spec.min) && isNumber(spec.mode) && isNumber(spec.max) &&
+      spec.min <= spec.mode && spec.mode <= spec.max && spec.min < spec.max
+  };
+  
+  if (!spec || !valid[spec.distribution]) {
+    throw new Error(`Unsupported distribution for ${input}: ${spec && spec.distribution}`);
+  }
+  if (!valid[spec.distribution]()) {
+    throw new Error(`Invalid ${spec.distribution} distribution parameters for ${input}`);
+  }
+}
+
+// Linear-interpolated percentile of an ascending sorted array (p in 0..100)
+function percentile(sortedValues, p) {
+  const position = (sortedValues.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+// P10/P50/P90 per index across simulation runs: runs[simulation][index]
+function percentileBands(runs) {
+  const bands = { p10: [], p50: [], p90: [] };
+  for (let i = 0; i < runs[0].length; i++) {
+    const values = runs.map(run => run[i]).sort((a, b) => a - b);
+    bands.p10.push(Math.round(percentile(values, 10)));
+    bands.p50.push(Math.round(percentile(values, 50)));
+    bands.p90.push(Math.round(percentile(values, 90)));
+  }
+  return bands;
+}
+
+// Monte Carlo simulation: re-runs the forecast with sampled inputs and returns percentile bands
+function runMonteCarlo(params) {
+  const { uncertainty, ...baseParams } = params;
+  const { inputs = {}, seed = 1 } = uncertainty;
+  const requestedSimulations = Math.round(uncertainty.simulations || 200);
+  
+  if (!(requestedSimulations >= 2)) {
+    throw new Error('simulations must be at least 2');
+  }
+  // Longer horizons run fewer simulations; the response reports how many ran
+  const simulations = Math.min(requestedSimulations, maxSimulationsFor(baseParams.horizonMonths || 12));
+  
+  Object.entries(inputs).forEach(([input, spec]) => {
+    if (!isUncertainInput(input)) {
+      throw new Error(`Unsupported uncertain input: ${input}`);
+    }
+    // Sampled installs would leave the forecast unchanged
+    if (input === 'weeklyInstalls' && (!isAcquisitionInitiative(baseParams) || baseParams.acquisition.budget)) {
+      throw new Error('weeklyInstalls uncertainty requires an install-driven acquisition or combined initiative');
+    }
+    validateDistribution(input, spec);
+  });
+  
+  const random = createRandom(seed);
+  const series = ['baseline', 'withInitiative', 'incrementalDAU'];
+  const monthlyRuns = { baseline: [], withInitiative: [], incrementalDAU: [] };
+  const dailyRuns = { baseline: [], withInitiative: [], incrementalDAU: [] };
+  const totalImpacts = [];
+  const peakImpacts = [];
+  
+  for (let run = 0; run < simulations; run++) {
+    let sampledParams = baseParams;
+    Object.entries(inputs).forEach(([input, spec]) => {
+      const value = sampleDistribution(spec, random);
+      // Install volumes cannot go negative
+      sampledParams = withInputValue(sampledParams, input, input === 'weeklyInstalls' ? Math.max(0, value) : value);
+    });
+    
+    // Only the DAU totals are banded, so skip cell rollups, WAU/MAU and revenue
+    const forecast = simulateForecast({ ...sampledParams, monetization: null });
+    const runResults = rollUpDAU(withCalendarEffects(forecast.daily, forecast.forecastCalendar), forecast);
+    series.forEach(key => {
+      monthlyRuns[key].push(runResults[key]);
+      if (runResults.daily) {
+        dailyRuns[key].push(runResults.daily[key]);
+      }
+    });
+    totalImpacts.push(runResults.summary.totalImpact);
+    peakImpacts.push(runResults.summary.peakImpact);
+  }
+  
+  const summaryBand = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      p10: Math.round(percentile(sorted, 10)),
+      p50: Math.round(percentile(sorted, 50)),
+      p90: Math.round(percentile(sorted, 90))
+    };
+  };
+  
+  const output = {
+    simulations,
+    ...(simulations < requestedSimulations && { requestedSimulations }),
+    seed,
+    inputs: Object.keys(inputs),
+    bands: {},
+    summary: {
+      totalImpact: summaryBand(totalImpacts),
+      peakImpact: summaryBand(peakImpacts)
+    }
+  };
+  series.forEach(key => {
+    output.bands[key] = percentileBands(monthlyRuns[key]);
+  });
+  
+  if (dailyRuns.baseline.length > 0) {
+    output.daily = {};
+    series.forEach(key => {
+      output.daily[key] = percentileBands(dailyRuns[key]);
+    });
+  }
+  
+  return output;
+}
+
+const isAcquisitionInitiative = (params) => params.initiativeType === 'acquisition' || params.initiativeType === 'combined';
+const isRetentionInitiative = (params) => params.initiativeType === 'retention' || params.initiativeType === 'combined';
+
+// Forecast metrics a goal seek can target; incrementalDAU is read at target.month
+const GOAL_METRICS = {
+  incrementalDAU: (results, month) => results.incrementalDAU[month - 1],
+  peakImpact: (results) => results.summary.peakImpact,
+  peakLiftPercent: (results) => results.summary.peakLiftPercent,
+  totalImpact: (results) => results.summary.totalImpact
+};
+
+// Search range when the request gives no bounds: weekly installs, or percentage points of gain
+const DEFAULT_GOAL_BOUNDS = {
+  weeklyInstalls: { min: 0, max: 1000000 },
+  gain: { min: 0, max: 50 }
+};
+
+const MAX_GOAL_ITERATIONS = 60;
+
+function validateGoalSeek({ variable, target, bounds }, params) {
+  if (Array.isArray(params.initiatives)) {
+    throw new Error('Goal seek solves a single initiative, not a portfolio');
+  }
+  if (!isUncertainInput(variable)) {
+    throw new Error(`Unsupported goal-seek variable: ${variable}`);
+  }
+  if (variable === 'weeklyInstalls' && !(isAcquisitionInitiative(params) && !params.acquisition.budget)) {
+    throw new Error('Goal seek on weeklyInstalls needs an install-driven acquisition or combined initiative');
+  }
+  if (variable !== 'weeklyInstalls' && !isRetentionInitiative(params)) {
+    throw new Error(`Goal seek on ${variable} needs a retention or combined initiative`);
+  }
+  if (!target || !GOAL_METRICS[target.metric]) {
+    throw new Error(`Unsupported goal-seek metric: ${target && target.metric}`);
+  }
+  if (!(typeof target.value === 'number' && Number.isFinite(target.value))) {
+    throw new Error('goalSeek.target.value must be a number');
+  }
+  const horizonMonths = params.horizonMonths || 12;
+  if (target.metric === 'incrementalDAU' && !(Number.isInteger(target.month) && target.month >= 1 && target.month <= horizonMonths)) {
+    throw new Error(`goalSeek.target.month must be an integer between 1 and ${horizonMonths}`);
+  }
+  if (!(typeof bounds.min === 'number' && typeof bounds.max === 'number' && bounds.min < bounds.max)) {
+    throw new Error('goalSeek.bounds must give a min below max');
+  }
+}
+
+// Goal seek: the value of one free input (weeklyInstalls or a d<day>Gain) at which a forecast
+// metric reaches target.value, found by bisection within bounds. The metric is assumed to move
+// one way as the input grows; a target outside the metric's range over the bounds is infeasible
+function solveGoalSeek(params) {
+  // Monte Carlo bands are left out of the search
+  const { goalSeek = {}, uncertainty, ...forecastParams } = params;
+  const { variable, target } = goalSeek;
+  const bounds = goalSeek.bounds || DEFAULT_GOAL_BOUNDS[variable === 'weeklyInstalls' ? 'weeklyInstalls' : 'gain'];
+  validateGoalSeek({ variable, target, bounds }, forecastParams);
+  // Within 0.1% of the target, or half of the metric's rounding step
+  const tolerance = goalSeek.tolerance ?? Math.max(Math.abs(target.value) * 0.001, 0.05);
+  
+  const evaluate = (value) => {
+    const results = calculateDAUimpact(withInputValue(forecastParams, variable, value));
+    return { value, results, achieved: GOAL_METRICS[target.metric](results, target.month) };
+  };
+  
+  let low = evaluate(bounds.min);
+  let high = evaluate(bounds.max);
+  const solution = {
+    variable,
+    target,
+    bounds,
+    achievable: { min: Math.min(low.achieved, high.achieved), max: Math.max(low.achieved, high.achieved) }
+  };
+  
+  if (target.value < solution.achievable.min - tolerance || target.value > solution.achievable.max + tolerance) {
+    return {
+      ...solution,
+      feasible: false,
+      message: `${target.metric} ranges from ${solution.achievable.min} to ${solution.achievable.max} for ${variable} between ${bounds.min} and ${bounds.max}`
+    };
+  }
+  
+  // Keep the target between the two ends: `low` falls short of it and `high` reaches it
+  const increasing = high.achieved >= low.achieved;
+  const reaches = (point) => increasing ? point.achieved >= target.value : point.achieved <= target.value;
+  let best = reaches(low) ? low : high;
+  let iterations = 0;
+  while (!reaches(low) && Math.abs(best.achieved - target.value) > tolerance && iterations < MAX_GOAL_ITERATIONS) {
+    const middle = evaluate((low.value + high.value) / 2);
+    if (reaches(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+    best = Math.abs(middle.achieved - target.value) < Math.abs(best.achieved - target.value) ? middle : best;
+    iterations++;
+  }
+  
+  return {
+    ...solution,
+    feasible: true,
+    value: Math.round(best.value * 100) / 100,
+    achieved: best.achieved,
+    iterations,
+    forecast: best.results
+  };
+}
+
+// Inputs the sensitivity analysis perturbs. 'percent' inputs move by ±change % of their value,
+// 'absolute' ones (launch timing) by ±change of their unit, never below zero
+const SENSITIVITY_INPUTS = {
+  weeklyInstalls: {
+    mode: 'percent',
+    defaultChange: 10,
+    applies: (params) => isAcquisitionInitiative(params) && !params.acquisition.budget,
+    get: (params) => params.acquisition.weeklyInstalls || 0,
+    set: (params, value) => withInputValue(params, 'weeklyInstalls', value)
+  },
+  weeklyBudget: {
+    mode: 'percent',
+    defaultChange: 10,
+    applies: (params) => isAcquisitionInitiative(params) && Boolean(params.acquisition.budget),
+    get: (params) => params.acquisition.budget.weekly,
+    set: (params, value) => ({ ...params, acquisition: { ...params.acquisition, budget: { ...params.acquisition.budget, weekly: value } } })
+  },
+  weeksToStart: {
+    mode: 'absolute',
+    defaultChange: 1,
+    applies: isAcquisitionInitiative,
+    get: (params) => params.acquisition.weeksToStart || 0,
+    set: (params, value) => ({ ...params, acquisition: { ...params.acquisition, weeksToStart: value } })
+  },
+  monthsToStart: {
+    mode: 'absolute',
+    defaultChange: 1,
+    applies: isRetentionInitiative,
+    get: (params) => params.retention.monthsToStart || 0,
+    set: (params, value) => ({ ...params, retention: { ...params.retention, monthsToStart: Math.round(value) } })
+  },
+  exposureRate: {
+    mode: 'percent',
+    defaultChange: 10,
+    // Exposure only scales the retention launch and the reactivation pool
+    applies: (params) => isRetentionInitiative(params) || params.initiativeType === 'reactivation',
+    get: (params) => params.exposureRate ?? 100,
+    set: (params, value) => ({ ...params, exposureRate: Math.min(100, value) })
+  },
+  baselineDAU: {
+    mode: 'percent',
+    defaultChange: 10,
+    applies: () => true,
+    // Relative to the current baseline; every cell's current DAU scales together
+    get: () => 1,
+    set: (params, value) => {
+      const baselineData = params.customBaseline || BASELINE_DATA;
+      const currentDAU = Object.fromEntries(Object.entries(baselineData.currentDAU).map(([key, dau]) => [key, dau * value]));
+      return { ...params, customBaseline: { ...baselineData, currentDAU } };
+    }
+  }
+};
+
+// Perturbed input: a SENSITIVITY_INPUTS entry, or a d<day>Gain moved by ±change % of the gain
+function getSensitivityInput(input) {
+  if (SENSITIVITY_INPUTS[input]) {
+    return SENSITIVITY_INPUTS[input];
+  }
+  const match = RETENTION_GAIN_INPUT.exec(input);
+  if (!match) {
+    throw new Error(`Unsupported sensitivity input: ${input}`);
+  }
+  return {
+    mode: 'percent',
+    defaultChange: 10,
+    applies: isRetentionInitiative,
+    get: (params) => getRetentionGains(params.retention).get(Number(match[1])) || 0,
+    set: (params, value) => withInputValue(params, input, value)
+  };
+}
+
+// Sensitivity analysis: re-run the forecast with each input moved down and up by its change and
+// report how total and peak impact respond, widest swing first (the order of a tornado chart).
+// sensitivity.changes overrides the default change per input; sensitivity.inputs limits the
+// inputs, which otherwise are every one that applies to the initiative plus its non-zero gains
+function runSensitivityAnalysis(params) {
+  // Monte Carlo bands are left out of every run
+  const { sensitivity = {}, uncertainty, ...forecastParams } = params;
+  if (Array.isArray(forecastParams.initiatives)) {
+    throw new Error('Sensitivity analysis covers a single initiative, not a portfolio');
+  }
+  const { changes = {} } = sensitivity;
+  const gainInputs = isRetentionInitiative(forecastParams)
+    ? Array.from(getRetentionGains(forecastParams.retention).keys()).sort((a, b) => a - b).map(day => `d${day}Gain`)
+    : [];
+  const inputs = sensitivity.inputs || [
+    ...Object.keys(SENSITIVITY_INPUTS).filter(input => SENSITIVITY_INPUTS[input].applies(forecastParams)),
+    ...gainInputs
+  ];
+  Object.keys(changes).forEach(input => getSensitivityInput(input));
+  
+  const metrics = (results) => ({ totalImpact: results.summary.totalImpact, peakImpact: results.summary.peakImpact });
+  const base = metrics(calculateDAUimpact(forecastParams));
+  
+  const rows = inputs.map(input => {
+    const spec = getSensitivityInput(input);
+    if (!spec.applies(forecastParams)) {
+      throw new Error(`Sensitivity input ${input} does not apply to a ${forecastParams.initiativeType} initiative`);
+    }
+    const change = changes[input] ?? spec.defaultChange;
+    if (!(typeof change === 'number' && change >= 0)) {
+      throw new Error(`Sensitivity change for ${input} must be a non-negative number`);
+    }
+    
+    const current = spec.get(forecastParams);
+    const perturb = (direction) => {
+      const value = Math.max(0, spec.mode === 'percent'
+        ? current * (1 + direction * change / 100)
+        : current + direction * change);
+      const result = metrics(calculateDAUimpact(spec.set(forecastParams, value)));
+      return {
+        value: Math.round(value * 10000) / 10000,
+        ...result,
+        totalImpactChange: result.totalImpact - base.totalImpact,
+        peakImpactChange: result.peakImpact - base.peakImpact
+      };
+    };
+    
+    return { input, mode: spec.mode, change, value: current, low: perturb(-1), high: perturb(1) };
+  });
+  
+  const swing = (row) => Math.abs(row.high.totalImpact - row.low.totalImpact);
+  rows.sort((a, b) => swing(b) - swing(a));
+  
+  return { base, inputs: rows };
+}
+
+// Actual daily DAU as { values, dates }. Accepts CSV text (one dau or date,dau row per day, with
+// an optional header) or a JSON list of numbers or { date, dau } rows; dated rows must be consecutive days
+function parseActuals(actuals) {
+  let rows;
+  if (typeof actuals === 'string') {
+    const lines = actuals.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    rows = lines.map(line => line.split(',').map(cell => cell.trim()));
+    if (rows.length > 0 && Number.isNaN(Number(rows[0][rows[0].length - 1]))) {
+      rows.shift();
+    }
+    rows = rows.map(cells => cells.length > 1 ? { date: cells[0], dau: Number(cells[1]) } : { dau: Number(cells[0]) });
+  } else if (Array.isArray(actuals)) {
+    rows = actuals.map(row => typeof row === 'number' ? { dau: row } : row);
+  } else {
+    throw new Error('actuals must be CSV text or a list of daily DAU values');
+  }
+  
+  if (rows.length === 0) {
+    throw new Error('actuals must contain at least one day');
+  }
+  const hasDates = rows.every(row => row && row.date !== undefined);
+  const values = rows.map((row, day) => {
+    if (!row || typeof row.dau !== 'number' || !Number.isFinite(row.dau) || row.dau < 0) {
+      throw new Error(`Actual DAU for day ${day + 1} must be a non-negative number`);
+    }
+    if (hasDates && day > 0) {
+      const step = parseCalendarDate(row.date, `Actual date ${row.date}`) - parseCalendarDate(rows[day - 1].date, `Actual date ${rows[day - 1].date}`);
+      if (step !== DAY_MS) {
+        throw new Error(`Actual dates must be consecutive days: ${rows[day - 1].date} is followed by ${row.date}`);
+      }
+    }
+    return row.dau;
+  });
+  
+  return { values, dates: hasDates ? rows.map(row => row.date) : null };
+}
+
+// Forecast accuracy over a backtest window: MAPE (%) over days with non-zero actuals, bias as the
+// mean forecast - actual (DAU and % of actual DAU) and RMSE
+function backtestErrors(forecast, actual) {
+  const errors = forecast.map((value, day) => value - actual[day]);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const measured = actual.map((_, day) => day).filter(day => actual[day] > 0);
+  const round = (value) => Math.round(value * 100) / 100;
+  const totalActual = actual.reduce((sum, value) => sum + value, 0);
+  
+  return {
+    mape: measured.length > 0 ? round(mean(measured.map(day => Math.abs(errors[day]) / actual[day])) * 100) : null,
+    bias: round(mean(errors)),
+    biasPercent: totalActual > 0 ? round(errors.reduce((sum, error) => sum + error, 0) / totalActual * 100) : null,
+    rmse: round(Math.sqrt(mean(errors.map(error => error * error))))
+  };
+}
+
+// Backtest: forecast the window of an actual DAU series from the baseline (customBaseline) and
+// initiatives in effect at its start, and compare the with-initiative DAU day by day. Dated
+// actuals set the calendar start so weekday and event effects line up
+function runBacktest(params) {
+  // Monte Carlo bands are left out of the comparison
+  const { actuals, uncertainty, ...forecastParams } = params;
+  const { values, dates } = parseActuals(actuals);
+  // Calendar months are at least 28 days long
+  const horizonMonths = Math.ceil(values.length / 28);
+  if (horizonMonths > MAX_HORIZON_MONTHS) {
+    throw new Error(`Backtests cover at most ${MAX_HORIZON_MONTHS} months of actuals`);
+  }
+  
+  const backtestParams = {
+    ...forecastParams,
+    horizonMonths,
+    resolution: 'daily',
+    calendar: dates ? { ...forecastParams.calendar, startDate: dates[0] } : forecastParams.calendar
+  };
+  const results = Array.isArray(forecastParams.initiatives)
+    ? calculatePortfolioImpact(backtestParams)
+    : calculateDAUimpact(backtestParams);
+  const forecast = results.daily.withInitiative.slice(0, values.length);
+  
+  return {
+    days: values.length,
+    dates: dates || (results.daily.dates ? results.daily.dates.slice(0, values.length) : null),
+    actual: values,
+    forecast,
+    metrics: backtestErrors(forecast, values)
+  };
+}
+
+// Linear R² below which a standalone fit is flagged as poor
+const POOR_FIT_R_SQUARED = 0.9;
+
+// R² of a fitted curve in log-retention space, which weighs errors on the low late-day
+// checkpoints more than linear R² does
+function logRSquared(params, points) {
+  const logActual = points.map(([, r]) => Math.log(Math.max(r, 0.001)));
+  const mean = logActual.reduce((sum, value) => sum + value, 0) / points.length;
+  const ssTotal = logActual.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+  if (ssTotal === 0) return 1;
+  const ssResidual = points.reduce((sum, [day], index) => {
+    return sum + (logActual[index] - Math.log(Math.max(getRetentionAtDay(params, day), 0.001))) ** 2;
+  }, 0);
+  return Math.max(0, 1 - ssResidual / ssTotal);
+}
+
+// First day (up to the last checkpoint) on which the fitted curve rises, or null
+function findCurveIncrease(params, lastDay) {
+  let previous = getRetentionAtDay(params, 1);
+  for (let day = 2; day <= lastDay; day++) {
+    const retention = getRetentionAtDay(params, day);
+    if (retention > previous + 1e-9) return day;
+    previous = retention;
+  }
+  return null;
+}
+
+// Fit retention checkpoints with every curve family (or `families`) and report per family the
+// fitted parameters, fitted value and residual at each checkpoint, R² in log and linear space,
+// and warnings for poor or non-monotonic fits. `fitting` is passed on as in the forecast
+function fitRetentionDiagnostics({ retention, families = CURVE_FAMILY_NAMES, fitting = {} }) {
+  if (!Array.isArray(families) || families.length === 0) {
+    throw new Error('families must list at least one curve family');
+  }
+  const points = toRetentionPoints(retention);
+  const lastDay = points[points.length - 1][0];
+  const warnings = [];
+  points.forEach(([day, r], index) => {
+    if (index > 0 && r > points[index - 1][1]) {
+      warnings.push(`Retention rises from day ${points[index - 1][0]} to day ${day}`);
+    }
+  });
+  
+  const fits = families.map(family => {
+    const { rSquared, method, residuals, type, ...params } = fitRetentionCurve(family, retention, fitting);
+    const curve = { ...params, type };
+    const fitWarnings = [];
+    const linear = linearRSquared(curve, points);
+    // As in curve selection, a family needs fewer parameters than checkpoints to be tested by them
+    const { parameterCount } = CURVE_FAMILIES[family];
+    if (parameterCount >= points.length) {
+      fitWarnings.push(`Under-determined: ${parameterCount} parameters for ${points.length} checkpoints`);
+    }
+    if (Object.values(params).some(value => !Number.isFinite(value))) {
+      fitWarnings.push('Fit did not converge to finite parameters');
+    } else {
+      if (linear < POOR_FIT_R_SQUARED) {
+        fitWarnings.push(`Poor fit: linear R² of ${linear.toFixed(3)} is below ${POOR_FIT_R_SQUARED}`);
+      }
+      const increaseDay = findCurveIncrease(curve, lastDay);
+      if (increaseDay !== null) {
+        fitWarnings.push(`Fitted curve is not monotonic: retention rises on day ${increaseDay}`);
+      }
+    }
+    
+    return {
+      type,
+      method: method || 'log-linear',
+      params,
+      checkpoints: getFitResiduals(curve, points),
+      rSquared: { log: logRSquared(curve, points), linear },
+      warnings: fitWarnings
+    };
+  });
+  
+  return { checkpoints: normalizeRetentionCheckpoints(retention), warnings, fits };
+}
+
+// Cohort table rows as { installDate, cohortSize, userType, active: Map(day → active users) }.
+// CSV needs a header with install_date, cohort_size, an optional user_type and d<day> columns;
+// JSON rows give active counts as { d1, d7, ... } or a list of { day, active }. Blank or
+// missing counts mean the cohort has not reached that day yet
+function parseCohortTable(cohorts) {
+  let rows;
+  if (typeof cohorts === 'string') {
+    const lines = cohorts.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2) {
+      throw new Error('Cohort CSV needs a header row and at least one cohort');
+    }
+    const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+    const column = (name) => header.indexOf(name);
+    if (column('cohort_size') < 0) {
+      throw new Error('Cohort CSV header must include cohort_size and d<day> columns');
+    }
+    rows = lines.slice(1).map(line => {
+      const cells = line.split(',').map(cell => cell.trim());
+      const active = {};
+      header.forEach((name, index) => {
+        if (/^d\d+$/.test(name) && cells[index]) active[name] = Number(cells[index]);
+      });
+      return {
+        installDate: column('install_date') >= 0 ? cells[column('install_date')] : undefined,
+        cohortSize: Number(cells[column('cohort_size')]),
+        userType: column('user_type') >= 0 && cells[column('user_type')] ? cells[column('user_type')] : undefined,
+        active
+      };
+    });
+  } else if (Array.isArray(cohorts)) {
+    rows = cohorts;
+  } else {
+    throw new Error('cohorts must be CSV text or a list of cohort rows');
+  }
+  
+  return rows.map((row, index) => {
+    const label = row && row.installDate ? `Cohort ${row.installDate}` : `Cohort ${index + 1}`;
+    const { cohortSize, userType = 'new', active } = row || {};
+    if (typeof cohortSize !== 'number' || !Number.isFinite(cohortSize) || cohortSize <= 0) {
+      throw new Error(`${label} size must be a positive number`);
+    }
+    if (userType !== 'new' && userType !== 'existing') {
+      throw new Error(`${label} user type must be new or existing`);
+    }
+    const entries = Array.isArray(active)
+      ? active.map(({ day, active: count }) => [day, count])
+      : Object.entries(active || {})
+        .filter(([key]) => /^d\d+$/.test(key))
+        .map(([key, count]) => [Number(key.slice(1)), count]);
+    const counts = new Map();
+    entries.forEach(([day, count]) => {
+      if (count === null || count === undefined) return;
+      if (!Number.isInteger(day) || day < 1) {
+        throw new Error(`${label} day since install must be a positive integer: ${day}`);
+      }
+      if (typeof count !== 'number' || !Number.isFinite(count) || count < 0 || count > cohortSize) {
+        throw new Error(`${label} active users on day ${day} must be between 0 and the cohort size`);
+      }
+      counts.set(day, count);
+    });
+    return { installDate: row.installDate, cohortSize, userType, active: counts };
+  });
+}
+
+// Pool cohorts into size-weighted checkpoints: retention on a day is the active users of every
+// cohort that has reached it over their combined size, so large cohorts count for more
+function aggregateCohortRetention(cohorts) {
+  const totals = new Map();
+  cohorts.forEach(({ cohortSize, active }) => {
+    active.forEach((count, day) => {
+      const total = totals.get(day) || { active: 0, sampleSize: 0, cohorts: 0 };
+      total.active += count;
+      total.sampleSize += cohortSize;
+      total.cohorts += 1;
+      totals.set(day, total);
+    });
+  });
+  
+  return [...totals.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([day, { active, sampleSize, cohorts: cohortCount }]) => ({
+      day,
+      retention: Math.round(active / sampleSize * 10000) / 100,
+      cohorts: cohortCount,
+      sampleSize
+    }));
+}
+
+// Calibrate baseline retention curves from a raw cohort table: new-user checkpoints are fitted
+// with a power curve and existing-user checkpoints with exponential decay. retentionCurves holds
+// the { day, retention } checkpoints in the baseline format for each user type with cohorts
+function calibrateRetention({ cohorts }) {
+  const parsed = parseCohortTable(cohorts);
+  const fits = { new: fitPowerCurve, existing: fitExponentialDecay };
+  const results = { retentionCurves: {} };
+  
+  Object.entries(fits).forEach(([userType, fit]) => {
+    const group = parsed.filter(cohort => cohort.userType === userType);
+    if (group.length === 0) return;
+    const checkpoints = aggregateCohortRetention(group);
+    if (checkpoints.length < 2) {
+      throw new Error(`${userType === 'new' ? 'New' : 'Existing'}-user cohorts need active counts on at least two days`);
+    }
+    const retentionData = checkpoints.map(({ day, retention }) => ({ day, retention }));
+    results[userType] = {
+      cohorts: group.length,
+      sampleSize: group.reduce((sum, { cohortSize }) => sum + cohortSize, 0),
+      checkpoints,
+      curve: fit(retentionData)
+    };
+    results.retentionCurves[userType] = retentionData;
+  });
+  if (!results.new && !results.existing) {
+    throw new Error('cohorts must contain at least one cohort');
+  }
+  
+  return results;
+}
+
+export default function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
 
   try {
-    const results = calculateDAUimpact(req.body);
+    const results = Array.isArray(req.body.initiatives)
+      ? calculatePortfolioImpact(req.body)
+      : calculateDAUimpact(req.body);
     res.status(200).json(results);
   } catch (error) {
     console.error('Prediction Error:', error);
     res.status(500).json({ error: error.message });
   }
-}
\ No newline at end of file
+}
+
+// Shared with the goal-seek, sensitivity, backtest, calibration and fit functions
+export { solveGoalSeek, runSensitivityAnalysis, runBacktest, calibrateRetention, fitRetentionDiagnostics };
@@ -0,0 +1,120 @@
+const { calculateDAUimpact, buildAcquisitionSchedule, installsForBudget } = require('./server-testable');
+
+describe('Acquisition Ramp Shapes', () => {
+  const horizonDays = 360;
+  const campaign = { weeklyInstalls: 7000, weeksToStart: 1, duration: 12 };
+
+  test('should keep the legacy linear 4-week ramp by default', () => {
+    const { installs, startDay, endDay } = buildAcquisitionSchedule(campaign, horizonDays);
+
+    expect(startDay).toBe(7);
+    expect(endDay).toBe(91);
+    expect(installs[6]).toBe(0);
+    expect(installs[7]).toBe(0);
+    expect(installs[21]).toBeCloseTo(500, 6);
+    expect(installs[35]).toBeCloseTo(1000, 6);
+    expect(installs[90]).toBeCloseTo(1000, 6);
+    expect(installs[91]).toBe(0);
+  });
+
+  test('should step volume up once per week', () => {
+    const { installs } = buildAcquisitionSchedule({ ...campaign, ramp: { weeks: 2, shape: 'step' } }, horizonDays);
+
+    expect(installs[7]).toBeCloseTo(500, 6);
+    expect(installs[13]).toBeCloseTo(500, 6);
+    expect(installs[14]).toBeCloseTo(1000, 6);
+  });
+
+  test('should follow an S-curve that starts slower and ends faster than linear', () => {
+    const ramp = { weeks: 4 };
+    const linear = buildAcquisitionSchedule({ ...campaign, ramp: { ...ramp, shape: 'linear' } }, horizonDays).installs;
+    const sCurve = buildAcquisitionSchedule({ ...campaign, ramp: { ...ramp, shape: 'sCurve' } }, horizonDays).installs;
+
+    expect(sCurve[10]).toBeLessThan(linear[10]);
+    expect(sCurve[21]).toBeCloseTo(linear[21], 6);
+    expect(sCurve[30]).toBeGreaterThan(linear[30]);
+    expect(sCurve[35]).toBeCloseTo(1000, 6);
+  });
+
+  test('should launch at full volume with a zero-week ramp', () => {
+    const { installs } = buildAcquisitionSchedule({ ...campaign, ramp: { weeks: 0 } }, horizonDays);
+    expect(installs[7]).toBeCloseTo(1000, 6);
+  });
+
+  test('should taper to zero over the ramp-down weeks', () => {
+    const { installs } = buildAcquisitionSchedule({
+      ...campaign,
+      afterPeak: { shape: 'rampDown', weeks: 2 }
+    }, horizonDays);
+
+    expect(installs[76]).toBeCloseTo(1000, 6);
+    expect(installs[84]).toBeCloseTo(500, 6);
+    expect(installs[90]).toBeCloseTo(1000 / 14, 6);
+  });
+
+  test('should decay weekly after the peak', () => {
+    const { installs } = buildAcquisitionSchedule({
+      ...campaign,
+      afterPeak: { shape: 'decay', weeklyRate: 20 }
+    }, horizonDays);
+
+    expect(installs[35]).toBeCloseTo(1000, 6);
+    expect(installs[42]).toBeCloseTo(800, 6);
+    expect(installs[49]).toBeCloseTo(640, 6);
+  });
+
+  test('should reject unknown shapes', () => {
+    expect(() => buildAcquisitionSchedule({ ...campaign, ramp: { shape: 'zigzag' } }, horizonDays))
+      .toThrow('Unsupported ramp shape');
+    expect(() => buildAcquisitionSchedule({ ...campaign, afterPeak: { shape: 'rampDown' } }, horizonDays))
+      .toThrow('afterPeak.weeks');
+  });
+});
+
+describe('Budget-Driven Campaigns', () => {
+  test('should buy budget / CPI installs at a flat CPI', () => {
+    expect(installsForBudget(10000, { cpi: 2 })).toBeCloseTo(5000, 6);
+    expect(installsForBudget(10000, { cpi: 2, cpiElasticity: 0.5, baseVolume: 5000 })).toBeCloseTo(5000, 6);
+  });
+
+  test('should buy fewer installs as CPI rises above the base volume', () => {
+    const budget = { cpi: 2, cpiElasticity: 0.5, baseVolume: 1000 };
+    const installs = installsForBudget(10000, budget);
+    const impliedCpi = 2 * Math.pow(installs / 1000, 0.5);
+
+    expect(installs).toBeLessThan(5000);
+    expect(installs * impliedCpi).toBeCloseTo(10000, 6);
+  });
+
+  test('should derive installs and spend from the weekly budget', () => {
+    const { installs, spend } = buildAcquisitionSchedule({
+      weeksToStart: 0,
+      duration: 4,
+      ramp: { weeks: 0 },
+      budget: { weekly: 14000, cpi: 2 }
+    }, 60);
+
+    expect(installs[0]).toBeCloseTo(1000, 6);
+    expect(spend[0]).toBeCloseTo(2000, 6);
+    expect(installs[28]).toBe(0);
+  });
+
+  test('should report the acquisition plan with the forecast', () => {
+    const result = calculateDAUimpact({
+      initiativeType: 'acquisition',
+      acquisition: {
+        weeksToStart: 0,
+        duration: 8,
+        budget: { weekly: 70000, cpi: 2, cpiElasticity: 0.5, baseVolume: 20000 }
+      },
+      segments: { commercial: true, consumer: false },
+      platforms: { ios: true, android: false },
+      exposureRate: 100
+    });
+
+    expect(result.acquisitionPlan.totalInstalls).toBeGreaterThan(0);
+    expect(result.acquisitionPlan.totalSpend).toBeGreaterThan(0);
+    expect(result.acquisitionPlan.averageCpi).toBeGreaterThan(2);
+    expect(result.summary.peakImpact).toBeGreaterThan(0);
+  });
+});
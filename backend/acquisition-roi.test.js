@@ -0,0 +1,83 @@
+const { calculateDAUimpact, getRetentionAtDay } = require('./server-testable');
+
+describe('Acquisition ROI and Payback', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const campaign = (acquisition, extra = {}) => calculateDAUimpact({
+    initiativeType: 'acquisition',
+    acquisition: { weeksToStart: 2, duration: 8, weeklyInstalls: 50000, ...acquisition },
+    customBaseline: baselineData,
+    resolution: 'daily',
+    horizonMonths: 12,
+    ...extra
+  });
+
+  test('should leave economics out for campaigns without a cost', () => {
+    expect(campaign({}).acquisitionEconomics).toBeUndefined();
+  });
+
+  test('should price installs at a flat CPI', () => {
+    const results = campaign({ cpi: 2 });
+
+    expect(results.acquisitionPlan.totalSpend).toBeCloseTo(results.acquisitionPlan.totalInstalls * 2, -1);
+    expect(results.acquisitionPlan.averageCpi).toBe(2);
+    expect(results.acquisitionEconomics.totalSpend).toBeCloseTo(results.acquisitionPlan.totalInstalls * 2, -1);
+  });
+
+  test('should spread a total spend over the campaign installs', () => {
+    const results = campaign({ totalSpend: 600000 });
+
+    expect(results.acquisitionEconomics.totalSpend).toBeCloseTo(600000, 2);
+    expect(results.acquisitionPlan.averageCpi).toBeCloseTo(600000 / results.acquisitionPlan.totalInstalls, 2);
+  });
+
+  test('should report cost per incremental DAU and per retained user', () => {
+    const results = campaign({ cpi: 2 });
+    const { totalSpend, costPerIncrementalDAU, costPerRetainedUser } = results.acquisitionEconomics;
+    const horizonDays = results.daily.incrementalDAU.length;
+    const averageDAU = results.summary.breakdown.newAcquisition / horizonDays;
+    const installs = results.acquisitionPlan.totalInstalls;
+
+    expect(costPerIncrementalDAU).toBeCloseTo(totalSpend / averageDAU, 0);
+    [30, 180, 360].forEach(day => {
+      const retained = installs * getRetentionAtDay(results.retentionCurves.baseNewUser, day);
+      expect(costPerRetainedUser[`d${day}`]).toBeCloseTo(totalSpend / retained, 1);
+    });
+    expect(results.acquisitionEconomics.paybackDay).toBeUndefined();
+  });
+
+  test('should find the payback day and ROI when ARPDAU is provided', () => {
+    const results = campaign({ cpi: 2 }, { monetization: { arpdau: 0.1 } });
+    const { totalSpend, paybackDay, horizonRevenue, roiPercent } = results.acquisitionEconomics;
+    const campaignStart = 14;
+    const earnedBy = (day) => results.revenue.daily.incremental.slice(campaignStart, campaignStart + day + 1)
+      .reduce((sum, value) => sum + value, 0);
+
+    expect(paybackDay).toBeGreaterThan(0);
+    expect(earnedBy(paybackDay)).toBeGreaterThanOrEqual(totalSpend - 1);
+    expect(earnedBy(paybackDay - 1)).toBeLessThan(totalSpend);
+    expect(horizonRevenue).toBeCloseTo(results.revenue.summary.totalIncremental, 0);
+    expect(roiPercent).toBeCloseTo((horizonRevenue - totalSpend) / totalSpend * 100, 1);
+  });
+
+  test('should report no payback when revenue never covers the spend', () => {
+    const results = campaign({ cpi: 1000 }, { monetization: { arpdau: 0.01 } });
+
+    expect(results.acquisitionEconomics.paybackDay).toBeNull();
+    expect(results.acquisitionEconomics.roiPercent).toBeLessThan(0);
+  });
+
+  test('should reject conflicting or invalid costs', () => {
+    expect(() => campaign({ cpi: 2, totalSpend: 1000 })).toThrow('only one of');
+    expect(() => campaign({ weeklyInstalls: undefined, cpi: 2, budget: { weekly: 1000, cpi: 2 } })).toThrow('only one of');
+    expect(() => campaign({ cpi: 0 })).toThrow('acquisition.cpi must be a positive number');
+    expect(() => campaign({ totalSpend: -5 })).toThrow('acquisition.totalSpend must be a non-negative number');
+  });
+});
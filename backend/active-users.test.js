@@ -0,0 +1,91 @@
+const { calculateDAUimpact, calculatePortfolioImpact } = require('./server-testable');
+
+describe('WAU, MAU and Stickiness', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const acquisitionParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeklyInstalls: 70000, weeksToStart: 4, duration: 8 },
+    fitting: { method: 'nls' },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100,
+    resolution: 'daily'
+  };
+
+  const result = calculateDAUimpact(acquisitionParams);
+  const { activeUsers } = result;
+
+  test('should return monthly WAU, MAU and stickiness for baseline and with-initiative runs', () => {
+    ['wau', 'mau', 'dauWau', 'dauMau'].forEach(metric => {
+      expect(activeUsers[metric].baseline).toHaveLength(12);
+      expect(activeUsers[metric].withInitiative).toHaveLength(12);
+    });
+    expect(result.daily.activeUsers.mau.baseline).toHaveLength(360);
+  });
+
+  test('should order DAU <= WAU <= MAU', () => {
+    for (let month = 0; month < 12; month++) {
+      expect(activeUsers.wau.baseline[month]).toBeGreaterThanOrEqual(result.baseline[month]);
+      expect(activeUsers.mau.baseline[month]).toBeGreaterThan(activeUsers.wau.baseline[month]);
+      expect(activeUsers.mau.withInitiative[month]).toBeGreaterThan(activeUsers.wau.withInitiative[month]);
+    }
+  });
+
+  test('should derive stickiness ratios from DAU and the window counts', () => {
+    const month = 2;
+    expect(activeUsers.dauMau.baseline[month]).toBeCloseTo(result.baseline[month] / activeUsers.mau.baseline[month] * 100, 0);
+    expect(activeUsers.dauWau.withInitiative[month]).toBeCloseTo(result.withInitiative[month] / activeUsers.wau.withInitiative[month] * 100, 0);
+  });
+
+  test('should calibrate baseline DAU/MAU with the daily active rate', () => {
+    const casual = calculateDAUimpact({ ...acquisitionParams, activity: { dailyActiveRate: 20 } });
+    const habitual = calculateDAUimpact({ ...acquisitionParams, activity: { dailyActiveRate: 70 } });
+
+    expect(casual.activeUsers.dauMau.baseline[0]).toBeLessThan(activeUsers.dauMau.baseline[0]);
+    expect(habitual.activeUsers.dauMau.baseline[0]).toBeGreaterThan(activeUsers.dauMau.baseline[0]);
+  });
+
+  test('should count every new install in MAU, lowering stickiness during paid campaigns', () => {
+    const campaignMonth = 2;
+    const mauLift = activeUsers.mau.withInitiative[campaignMonth] - activeUsers.mau.baseline[campaignMonth];
+    const dauLift = result.incrementalDAU[campaignMonth];
+
+    expect(mauLift).toBeGreaterThan(dauLift);
+    expect(activeUsers.dauMau.withInitiative[campaignMonth]).toBeLessThan(activeUsers.dauMau.baseline[campaignMonth]);
+    expect(activeUsers.mau.withInitiative[0]).toBe(activeUsers.mau.baseline[0]);
+  });
+
+  test('should keep weekday effects out of WAU and MAU', () => {
+    const weekendDip = calculateDAUimpact({
+      ...acquisitionParams,
+      calendar: { startDate: '2025-01-06', dayOfWeekMultipliers: { sat: 0.5, sun: 0.5 } }
+    });
+    const saturday = 5;
+
+    expect(weekendDip.daily.baseline[saturday]).toBeLessThan(result.daily.baseline[saturday]);
+    expect(weekendDip.daily.activeUsers.wau.baseline[saturday]).toBe(result.daily.activeUsers.wau.baseline[saturday]);
+    expect(weekendDip.daily.activeUsers.dauWau.baseline[saturday]).toBeLessThan(result.daily.activeUsers.dauWau.baseline[saturday]);
+  });
+
+  test('should report active users for portfolios', () => {
+    const portfolio = calculatePortfolioImpact({
+      ...acquisitionParams,
+      initiatives: [{ name: 'Paid social', initiativeType: 'acquisition', acquisition: acquisitionParams.acquisition }]
+    });
+
+    expect(portfolio.activeUsers.mau.withInitiative[3]).toBeCloseTo(activeUsers.mau.withInitiative[3], -2);
+  });
+
+  test('should reject an invalid daily active rate', () => {
+    expect(() => calculateDAUimpact({ ...acquisitionParams, activity: { dailyActiveRate: 0 } })).toThrow('dailyActiveRate');
+  });
+});
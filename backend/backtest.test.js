@@ -0,0 +1,87 @@
+const { calculateDAUimpact, parseActuals, runBacktest } = require('./server-testable');
+
+describe('Backtesting Against Actual DAU', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const params = {
+    initiativeType: 'acquisition',
+    acquisition: { weeksToStart: 1, duration: 4, weeklyInstalls: 30000 },
+    customBaseline: baselineData
+  };
+
+  const modelDAU = (days, extra = {}) => calculateDAUimpact({ ...params, ...extra, resolution: 'daily', horizonMonths: 3 })
+    .daily.withInitiative.slice(0, days);
+
+  describe('parseActuals', () => {
+    test('should read CSV with or without a header and dates', () => {
+      expect(parseActuals('dau\n100\n120\n')).toEqual({ values: [100, 120], dates: null });
+      expect(parseActuals('date,dau\r\n2024-01-30,100\r\n2024-01-31,110\r\n2024-02-01,90')).toEqual({
+        values: [100, 110, 90],
+        dates: ['2024-01-30', '2024-01-31', '2024-02-01']
+      });
+    });
+
+    test('should read JSON lists of numbers or dated rows', () => {
+      expect(parseActuals([5, 6])).toEqual({ values: [5, 6], dates: null });
+      expect(parseActuals([{ date: '2024-03-01', dau: 5 }, { date: '2024-03-02', dau: 6 }]).dates).toEqual(['2024-03-01', '2024-03-02']);
+    });
+
+    test('should reject gaps, bad values and empty series', () => {
+      expect(() => parseActuals('2024-01-01,5\n2024-01-03,6')).toThrow('Actual dates must be consecutive days: 2024-01-01 is followed by 2024-01-03');
+      expect(() => parseActuals([5, -1])).toThrow('Actual DAU for day 2 must be a non-negative number');
+      expect(() => parseActuals('dau\n')).toThrow('actuals must contain at least one day');
+      expect(() => parseActuals({ dau: 5 })).toThrow('actuals must be CSV text or a list of daily DAU values');
+    });
+  });
+
+  test('should score a perfect forecast with zero errors', () => {
+    const actual = modelDAU(45);
+    const backtest = runBacktest({ ...params, actuals: actual });
+
+    expect(backtest.days).toBe(45);
+    expect(backtest.forecast).toEqual(actual);
+    expect(backtest.metrics).toEqual({ mape: 0, bias: 0, biasPercent: 0, rmse: 0 });
+  });
+
+  test('should report MAPE, bias and RMSE against the actual series', () => {
+    const forecast = modelDAU(30);
+    const actual = forecast.map(value => value * 1.25);
+    const { metrics } = runBacktest({ ...params, actuals: actual });
+
+    expect(metrics.mape).toBeCloseTo(20, 1);
+    expect(metrics.biasPercent).toBeCloseTo(-20, 1);
+    expect(metrics.bias).toBeLessThan(0);
+    const expectedRmse = Math.sqrt(forecast.reduce((sum, value) => sum + (value * 0.25) ** 2, 0) / forecast.length);
+    expect(metrics.rmse).toBeCloseTo(expectedRmse, 0);
+  });
+
+  test('should align calendar effects with dated actuals', () => {
+    const weekendDip = { dayOfWeekMultipliers: { sat: 0.5, sun: 0.5 } };
+    const actual = modelDAU(14, { calendar: { startDate: '2024-06-03', ...weekendDip } });
+    const csv = ['date,dau', ...actual.map((dau, day) => `2024-06-${String(day + 3).padStart(2, '0')},${dau}`)].join('\n');
+    const backtest = runBacktest({ ...params, calendar: weekendDip, actuals: csv });
+
+    expect(backtest.dates[0]).toBe('2024-06-03');
+    expect(backtest.metrics.mape).toBe(0);
+  });
+
+  test('should backtest portfolios and reject windows beyond the longest horizon', () => {
+    const actual = modelDAU(20);
+    const backtest = runBacktest({
+      customBaseline: baselineData,
+      initiatives: [{ name: 'Campaign', ...params }],
+      actuals: actual
+    });
+
+    expect(backtest.metrics.mape).toBe(0);
+    expect(() => runBacktest({ ...params, actuals: new Array(1700).fill(1) }))
+      .toThrow('Backtests cover at most 60 months of actuals');
+  });
+});
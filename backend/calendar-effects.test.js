@@ -0,0 +1,151 @@
+const {
+  calculateDAUimpact,
+  parseIcsEvents,
+  buildForecastCalendar
+} = require('./server-testable');
+
+describe('Calendar-Aware Forecasting', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const combinedParams = {
+    initiativeType: 'combined',
+    retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1 },
+    acquisition: { weeksToStart: 1, duration: 6, weeklyInstalls: 70000 },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100,
+    resolution: 'daily'
+  };
+
+  const holidayIcs = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20270118',
+    'DTEND;VALUE=DATE:20270120',
+    'SUMMARY:Long',
+    ' Weekend',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20271225',
+    'SUMMARY:Christmas',
+    'X-DAU-MULTIPLIER:0.6',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  describe('parseIcsEvents', () => {
+    test('should read all-day events with exclusive end dates', () => {
+      const events = parseIcsEvents(holidayIcs, 0.9);
+
+      expect(events).toEqual([
+        { date: '2027-01-18', endDate: '2027-01-19', name: 'LongWeekend', multiplier: 0.9 },
+        { date: '2027-12-25', name: 'Christmas', multiplier: 0.6 }
+      ]);
+    });
+
+    test('should end timed events on the date of DTEND', () => {
+      const events = parseIcsEvents([
+        'BEGIN:VEVENT',
+        'DTSTART:20260214T100000Z',
+        'DTEND:20260214T120000Z',
+        'SUMMARY:Valentines Sale',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20260301',
+        'DTEND;VALUE=DATE:20260301',
+        'SUMMARY:Empty',
+        'END:VEVENT'
+      ].join('\n'), 0.9);
+
+      expect(events).toEqual([
+        { date: '2026-02-14', endDate: '2026-02-14', name: 'Valentines Sale', multiplier: 0.9 },
+        // An end before the start is clamped to the start date
+        { date: '2026-03-01', endDate: '2026-03-01', name: 'Empty', multiplier: 0.9 }
+      ]);
+    });
+  });
+
+  describe('buildForecastCalendar', () => {
+    test('should keep 30-day months without a start date', () => {
+      const calendar = buildForecastCalendar(null, 3);
+
+      expect(calendar.monthStarts).toEqual([0, 30, 60, 90]);
+      expect(calendar.multipliers).toBeNull();
+    });
+
+    test('should follow calendar months from the start date', () => {
+      const calendar = buildForecastCalendar({ startDate: '2027-01-31' }, 3);
+
+      // Jan 31 -> Feb 28 -> Mar 31 -> Apr 30
+      expect(calendar.monthStarts).toEqual([0, 28, 59, 89]);
+      expect(calendar.dates[28]).toBe('2027-02-28');
+    });
+
+    test('should compound weekday and event multipliers', () => {
+      const calendar = buildForecastCalendar({
+        startDate: '2027-01-01', // a Friday
+        dayOfWeekMultipliers: { sat: 0.8, sun: 0.7 },
+        events: [{ date: '2027-01-03', multiplier: 0.5, name: 'Launch freeze' }]
+      }, 1);
+
+      expect(calendar.multipliers.slice(0, 4)).toEqual([1, 0.8, 0.35, 1]);
+    });
+
+    test('should reject invalid calendar settings', () => {
+      expect(() => buildForecastCalendar({ startDate: '2027-02-30' }, 1)).toThrow('YYYY-MM-DD');
+      expect(() => buildForecastCalendar({ startDate: '2027-01-01', dayOfWeekMultipliers: { funday: 1 } }, 1))
+        .toThrow('Unsupported weekday');
+      expect(() => buildForecastCalendar({ startDate: '2027-01-01', events: [{ date: '2027-01-02', multiplier: -1 }] }, 1))
+        .toThrow('non-negative');
+    });
+  });
+
+  test('should label daily values and months with real dates', () => {
+    const result = calculateDAUimpact({ ...combinedParams, calendar: { startDate: '2027-01-01' } });
+
+    expect(result.daily.dates).toHaveLength(365);
+    expect(result.daily.dates[0]).toBe('2027-01-01');
+    expect(result.daily.dates[364]).toBe('2027-12-31');
+    expect(result.calendar.monthStartDates.slice(0, 3)).toEqual(['2027-01-01', '2027-02-01', '2027-03-01']);
+  });
+
+  test('should scale baseline and incremental DAU by the calendar multipliers', () => {
+    const plain = calculateDAUimpact({ ...combinedParams, calendar: { startDate: '2027-01-01' } });
+    const adjusted = calculateDAUimpact({
+      ...combinedParams,
+      calendar: { startDate: '2027-01-01', dayOfWeekMultipliers: { sun: 0.7 }, ics: holidayIcs }
+    });
+
+    // Jan 3 is a Sunday, Jan 18-19 is the imported long weekend
+    expect(adjusted.daily.baseline[2]).toBeCloseTo(plain.daily.baseline[2] * 0.7, -1);
+    expect(adjusted.daily.incrementalDAU[17]).toBeCloseTo(plain.daily.incrementalDAU[17] * 0.85, -1);
+    expect(adjusted.daily.baseline[1]).toBe(plain.daily.baseline[1]);
+    expect(adjusted.summary.totalImpact).toBeLessThan(plain.summary.totalImpact);
+  });
+
+  test('should average calendar-adjusted months in monthly resolution', () => {
+    // Month 1 runs from 2026-01-31; its day-15 snapshot, 2026-02-15, is a Sunday
+    const calendar = { startDate: '2026-01-31', dayOfWeekMultipliers: { sat: 0.8, sun: 0.8 } };
+    const monthly = calculateDAUimpact({ ...combinedParams, resolution: 'monthly', calendar });
+    const daily = calculateDAUimpact({ ...combinedParams, calendar });
+
+    expect(monthly.baseline).toEqual(daily.baseline);
+    expect(monthly.incrementalDAU).toEqual(daily.incrementalDAU);
+    expect(monthly.summary.totalImpact).toBe(daily.summary.totalImpact);
+    expect(monthly.daily).toBeUndefined();
+  });
+
+  test('should require a start date for weekday and event effects', () => {
+    expect(() => calculateDAUimpact({ ...combinedParams, calendar: { dayOfWeekMultipliers: { sun: 0.5 } } }))
+      .toThrow('calendar.startDate is required');
+  });
+});
@@ -0,0 +1,81 @@
+const { calculateDAUimpact, applyCannibalization, calculatePortfolioImpact } = require('./server-testable');
+
+describe('Organic Cannibalization', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const acquisitionParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeklyInstalls: 70000, weeksToStart: 0, duration: 8, ramp: { weeks: 0 } },
+    fitting: { method: 'nls' },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100,
+    resolution: 'daily'
+  };
+
+  const withCannibalization = (cannibalization) => ({
+    ...acquisitionParams,
+    acquisition: { ...acquisitionParams.acquisition, cannibalization }
+  });
+
+  const schedule = (installs) => ({ installs, displaced: installs.map(() => 0) });
+
+  test('should leave acquisition fully incremental without cannibalization', () => {
+    const result = calculateDAUimpact(acquisitionParams);
+    const { breakdown } = result.summary;
+
+    expect(breakdown.cannibalizedAcquisition).toBe(0);
+    expect(breakdown.grossAcquisition).toBe(breakdown.newAcquisition);
+  });
+
+  test('should subtract a fixed share of displaced organic installs', () => {
+    const gross = calculateDAUimpact(acquisitionParams).summary.breakdown;
+    const result = calculateDAUimpact(withCannibalization({ rate: 25 }));
+    const { breakdown } = result.summary;
+
+    expect(breakdown.grossAcquisition).toBeCloseTo(gross.newAcquisition, -1);
+    expect(breakdown.cannibalizedAcquisition / breakdown.grossAcquisition).toBeCloseTo(0.25, 3);
+    expect(breakdown.newAcquisition).toBeCloseTo(breakdown.grossAcquisition - breakdown.cannibalizedAcquisition, -1);
+    expect(result.summary.totalImpact).toBeCloseTo(breakdown.newAcquisition + breakdown.existingUsers + breakdown.newUsers, -1);
+    expect(result.acquisitionPlan.displacedOrganicInstalls).toBe(Math.round(0.25 * 70000 * 8));
+  });
+
+  test('should interpolate the rate from campaign intensity relative to organic volume', () => {
+    const curve = [{ intensity: 0.5, rate: 10 }, { intensity: 2, rate: 40 }];
+    const { displaced } = applyCannibalization(schedule([0, 2500, 10000, 20000, 40000]), { curve }, 10000);
+
+    expect(displaced[0]).toBe(0);
+    expect(displaced[1]).toBeCloseTo(250, 6); // below the curve: flat 10%
+    expect(displaced[2]).toBeCloseTo(10000 * 0.2, 6); // intensity 1: 20%
+    expect(displaced[3]).toBeCloseTo(20000 * 0.4, 6); // intensity 2: 40%
+    expect(displaced[4]).toBeCloseTo(10000, 6); // 40% of 40000 capped at the organic volume
+  });
+
+  test('should report gross and net acquisition for each portfolio initiative', () => {
+    const result = calculatePortfolioImpact({
+      ...acquisitionParams,
+      initiatives: [
+        { name: 'Paid social', initiativeType: 'acquisition', acquisition: withCannibalization({ rate: 50 }).acquisition },
+        { name: 'Onboarding', initiativeType: 'retention', retention: { targetUsers: 'new', monthsToStart: 0, d7Gain: 0.02 } }
+      ]
+    });
+
+    const paid = result.initiatives[0].summary.breakdown;
+    expect(paid.cannibalizedAcquisition).toBeGreaterThan(0);
+    expect(result.summary.breakdown.cannibalizedAcquisition).toBe(paid.cannibalizedAcquisition);
+  });
+
+  test('should reject invalid cannibalization settings', () => {
+    expect(() => calculateDAUimpact(withCannibalization({ rate: 120 }))).toThrow('cannibalization.rate');
+    expect(() => calculateDAUimpact(withCannibalization({ curve: [{ intensity: 2, rate: 10 }, { intensity: 1, rate: 20 }] })))
+      .toThrow('strictly increasing');
+  });
+});
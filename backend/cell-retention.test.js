@@ -0,0 +1,89 @@
+const { calculateDAUimpact, calculatePortfolioImpact } = require('./server-testable');
+
+describe('Per-Cell Retention Curves and Breakdowns', () => {
+  const sharedCurves = {
+    existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+    new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+  };
+  const weakNewUsers = { d1: 30, d7: 15, d14: 10, d28: 8, d360: 3, d720: 1 };
+
+  const baselineData = (cells) => ({
+    currentDAU: { commercial_ios: 1000000, commercial_android: 500000, consumer_ios: 2000000, consumer_android: 3000000 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 35000, consumer_ios: 140000, consumer_android: 210000 },
+    retentionCurves: { ...sharedCurves, ...(cells && { cells }) }
+  });
+
+  const forecast = (params) => calculateDAUimpact({
+    initiativeType: 'acquisition',
+    acquisition: { weeksToStart: 0, duration: 8, weeklyInstalls: 91000 },
+    customBaseline: baselineData(),
+    resolution: 'daily',
+    ...params
+  });
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  test('should break baseline and incremental DAU out by targeted cell', () => {
+    const result = forecast({ segments: { commercial: true, consumer: false } });
+
+    expect(Object.keys(result.cells).sort()).toEqual(['commercial_android', 'commercial_ios']);
+    result.baseline.forEach((value, month) => {
+      expect(Math.abs(sum(Object.values(result.cells).map(cell => cell.baseline[month])) - value)).toBeLessThanOrEqual(2);
+      expect(Math.abs(sum(Object.values(result.cells).map(cell => cell.incrementalDAU[month])) - result.incrementalDAU[month])).toBeLessThanOrEqual(2);
+    });
+    expect(result.daily.cells.commercial_ios.withInitiative).toHaveLength(result.daily.baseline.length);
+  });
+
+  test('should split campaign installs by each cell\'s share of organic installs', () => {
+    const result = forecast({ segments: { commercial: true, consumer: false } });
+    const { commercial_ios: ios, commercial_android: android } = result.cells;
+
+    expect(ios.incrementalDAU[1]).toBeCloseTo(android.incrementalDAU[1] * 2, -1);
+  });
+
+  test('should run the cohort math on a cell\'s own retention curve', () => {
+    const shared = forecast({});
+    const weak = forecast({ customBaseline: baselineData({ consumer_android: { new: weakNewUsers } }) });
+
+    expect(weak.cells.consumer_android.baseline[11]).toBeLessThan(shared.cells.consumer_android.baseline[11]);
+    expect(weak.cells.consumer_android.incrementalDAU[2]).toBeLessThan(shared.cells.consumer_android.incrementalDAU[2]);
+    expect(weak.cells.commercial_ios).toEqual(shared.cells.commercial_ios);
+    expect(weak.baseline[11]).toBeLessThan(shared.baseline[11]);
+  });
+
+  test('should report fitted curves only for cells with their own retention data', () => {
+    const result = forecast({ customBaseline: baselineData({ consumer_android: { new: weakNewUsers } }) });
+
+    expect(result.cells.consumer_android.retentionCurves.baseNewUser.a)
+      .not.toEqual(result.retentionCurves.baseNewUser.a);
+    expect(result.cells.consumer_android.existingUserDecay).toEqual(result.existingUserDecay);
+    expect(result.cells.consumer_ios.retentionCurves).toBeUndefined();
+  });
+
+  test('should reject retention curves for cells outside the baseline dimensions', () => {
+    expect(() => forecast({ customBaseline: baselineData({ consumer_web: { new: weakNewUsers } }) }))
+      .toThrow('Baseline key consumer_web does not match the dimensions segment × platform');
+  });
+
+  test('should reject targeting that selects no cells', () => {
+    expect(() => forecast({ targeting: { platform: [] } })).toThrow('Targeting must include at least one baseline cell');
+  });
+
+  test('should break portfolio forecasts out by cell', () => {
+    const result = calculatePortfolioImpact({
+      customBaseline: baselineData({ consumer_android: { new: weakNewUsers } }),
+      resolution: 'daily',
+      initiatives: [
+        { name: 'Campaign', initiativeType: 'acquisition', acquisition: { weeksToStart: 0, duration: 8, weeklyInstalls: 91000 }, targeting: { segment: ['consumer'] } },
+        { name: 'Onboarding', initiativeType: 'retention', retention: { targetUsers: 'new', monthsToStart: 0, d1Gain: 5, d7Gain: 3 } }
+      ]
+    });
+
+    expect(Object.keys(result.cells)).toHaveLength(4);
+    expect(result.cells.commercial_ios.incrementalDAU[1]).toBeGreaterThan(0);
+    expect(result.cells.consumer_ios.incrementalDAU[1]).toBeGreaterThan(result.cells.commercial_ios.incrementalDAU[1]);
+    result.incrementalDAU.forEach((value, month) => {
+      expect(Math.abs(sum(Object.values(result.cells).map(cell => cell.incrementalDAU[month])) - value)).toBeLessThanOrEqual(2);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { calibrateRetention, calculateDAUimpact } = require('./server-testable');
+
+describe('Retention Calibration From Cohort Data', () => {
+  const csv = [
+    'install_date,cohort_size,user_type,d1,d7,d30',
+    '2024-01-01,1000,new,300,150,80',
+    '2024-01-02,3000,new,600,300,',
+    '2024-01-01,5000,existing,4500,4000,3500',
+    '2024-01-02,5000,existing,4700,4200,3700'
+  ].join('\n');
+
+  test('should pool cohorts into size-weighted checkpoints with their sample sizes', () => {
+    const result = calibrateRetention({ cohorts: csv });
+
+    expect(result.new.cohorts).toBe(2);
+    expect(result.new.sampleSize).toBe(4000);
+    expect(result.new.checkpoints).toEqual([
+      { day: 1, retention: 22.5, cohorts: 2, sampleSize: 4000 },
+      { day: 7, retention: 11.25, cohorts: 2, sampleSize: 4000 },
+      // The second cohort has not reached day 30
+      { day: 30, retention: 8, cohorts: 1, sampleSize: 1000 }
+    ]);
+    expect(result.existing.checkpoints[0]).toEqual({ day: 1, retention: 92, cohorts: 2, sampleSize: 10000 });
+  });
+
+  test('should fit new users with a power curve and existing users with exponential decay', () => {
+    const result = calibrateRetention({ cohorts: csv });
+
+    expect(result.new.curve.type).toBe('power');
+    expect(result.existing.curve.type).toBe('exponential');
+    // Decaying curves that follow the pooled checkpoints
+    expect(result.new.curve.b).toBeGreaterThan(0);
+    expect(result.new.curve.rSquared).toBeGreaterThan(0.9);
+    expect(result.existing.curve.lambda).toBeGreaterThan(0);
+    expect(result.existing.curve.rSquared).toBeGreaterThan(0.9);
+    expect(result.retentionCurves.new).toEqual([
+      { day: 1, retention: 22.5 },
+      { day: 7, retention: 11.25 },
+      { day: 30, retention: 8 }
+    ]);
+  });
+
+  test('should accept JSON cohorts with either active count format', () => {
+    const result = calibrateRetention({
+      cohorts: [
+        { installDate: '2024-01-01', cohortSize: 1000, active: { d1: 300, d7: 150, d30: 80 } },
+        { installDate: '2024-01-02', cohortSize: 3000, active: [{ day: 1, active: 600 }, { day: 7, active: 300 }] }
+      ]
+    });
+
+    expect(result.new.checkpoints).toEqual(calibrateRetention({ cohorts: csv }).new.checkpoints);
+    // Cohorts default to new users
+    expect(result.existing).toBeUndefined();
+    expect(result.retentionCurves.existing).toBeUndefined();
+  });
+
+  test('should produce curves the forecast accepts as a baseline', () => {
+    const { retentionCurves } = calibrateRetention({ cohorts: csv });
+    const results = calculateDAUimpact({
+      initiativeType: 'acquisition',
+      acquisition: { weeksToStart: 0, duration: 4, weeklyInstalls: 10000 },
+      customBaseline: {
+        currentDAU: { commercial_ios: 100000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+        weeklyAcquisitions: { commercial_ios: 7000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+        retentionCurves
+      },
+      horizonMonths: 3
+    });
+
+    expect(results.summary.totalImpact).toBeGreaterThan(0);
+  });
+
+  test('should reject malformed cohort tables', () => {
+    expect(() => calibrateRetention({ cohorts: 'install_date,cohort_size,d1' })).toThrow('header row and at least one cohort');
+    expect(() => calibrateRetention({ cohorts: 'install_date,d1\n2024-01-01,5' })).toThrow('cohort_size');
+    expect(() => calibrateRetention({ cohorts: 'cohort_size,d1,d7\n0,5,3' })).toThrow('size must be a positive number');
+    expect(() => calibrateRetention({ cohorts: 'cohort_size,d1,d7\n100,120,3' })).toThrow('between 0 and the cohort size');
+    expect(() => calibrateRetention({ cohorts: 'cohort_size,user_type,d1,d7\n100,lapsed,50,30' })).toThrow('new or existing');
+    expect(() => calibrateRetention({ cohorts: 'cohort_size,d1\n100,50' })).toThrow('at least two days');
+    expect(() => calibrateRetention({ cohorts: [] })).toThrow('at least one cohort');
+    expect(() => calibrateRetention({ cohorts: 42 })).toThrow('CSV text or a list');
+  });
+});
@@ -39,7 +39,8 @@ describe('Comprehensive DAU Prediction Mathematical Test Suite', () => {
         initiativeType: 'none',
         customBaseline: baselineData,
         segments: { commercial: true, consumer: false },
-        platforms: { ios: true, android: false }
+        platforms: { ios: true, android: false },
+        baselineDecay: { method: 'churn', monthlyChurn: 5 }
       };
 
       const result = calculateDAUimpact(params);
@@ -79,7 +80,8 @@ describe('Comprehensive DAU Prediction Mathematical Test Suite', () => {
         initiativeType: 'none',
         customBaseline: baselineData,
         segments: { commercial: true, consumer: false },
-        platforms: { ios: true, android: false }
+        platforms: { ios: true, android: false },
+        baselineDecay: { method: 'churn', monthlyChurn: 5 }
       };
 
       const result = calculateDAUimpact(params);
@@ -118,7 +120,8 @@ describe('Comprehensive DAU Prediction Mathematical Test Suite', () => {
         initiativeType: 'none',
         customBaseline: smallDAUData,
         segments: { commercial: true, consumer: false },
-        platforms: { ios: true, android: false }
+        platforms: { ios: true, android: false },
+        baselineDecay: { method: 'churn', monthlyChurn: 5 }
       };
 
       expect(() => calculateDAUimpact(smallParams)).not.toThrow();
@@ -141,7 +144,8 @@ describe('Comprehensive DAU Prediction Mathematical Test Suite', () => {
         initiativeType: 'none',
         customBaseline: largeDAUData,
         segments: { commercial: true, consumer: false },
-        platforms: { ios: true, android: false }
+        platforms: { ios: true, android: false },
+        baselineDecay: { method: 'churn', monthlyChurn: 5 }
       };
 
       expect(() => calculateDAUimpact(largeParams)).not.toThrow();
@@ -339,7 +343,8 @@ describe('Comprehensive DAU Prediction Mathematical Test Suite', () => {
         initiativeType: 'none',
         customBaseline: baselineData,
         segments: { commercial: true, consumer: false },
-        platforms: { ios: true, android: false }
+        platforms: { ios: true, android: false },
+        baselineDecay: { method: 'churn', monthlyChurn: 5 }
       };
 
       const result = calculateDAUimpact(params);
@@ -0,0 +1,81 @@
+const { calculateDAUimpact } = require('./server-testable');
+
+describe('User-Defined Baseline Dimensions', () => {
+  const retentionCurves = {
+    existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+    new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+  };
+
+  const regionalBaseline = {
+    dimensions: {
+      region: ['na', 'emea', 'apac'],
+      platform: ['ios', 'android', 'web', 'desktop']
+    },
+    currentDAU: {
+      na_ios: 100000, na_android: 200000, na_web: 300000, na_desktop: 400000,
+      emea_ios: 10000, emea_android: 20000, emea_web: 30000, emea_desktop: 40000,
+      apac_ios: 1000, apac_android: 2000, apac_web: 3000, apac_desktop: 4000
+    },
+    weeklyAcquisitions: {
+      na_ios: 7000, na_android: 7000, na_web: 7000, na_desktop: 7000,
+      emea_ios: 700, emea_android: 700, emea_web: 700, emea_desktop: 700,
+      apac_ios: 70, apac_android: 70, apac_web: 70, apac_desktop: 70
+    },
+    retentionCurves
+  };
+
+  const baseParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeklyInstalls: 0, weeksToStart: 0, duration: 1 },
+    baselineDecay: { method: 'churn', monthlyChurn: 0 },
+    customBaseline: regionalBaseline
+  };
+
+  // With no churn and no new users, the day-0 baseline is the targeted current DAU
+  const targetedDAU = (params) => calculateDAUimpact({ ...baseParams, resolution: 'daily', ...params }).daily.baseline[0];
+
+  test('should include every key when no targeting is given', () => {
+    expect(targetedDAU({})).toBe(1110000);
+  });
+
+  test('should aggregate only the targeted values of each dimension', () => {
+    expect(targetedDAU({ targeting: { region: ['emea'] } })).toBe(100000);
+    expect(targetedDAU({ targeting: { region: ['na', 'apac'], platform: ['web', 'desktop'] } })).toBe(707000);
+    expect(targetedDAU({ targeting: { platform: { ios: true, android: false } } })).toBe(111000);
+  });
+
+  test('should target new-user acquisitions with the same schema', () => {
+    const all = calculateDAUimpact({ ...baseParams, resolution: 'daily' });
+    const emea = calculateDAUimpact({ ...baseParams, resolution: 'daily', targeting: { region: ['emea'] } });
+    const newUsers = (result, initial) => result.daily.baseline[30] - initial;
+
+    expect(newUsers(emea, 100000) / newUsers(all, 1110000)).toBeCloseTo(2800 / 31080, 3);
+  });
+
+  test('should keep legacy segments and platforms targeting for the default schema', () => {
+    const legacyBaseline = {
+      currentDAU: { commercial_ios: 1000, commercial_android: 2000, consumer_ios: 3000, consumer_android: 4000 },
+      weeklyAcquisitions: { commercial_ios: 0, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+      retentionCurves
+    };
+    const dau = targetedDAU({
+      customBaseline: legacyBaseline,
+      segments: { commercial: false, consumer: true },
+      platforms: { ios: true, android: true },
+      targeting: { platform: ['android'] }
+    });
+
+    expect(dau).toBe(4000);
+  });
+
+  test('should reject targeting and keys outside the schema', () => {
+    expect(() => targetedDAU({ targeting: { segment: ['consumer'] } })).toThrow('Unknown targeting dimension: segment');
+    expect(() => targetedDAU({ targeting: { region: ['latam'] } })).toThrow('Unknown value for dimension region: latam');
+    expect(() => targetedDAU({
+      customBaseline: { ...regionalBaseline, currentDAU: { ...regionalBaseline.currentDAU, latam_web: 5 } }
+    })).toThrow('Baseline key latam_web does not match the dimensions region × platform');
+    expect(() => targetedDAU({
+      customBaseline: { ...regionalBaseline, dimensions: { region: ['north_america'] } }
+    })).toThrow("cannot contain '_'");
+  });
+});
@@ -0,0 +1,89 @@
+const { calculateDAUimpact } = require('./server-testable');
+
+describe('Existing-User Baseline Decay', () => {
+  const initialDAU = 1000000;
+  const baselineData = {
+    currentDAU: { commercial_ios: initialDAU, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 0, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      // Halves every 180 days after day 1
+      existing: [
+        { day: 1, retention: 80 },
+        { day: 181, retention: 40 },
+        { day: 361, retention: 20 }
+      ],
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const baselineParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeklyInstalls: 0, weeksToStart: 0, duration: 1 },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    resolution: 'daily'
+  };
+
+  test('should fit the decay from the existing-user retention checkpoints', () => {
+    const result = calculateDAUimpact({ ...baselineParams, baselineDecay: { method: 'fitted' } });
+    const { existingUserDecay } = result;
+
+    expect(existingUserDecay.method).toBe('fitted');
+    expect(existingUserDecay.dailyDecay).toBeCloseTo(Math.log(2) / 180, 8);
+    expect(existingUserDecay.formula).toBe(`e^(-${existingUserDecay.dailyDecay.toPrecision(4)}×t)`);
+    expect(result.daily.baseline[180]).toBeCloseTo(initialDAU / 2, -1);
+  });
+
+  test('should fit the decay by default', () => {
+    const result = calculateDAUimpact(baselineParams);
+
+    expect(result.existingUserDecay.method).toBe('fitted');
+    expect(result.daily.baseline).toEqual(calculateDAUimpact({ ...baselineParams, baselineDecay: { method: 'fitted' } }).daily.baseline);
+  });
+
+  test('should follow edits to the existing-user curve', () => {
+    const steeper = {
+      ...baselineData,
+      retentionCurves: {
+        ...baselineData.retentionCurves,
+        existing: [{ day: 1, retention: 80 }, { day: 91, retention: 40 }]
+      }
+    };
+    const result = calculateDAUimpact({ ...baselineParams, customBaseline: steeper, baselineDecay: { method: 'fitted' } });
+
+    expect(result.daily.baseline[90]).toBeCloseTo(initialDAU / 2, -1);
+  });
+
+  test('should decay by a chosen monthly churn rate', () => {
+    const result = calculateDAUimpact({ ...baselineParams, baselineDecay: { method: 'churn', monthlyChurn: 10 } });
+
+    expect(result.existingUserDecay.monthlyChurn).toBe(10);
+    expect(result.daily.baseline[30]).toBeCloseTo(initialDAU * 0.9, -1);
+    expect(result.daily.baseline[90]).toBeCloseTo(initialDAU * Math.pow(0.9, 3), -1);
+  });
+
+  test('should accept a legacy daily decay rate', () => {
+    const result = calculateDAUimpact({ ...baselineParams, baselineDecay: 0.01 });
+
+    expect(result.existingUserDecay.method).toBe('churn');
+    expect(result.daily.baseline[10]).toBeCloseTo(initialDAU * Math.pow(0.99, 10), -1);
+  });
+
+  test('should apply the decay to the existing-user launch cohort', () => {
+    const retentionParams = {
+      ...baselineParams,
+      initiativeType: 'retention',
+      retention: { targetUsers: 'existing', monthsToStart: 3, d181Gain: 5 }
+    };
+    const slow = calculateDAUimpact({ ...retentionParams, baselineDecay: { method: 'churn', monthlyChurn: 1 } });
+    const fast = calculateDAUimpact({ ...retentionParams, baselineDecay: { method: 'churn', monthlyChurn: 20 } });
+
+    expect(fast.summary.breakdown.existingUsers).toBeLessThan(slow.summary.breakdown.existingUsers);
+  });
+
+  test('should reject invalid decay settings', () => {
+    expect(() => calculateDAUimpact({ ...baselineParams, baselineDecay: { method: 'churn', monthlyChurn: 100 } })).toThrow('monthlyChurn');
+    expect(() => calculateDAUimpact({ ...baselineParams, baselineDecay: { method: 'guess' } })).toThrow('Unsupported baselineDecay method');
+  });
+});
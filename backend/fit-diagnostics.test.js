@@ -0,0 +1,76 @@
+const { fitRetentionDiagnostics, fitRetentionCurve } = require('./server-testable');
+
+describe('Standalone Curve Fitting Diagnostics', () => {
+  const existing = { d1: 58, d7: 51.8, d14: 50, d28: 48, d360: 30, d720: 20 };
+
+  test('should fit every supported family by default', () => {
+    const result = fitRetentionDiagnostics({ retention: existing });
+
+    expect(result.fits.map(fit => fit.type)).toEqual(['power', 'exponential', 'weibull', 'lognormal', 'sbg', 'powerFloor']);
+    expect(result.checkpoints).toEqual([
+      { day: 1, retention: 58 },
+      { day: 7, retention: 51.8 },
+      { day: 14, retention: 50 },
+      { day: 28, retention: 48 },
+      { day: 360, retention: 30 },
+      { day: 720, retention: 20 }
+    ]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should report parameters, fitted values, residuals and R² in both spaces', () => {
+    const [weibull] = fitRetentionDiagnostics({ retention: existing, families: ['weibull'] }).fits;
+    const direct = fitRetentionCurve('weibull', existing);
+
+    expect(weibull.method).toBe('nls');
+    expect(weibull.params).toEqual({ a: direct.a, scale: direct.scale, shape: direct.shape });
+    expect(weibull.checkpoints).toHaveLength(6);
+    weibull.checkpoints.forEach(({ actual, fitted, residual }) => {
+      expect(residual).toBeCloseTo(actual - fitted, 10);
+    });
+    expect(weibull.rSquared.linear).toBeCloseTo(direct.rSquared, 10);
+    expect(weibull.rSquared.log).toBeGreaterThan(0.9);
+    expect(weibull.warnings).toEqual([]);
+  });
+
+  test('should pass fitting options through to the fitters', () => {
+    const [closedForm] = fitRetentionDiagnostics({ retention: existing, families: ['exponential'] }).fits;
+    const [nls] = fitRetentionDiagnostics({ retention: existing, families: ['exponential'], fitting: { method: 'nls' } }).fits;
+
+    expect(closedForm.method).toBe('log-linear');
+    expect(nls.method).toBe('nls');
+    expect(nls.params.c).not.toBeCloseTo(closedForm.params.c, 4);
+  });
+
+  test('should warn about rising data and poor or non-monotonic fits', () => {
+    const result = fitRetentionDiagnostics({
+      retention: [{ day: 1, retention: 10 }, { day: 7, retention: 20 }, { day: 30, retention: 40 }],
+      families: ['exponential']
+    });
+
+    expect(result.warnings).toEqual(['Retention rises from day 1 to day 7', 'Retention rises from day 7 to day 30']);
+    expect(result.fits[0].warnings).toEqual([
+      'Under-determined: 3 parameters for 3 checkpoints',
+      'Poor fit: linear R² of 0.854 is below 0.9',
+      'Fitted curve is not monotonic: retention rises on day 2'
+    ]);
+  });
+
+  test('should flag families with as many parameters as checkpoints', () => {
+    const result = fitRetentionDiagnostics({ retention: [{ day: 1, retention: 50 }, { day: 30, retention: 20 }] });
+    const powerFloor = result.fits.find(fit => fit.type === 'powerFloor');
+    const power = result.fits.find(fit => fit.type === 'power');
+
+    expect(powerFloor.warnings).toContain('Under-determined: 3 parameters for 2 checkpoints');
+    expect(power.warnings).toContain('Under-determined: 2 parameters for 2 checkpoints');
+    fitRetentionDiagnostics({ retention: existing }).fits.forEach(fit => {
+      expect(fit.warnings.some(warning => warning.startsWith('Under-determined'))).toBe(false);
+    });
+  });
+
+  test('should reject invalid requests', () => {
+    expect(() => fitRetentionDiagnostics({ retention: [{ day: 1, retention: 50 }] })).toThrow('At least two retention checkpoints');
+    expect(() => fitRetentionDiagnostics({ retention: existing, families: [] })).toThrow('at least one curve family');
+    expect(() => fitRetentionDiagnostics({ retention: existing, families: ['gompertz'] })).toThrow('Unsupported curve family: gompertz');
+  });
+});
@@ -0,0 +1,98 @@
+const { calculateDAUimpact, solveGoalSeek } = require('./server-testable');
+
+describe('Goal Seek', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const acquisitionParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeksToStart: 0, duration: 12, weeklyInstalls: 10000 },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false }
+  };
+
+  const retentionParams = {
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 0, gains: [{ day: 1, gain: 2 }] },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false }
+  };
+
+  test('should find the weekly installs that reach incremental DAU at a month', () => {
+    const solution = solveGoalSeek({
+      ...acquisitionParams,
+      goalSeek: { variable: 'weeklyInstalls', target: { metric: 'incrementalDAU', month: 3, value: 20000 } }
+    });
+
+    expect(solution.feasible).toBe(true);
+    expect(Math.abs(solution.achieved - 20000)).toBeLessThanOrEqual(20);
+    expect(solution.forecast.incrementalDAU[2]).toBe(solution.achieved);
+
+    const check = calculateDAUimpact({ ...acquisitionParams, acquisition: { ...acquisitionParams.acquisition, weeklyInstalls: solution.value } });
+    expect(Math.abs(check.incrementalDAU[2] - 20000)).toBeLessThanOrEqual(25);
+  });
+
+  test('should find the retention gain that reaches a peak lift', () => {
+    const solution = solveGoalSeek({
+      ...retentionParams,
+      goalSeek: { variable: 'd7Gain', target: { metric: 'peakLiftPercent', value: 2 }, bounds: { min: 0, max: 20 } }
+    });
+
+    expect(solution.feasible).toBe(true);
+    expect(solution.value).toBeGreaterThan(0);
+    expect(solution.value).toBeLessThan(20);
+    expect(Math.abs(solution.forecast.summary.peakLiftPercent - 2)).toBeLessThanOrEqual(0.1);
+    expect(solution.forecast.retentionCurves.improvedNewUser).toBeDefined();
+  });
+
+  test('should report infeasible targets with the achievable range', () => {
+    const solution = solveGoalSeek({
+      ...acquisitionParams,
+      goalSeek: { variable: 'weeklyInstalls', target: { metric: 'peakImpact', value: 5000000 }, bounds: { min: 0, max: 50000 } }
+    });
+
+    expect(solution.feasible).toBe(false);
+    expect(solution.value).toBeUndefined();
+    expect(solution.achievable.min).toBe(0);
+    expect(solution.achievable.max).toBeLessThan(5000000);
+    expect(solution.message).toContain('peakImpact ranges from 0 to');
+  });
+
+  test('should return the lower bound when it already meets the target', () => {
+    const solution = solveGoalSeek({
+      ...acquisitionParams,
+      goalSeek: { variable: 'weeklyInstalls', target: { metric: 'totalImpact', value: 0 }, bounds: { min: 0, max: 50000 } }
+    });
+
+    expect(solution.feasible).toBe(true);
+    expect(solution.value).toBe(0);
+    expect(solution.iterations).toBe(0);
+  });
+
+  test('should validate the goal-seek request', () => {
+    const goalSeek = { variable: 'weeklyInstalls', target: { metric: 'peakImpact', value: 1000 } };
+
+    expect(() => solveGoalSeek({ ...acquisitionParams, goalSeek: { ...goalSeek, variable: 'exposureRate' } }))
+      .toThrow('Unsupported goal-seek variable: exposureRate');
+    expect(() => solveGoalSeek({ ...acquisitionParams, goalSeek: { ...goalSeek, target: { metric: 'mau', value: 1 } } }))
+      .toThrow('Unsupported goal-seek metric: mau');
+    expect(() => solveGoalSeek({ ...acquisitionParams, goalSeek: { ...goalSeek, target: { metric: 'incrementalDAU', value: 1, month: 13 } } }))
+      .toThrow('goalSeek.target.month must be an integer between 1 and 12');
+    expect(() => solveGoalSeek({ ...acquisitionParams, goalSeek: { ...goalSeek, bounds: { min: 10, max: 10 } } }))
+      .toThrow('goalSeek.bounds must give a min below max');
+    expect(() => solveGoalSeek({ ...retentionParams, goalSeek }))
+      .toThrow('Goal seek on weeklyInstalls needs an install-driven acquisition or combined initiative');
+    expect(() => solveGoalSeek({ ...acquisitionParams, goalSeek: { ...goalSeek, variable: 'd7Gain' } }))
+      .toThrow('Goal seek on d7Gain needs a retention or combined initiative');
+    expect(() => solveGoalSeek({ initiatives: [], goalSeek }))
+      .toThrow('Goal seek solves a single initiative, not a portfolio');
+  });
+});
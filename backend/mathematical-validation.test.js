@@ -122,7 +122,8 @@ describe('Mathematical Validation with Hand-Calculated Results', () => {
         initiativeType: 'none',
         customBaseline: baselineData,
         segments: { commercial: true, consumer: false },
-        platforms: { ios: true, android: false }
+        platforms: { ios: true, android: false },
+        baselineDecay: { method: 'churn', monthlyChurn: 5 }
       };
 
       const result = calculateDAUimpact(params);
@@ -436,7 +437,8 @@ describe('Mathematical Validation with Hand-Calculated Results', () => {
                              result.summary.breakdown.newUsers + 
                              result.summary.breakdown.newAcquisition;
       
-      expect(result.summary.totalImpact).toBeCloseTo(totalComponents, 0);
+      // The total and each component are rounded separately
+      expect(Math.abs(result.summary.totalImpact - totalComponents)).toBeLessThanOrEqual(1);
       
       // All components should be positive
       expect(result.summary.breakdown.existingUsers).toBeGreaterThan(0);
@@ -0,0 +1,120 @@
+const { calculateDAUimpact, calculatePortfolioImpact, getRetentionAtDay } = require('./server-testable');
+
+describe('Monetization Forecasts', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 500000, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 35000, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const acquisitionParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeksToStart: 2, duration: 8, weeklyInstalls: 50000 },
+    customBaseline: baselineData,
+    resolution: 'daily',
+    horizonMonths: 6
+  };
+
+  test('should leave revenue out without monetization inputs', () => {
+    expect(calculateDAUimpact(acquisitionParams).revenue).toBeUndefined();
+  });
+
+  test('should price every DAU at a flat ARPDAU', () => {
+    const results = calculateDAUimpact({ ...acquisitionParams, monetization: { arpdau: 0.1 } });
+
+    expect(results.revenue.summary.totalIncremental).toBeCloseTo(results.summary.totalImpact * 0.1, 0);
+    expect(results.revenue.daily.baseline[10]).toBeCloseTo(results.daily.baseline[10] * 0.1, 0);
+    // Months sum their days
+    const firstMonth = results.revenue.daily.incremental.slice(0, 30).reduce((sum, value) => sum + value, 0);
+    expect(results.revenue.incremental[0]).toBeCloseTo(firstMonth, 0);
+    expect(results.revenue.summary.totalWithInitiative).toBeCloseTo(
+      results.revenue.summary.totalBaseline + results.revenue.summary.totalIncremental, 1);
+  });
+
+  test('should apply per-cell ARPDAU to each cell', () => {
+    const flat = calculateDAUimpact({ ...acquisitionParams, monetization: { arpdau: 0.1 } });
+    const perCell = calculateDAUimpact({
+      ...acquisitionParams,
+      monetization: { arpdau: { commercial_ios: 0.1, commercial_android: { arpdau: 0.1 }, consumer_ios: 0.1, consumer_android: 0.1 } }
+    });
+    const richerIos = calculateDAUimpact({
+      ...acquisitionParams,
+      monetization: { arpdau: { commercial_ios: 0.2, commercial_android: 0.1, consumer_ios: 0.1, consumer_android: 0.1 } }
+    });
+
+    expect(perCell.revenue).toEqual(flat.revenue);
+    expect(richerIos.revenue.summary.totalIncremental).toBeGreaterThan(flat.revenue.summary.totalIncremental);
+  });
+
+  test('should ramp ARPDAU with tenure for install cohorts only', () => {
+    // New users earn nothing before day 1000; tenured existing users earn the full ARPDAU
+    const ramp = [{ day: 0, percent: 0 }, { day: 999, percent: 0 }, { day: 1000, percent: 100 }];
+    const flat = calculateDAUimpact({ ...acquisitionParams, monetization: { arpdau: 0.1 } });
+    const ramped = calculateDAUimpact({ ...acquisitionParams, monetization: { arpdau: 0.1, ramp } });
+
+    expect(ramped.revenue.summary.totalIncremental).toBe(0);
+    expect(ramped.revenue.summary.totalBaseline).toBeGreaterThan(0);
+    expect(ramped.revenue.summary.totalBaseline).toBeLessThan(flat.revenue.summary.totalBaseline);
+  });
+
+  test('should price retention uplift of existing users at tenured ARPDAU', () => {
+    const results = calculateDAUimpact({
+      initiativeType: 'retention',
+      retention: { monthsToStart: 0, targetUsers: 'existing', d7Gain: 2, d28Gain: 2 },
+      customBaseline: baselineData,
+      resolution: 'daily',
+      horizonMonths: 3,
+      monetization: { arpdau: 0.1, ramp: [{ day: 0, percent: 10 }, { day: 30, percent: 50 }] }
+    });
+
+    expect(results.revenue.summary.totalIncremental).toBeCloseTo(results.summary.totalImpact * 0.05, 0);
+  });
+
+  test('should report campaign cohort LTV over the LTV window', () => {
+    const results = calculateDAUimpact({
+      ...acquisitionParams,
+      targeting: { platform: ['ios'] },
+      monetization: { arpdau: 0.1, ltvDays: 30 }
+    });
+    let expected = 0;
+    for (let age = 0; age < 30; age++) {
+      expected += getRetentionAtDay(results.retentionCurves.baseNewUser, age) * 0.1;
+    }
+    const netInstalls = results.acquisitionPlan.netInstalls ?? results.acquisitionPlan.totalInstalls;
+
+    expect(results.revenue.ltv.days).toBe(30);
+    expect(results.revenue.ltv.perInstall).toBeCloseTo(expected, 2);
+    expect(results.revenue.ltv.netInstalls).toBe(netInstalls);
+    expect(results.revenue.ltv.cohortRevenue).toBeCloseTo(netInstalls * expected, -2);
+    expect(results.revenue.ltv.roas).toBeUndefined();
+  });
+
+  test('should report return on ad spend for budget campaigns', () => {
+    const results = calculateDAUimpact({
+      ...acquisitionParams,
+      acquisition: { weeksToStart: 0, duration: 4, budget: { weekly: 100000, cpi: 2 } },
+      monetization: { arpdau: 0.1 }
+    });
+
+    expect(Math.round(results.revenue.ltv.spend)).toBe(results.acquisitionPlan.totalSpend);
+    expect(results.revenue.ltv.roas).toBeCloseTo(results.revenue.ltv.cohortRevenue / results.revenue.ltv.spend, 2);
+  });
+
+  test('should reject invalid monetization inputs', () => {
+    const withMonetization = (monetization) => () => calculateDAUimpact({ ...acquisitionParams, monetization });
+
+    expect(withMonetization({ arpdau: { commercial_ios: 0.1 } })).toThrow('monetization.arpdau for commercial_android must be a non-negative number');
+    expect(withMonetization({ arpdau: -1 })).toThrow('non-negative number');
+    expect(withMonetization({ arpdau: 0.1, ramp: [] })).toThrow('non-empty array');
+    expect(withMonetization({ arpdau: 0.1, ramp: [{ day: 30, percent: 50 }, { day: 7, percent: 80 }] })).toThrow('strictly increasing');
+    expect(withMonetization({ arpdau: 0.1, ltvDays: 0 })).toThrow('ltvDays must be a positive integer');
+    expect(() => calculatePortfolioImpact({
+      initiatives: [{ name: 'Campaign', ...acquisitionParams }],
+      customBaseline: baselineData,
+      monetization: { arpdau: 0.1 }
+    })).toThrow('not supported for initiative portfolios');
+  });
+});
@@ -0,0 +1,168 @@
+const {
+  calculateDAUimpact,
+  createRandom,
+  sampleDistribution,
+  percentile,
+  maxSimulationsFor
+} = require('./server-testable');
+
+describe('Monte Carlo Uncertainty Bands', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const combinedParams = {
+    initiativeType: 'combined',
+    retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1 },
+    acquisition: { weeksToStart: 1, duration: 6, weeklyInstalls: 70000 },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100
+  };
+
+  describe('sampleDistribution', () => {
+    const draw = (spec, count = 5000) => {
+      const random = createRandom(42);
+      return Array.from({ length: count }, () => sampleDistribution(spec, random));
+    };
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    test('should sample a normal distribution with the requested mean and spread', () => {
+      const values = draw({ distribution: 'normal', mean: 10, sd: 2 });
+      const variance = mean(values.map(value => (value - 10) ** 2));
+
+      expect(mean(values)).toBeCloseTo(10, 0);
+      expect(Math.sqrt(variance)).toBeCloseTo(2, 0);
+    });
+
+    test('should keep uniform samples inside their range', () => {
+      const values = draw({ distribution: 'uniform', min: 2, max: 4 });
+
+      expect(Math.min(...values)).toBeGreaterThanOrEqual(2);
+      expect(Math.max(...values)).toBeLessThanOrEqual(4);
+      expect(mean(values)).toBeCloseTo(3, 1);
+    });
+
+    test('should sample a triangular distribution with mean (min + mode + max) / 3', () => {
+      const values = draw({ distribution: 'triangular', min: 0, mode: 3, max: 6 });
+
+      expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+      expect(Math.max(...values)).toBeLessThanOrEqual(6);
+      expect(mean(values)).toBeCloseTo(3, 1);
+    });
+
+    test('should reject unknown distributions', () => {
+      expect(() => sampleDistribution({ distribution: 'cauchy' }, createRandom(1))).toThrow('Unsupported distribution');
+    });
+  });
+
+  test('should interpolate percentiles linearly', () => {
+    expect(percentile([0, 10, 20, 30, 40], 50)).toBe(20);
+    expect(percentile([0, 10], 10)).toBeCloseTo(1);
+  });
+
+  test('should return ordered P10/P50/P90 bands for every series', () => {
+    const result = calculateDAUimpact({
+      ...combinedParams,
+      uncertainty: {
+        simulations: 50,
+        inputs: {
+          d1Gain: { distribution: 'normal', mean: 5, sd: 2 },
+          weeklyInstalls: { distribution: 'triangular', min: 35000, mode: 70000, max: 105000 }
+        }
+      }
+    });
+    const { uncertainty } = result;
+
+    expect(uncertainty.simulations).toBe(50);
+    ['baseline', 'withInitiative', 'incrementalDAU'].forEach(series => {
+      const band = uncertainty.bands[series];
+      expect(band.p10).toHaveLength(12);
+      band.p10.forEach((low, month) => {
+        expect(low).toBeLessThanOrEqual(band.p50[month]);
+        expect(band.p50[month]).toBeLessThanOrEqual(band.p90[month]);
+      });
+    });
+
+    // Acquisition volume is uncertain, so the incremental band must have width after launch
+    expect(uncertainty.bands.incrementalDAU.p90[3]).toBeGreaterThan(uncertainty.bands.incrementalDAU.p10[3]);
+    expect(uncertainty.summary.totalImpact.p10).toBeLessThan(uncertainty.summary.totalImpact.p90);
+  });
+
+  test('should collapse bands to the point estimate when inputs are certain', () => {
+    const result = calculateDAUimpact({ ...combinedParams, uncertainty: { simulations: 5, inputs: {} } });
+
+    expect(result.uncertainty.bands.incrementalDAU.p10).toEqual(result.incrementalDAU);
+    expect(result.uncertainty.bands.incrementalDAU.p90).toEqual(result.incrementalDAU);
+  });
+
+  test('should be reproducible for the same seed', () => {
+    const params = {
+      ...combinedParams,
+      uncertainty: { simulations: 20, seed: 7, inputs: { d7Gain: { distribution: 'uniform', min: 1, max: 5 } } }
+    };
+
+    expect(calculateDAUimpact(params).uncertainty).toEqual(calculateDAUimpact(params).uncertainty);
+  });
+
+  test('should return daily bands in daily resolution', () => {
+    const result = calculateDAUimpact({
+      ...combinedParams,
+      resolution: 'daily',
+      uncertainty: { simulations: 10, inputs: { d7Gain: { distribution: 'uniform', min: 1, max: 5 } } }
+    });
+
+    expect(result.uncertainty.daily.withInitiative.p50).toHaveLength(360);
+  });
+
+  test('should keep sampled retention within 0-100% when a gain distribution crosses zero', () => {
+    const result = calculateDAUimpact({
+      ...combinedParams,
+      retention: { ...combinedParams.retention, d720Gain: 1 },
+      uncertainty: { simulations: 50, inputs: { d720Gain: { distribution: 'normal', mean: 1, sd: 5 } } }
+    });
+    const band = result.uncertainty.bands.incrementalDAU;
+
+    band.p10.forEach((low, month) => {
+      expect(low).toBeLessThanOrEqual(band.p90[month]);
+    });
+    expect(band.p90[11]).toBeGreaterThan(band.p10[11]);
+  });
+
+  test('should reject unsupported inputs and invalid parameters', () => {
+    const withInputs = (inputs, simulations = 10) => ({ ...combinedParams, uncertainty: { simulations, inputs } });
+
+    expect(() => calculateDAUimpact(withInputs({ exposureRate: { distribution: 'uniform', min: 0, max: 1 } })))
+      .toThrow('Unsupported uncertain input');
+    expect(() => calculateDAUimpact(withInputs({ d1Gain: { distribution: 'normal', mean: 1, sd: -1 } })))
+      .toThrow('Invalid normal distribution');
+    expect(() => calculateDAUimpact(withInputs({}, 1))).toThrow('simulations must be at least 2');
+    expect(() => calculateDAUimpact({
+      ...withInputs({ weeklyInstalls: { distribution: 'uniform', min: 1000, max: 2000 } }),
+      initiativeType: 'retention'
+    })).toThrow('weeklyInstalls uncertainty requires an install-driven acquisition or combined initiative');
+  });
+
+  test('should cap simulations by the square of the horizon', () => {
+    expect(maxSimulationsFor(12)).toBe(200);
+    expect(maxSimulationsFor(24)).toBe(50);
+    expect(maxSimulationsFor(36)).toBe(22);
+    expect(maxSimulationsFor(1)).toBe(1000);
+
+    const result = calculateDAUimpact({
+      ...combinedParams,
+      horizonMonths: 24,
+      uncertainty: { simulations: 200, inputs: { d7Gain: { distribution: 'uniform', min: 1, max: 5 } } }
+    });
+
+    expect(result.uncertainty.simulations).toBe(50);
+    expect(result.uncertainty.requestedSimulations).toBe(200);
+    expect(result.uncertainty.bands.incrementalDAU.p50).toHaveLength(24);
+  });
+});
@@ -0,0 +1,73 @@
+const { calculateDAUimpact } = require('./server-testable');
+
+describe('Novelty Decay of Retention Gains', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const retentionParams = {
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 1, d7Gain: 3, d28Gain: 1 },
+    fitting: { method: 'nls' },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100,
+    resolution: 'daily'
+  };
+
+  const withNovelty = (novelty) => ({
+    ...retentionParams,
+    retention: { ...retentionParams.retention, novelty }
+  });
+
+  const permanent = calculateDAUimpact(retentionParams);
+
+  test('should keep gains permanent without a novelty setting', () => {
+    expect(permanent.noveltyDecay).toBeUndefined();
+  });
+
+  test('should halve the uplift every half-life', () => {
+    const result = calculateDAUimpact(withNovelty({ halfLifeDays: 30 }));
+    const launchDay = 30;
+    const uplift = (forecast, day) => forecast.daily.incrementalDAU[day];
+
+    expect(uplift(result, launchDay + 30) / uplift(permanent, launchDay + 30)).toBeCloseTo(0.5, 2);
+    expect(uplift(result, launchDay + 90) / uplift(permanent, launchDay + 90)).toBeCloseTo(0.125, 2);
+    expect(result.summary.totalImpact).toBeLessThan(permanent.summary.totalImpact);
+  });
+
+  test('should follow a decay schedule from the full effect at launch', () => {
+    const result = calculateDAUimpact(withNovelty({
+      schedule: [{ day: 60, remaining: 50 }, { day: 120, remaining: 20 }]
+    }));
+    const ratio = (day) => result.daily.incrementalDAU[30 + day] / permanent.daily.incrementalDAU[30 + day];
+
+    expect(ratio(30)).toBeCloseTo(0.75, 2);
+    expect(ratio(60)).toBeCloseTo(0.5, 2);
+    expect(ratio(90)).toBeCloseTo(0.35, 2);
+    expect(ratio(200)).toBeCloseTo(0.2, 2);
+  });
+
+  test('should report the share of the uplift remaining for the chart', () => {
+    const result = calculateDAUimpact(withNovelty({ halfLifeDays: 30 }));
+    const { remaining, daily } = result.noveltyDecay;
+
+    expect(remaining).toHaveLength(12);
+    expect(remaining[0]).toBe(100);
+    expect(remaining[1]).toBeLessThan(100);
+    expect(remaining[2]).toBeLessThan(remaining[1]);
+    expect(daily.remaining[30]).toBe(100);
+    expect(daily.remaining[60]).toBe(50);
+  });
+
+  test('should reject invalid novelty settings', () => {
+    expect(() => calculateDAUimpact(withNovelty({ halfLifeDays: 0 }))).toThrow('halfLifeDays');
+    expect(() => calculateDAUimpact(withNovelty({ schedule: [{ day: 30, remaining: 150 }] }))).toThrow('novelty schedule point 0');
+  });
+});
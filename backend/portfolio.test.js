@@ -0,0 +1,102 @@
+const { calculateDAUimpact, calculatePortfolioImpact } = require('./server-testable');
+
+describe('Initiative Portfolio', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 500000, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 35000, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const shared = {
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: true },
+    platforms: { ios: true, android: false },
+    resolution: 'daily'
+  };
+
+  const onboarding = {
+    name: 'Onboarding revamp',
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1 },
+    exposureRate: 100
+  };
+  const notifications = {
+    name: 'Smart notifications',
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 2, d1Gain: 3, d7Gain: 2, d14Gain: 2, d28Gain: 2 },
+    exposureRate: 50
+  };
+  const campaign = {
+    name: 'Spring campaign',
+    initiativeType: 'acquisition',
+    acquisition: { weeksToStart: 4, duration: 6, weeklyInstalls: 50000 },
+    segments: { commercial: false, consumer: true }
+  };
+
+  const portfolio = (initiatives, overlap) => calculatePortfolioImpact({ ...shared, initiatives, overlap });
+  const standalone = (initiative) => calculateDAUimpact({ ...shared, ...initiative });
+
+  test('should return per-initiative incremental series that sum to the total', () => {
+    const result = portfolio([onboarding, notifications, campaign]);
+
+    expect(result.initiatives.map(initiative => initiative.name))
+      .toEqual(['Onboarding revamp', 'Smart notifications', 'Spring campaign']);
+    result.incrementalDAU.forEach((value, month) => {
+      const sum = result.initiatives.reduce((total, initiative) => total + initiative.incrementalDAU[month], 0);
+      expect(Math.abs(sum - value)).toBeLessThanOrEqual(result.initiatives.length);
+    });
+    expect(result.initiatives[2].daily.incrementalDAU).toHaveLength(360);
+  });
+
+  test('should match standalone forecasts under the additive rule', () => {
+    const result = portfolio([onboarding, campaign], { rule: 'additive' });
+
+    expect(result.baseline).toEqual(standalone(onboarding).baseline);
+    expect(result.initiatives[0].incrementalDAU).toEqual(standalone(onboarding).incrementalDAU);
+    expect(result.initiatives[1].incrementalDAU).toEqual(standalone(campaign).incrementalDAU);
+  });
+
+  test('should give each initiative its own targeting and timing', () => {
+    const result = portfolio([onboarding, notifications]);
+
+    // Notifications launch in month 3
+    expect(result.initiatives[1].daily.incrementalDAU.slice(0, 60).every(value => value === 0)).toBe(true);
+    expect(result.initiatives[1].summary.totalImpact).toBeGreaterThan(0);
+  });
+
+  test('should compound overlapping retention gains under the multiplicative rule', () => {
+    const additive = portfolio([onboarding, notifications], { rule: 'additive' });
+    const multiplicative = portfolio([onboarding, notifications], { rule: 'multiplicative' });
+
+    expect(multiplicative.summary.totalImpact).toBeGreaterThanOrEqual(additive.summary.totalImpact);
+    // Before the second launch there is nothing to compound
+    expect(multiplicative.daily.incrementalDAU.slice(0, 60)).toEqual(additive.daily.incrementalDAU.slice(0, 60));
+  });
+
+  test('should cap combined retention lift under the capped rule', () => {
+    const result = portfolio([onboarding, notifications], { rule: 'capped', capPercent: 0.5 });
+
+    result.daily.incrementalDAU.forEach((value, day) => {
+      expect(value).toBeLessThanOrEqual(result.daily.baseline[day] * 0.005 + 1);
+    });
+    expect(result.summary.totalImpact).toBeLessThan(portfolio([onboarding, notifications]).summary.totalImpact);
+  });
+
+  test('should not cap acquisition impact', () => {
+    const capped = portfolio([onboarding, campaign], { rule: 'capped', capPercent: 0 });
+
+    expect(capped.initiatives[0].summary.totalImpact).toBe(0);
+    expect(capped.initiatives[1].incrementalDAU).toEqual(standalone(campaign).incrementalDAU);
+  });
+
+  test('should reject invalid portfolios', () => {
+    expect(() => portfolio([])).toThrow('non-empty');
+    expect(() => portfolio([onboarding, { ...campaign, name: onboarding.name }])).toThrow('unique');
+    expect(() => portfolio([{ ...onboarding, name: '' }])).toThrow('name');
+    expect(() => portfolio([onboarding], { rule: 'max' })).toThrow('Unsupported overlap rule');
+    expect(() => portfolio([onboarding], { rule: 'capped' })).toThrow('capPercent');
+  });
+});
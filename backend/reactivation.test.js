@@ -0,0 +1,101 @@
+const { calculateDAUimpact } = require('./server-testable');
+
+describe('Reactivation Initiative', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const reactivationParams = {
+    initiativeType: 'reactivation',
+    reactivation: {
+      rate: 5,
+      windowDays: 60,
+      weeksToStart: 2,
+      duration: 8,
+      retentionCurve: [
+        { day: 1, retention: 40 },
+        { day: 7, retention: 25 },
+        { day: 30, retention: 15 },
+        { day: 90, retention: 10 }
+      ]
+    },
+    fitting: { method: 'nls' },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100,
+    resolution: 'daily'
+  };
+
+  const withReactivation = (overrides) => ({
+    ...reactivationParams,
+    reactivation: { ...reactivationParams.reactivation, ...overrides }
+  });
+
+  test('should report reactivated users as a separate breakdown line', () => {
+    const result = calculateDAUimpact(reactivationParams);
+    const { breakdown } = result.summary;
+
+    expect(breakdown.reactivatedUsers).toBeGreaterThan(0);
+    expect(breakdown.existingUsers).toBe(0);
+    expect(breakdown.newUsers).toBe(0);
+    expect(breakdown.newAcquisition).toBe(0);
+    expect(result.summary.totalImpact).toBe(breakdown.reactivatedUsers);
+    expect(result.reactivation.totalReactivated).toBeGreaterThan(0);
+  });
+
+  test('should not change the baseline', () => {
+    const result = calculateDAUimpact(reactivationParams);
+    const retentionOnly = calculateDAUimpact({ ...reactivationParams, initiativeType: 'retention', retention: { targetUsers: 'all', monthsToStart: 0 } });
+
+    expect(result.daily.baseline).toEqual(retentionOnly.daily.baseline);
+  });
+
+  test('should only win users back once the campaign starts', () => {
+    const result = calculateDAUimpact(reactivationParams);
+
+    expect(result.daily.incrementalDAU.slice(0, 14).every(value => value === 0)).toBe(true);
+    expect(result.daily.incrementalDAU[14]).toBeGreaterThan(0);
+  });
+
+  test('should decay after the campaign ends along the post-return curve', () => {
+    const result = calculateDAUimpact(reactivationParams);
+    const campaignEnd = (2 + 8) * 7;
+
+    expect(result.daily.incrementalDAU[campaignEnd + 60]).toBeLessThan(result.daily.incrementalDAU[campaignEnd - 1]);
+  });
+
+  test('should scale with the reactivation rate and targeting window', () => {
+    const base = calculateDAUimpact(reactivationParams).summary.totalImpact;
+
+    expect(calculateDAUimpact(withReactivation({ rate: 10 })).summary.totalImpact).toBeGreaterThan(base);
+    expect(calculateDAUimpact(withReactivation({ windowDays: 7 })).summary.totalImpact).toBeLessThan(base);
+    expect(calculateDAUimpact(withReactivation({ rate: 0 })).summary.totalImpact).toBe(0);
+  });
+
+  test('should stay below the size of the lapsed pool', () => {
+    // At a 100% weekly rate the campaign cannot win back more users than have lapsed
+    const result = calculateDAUimpact(withReactivation({ rate: 100, windowDays: 720, duration: 4 }));
+    const lapsedExisting = 1000000 * (1 - Math.pow(0.95, (6 * 7) / 30));
+    const lapsedNew = 10000 * 6 * 7;
+
+    expect(result.reactivation.totalReactivated).toBeLessThan(lapsedExisting + lapsedNew);
+  });
+
+  test('should default to the new-user curve for returning users', () => {
+    const result = calculateDAUimpact(withReactivation({ retentionCurve: undefined }));
+
+    expect(result.retentionCurves.reactivatedUser).toBe(result.retentionCurves.baseNewUser);
+  });
+
+  test('should reject invalid reactivation parameters', () => {
+    expect(() => calculateDAUimpact(withReactivation({ rate: 150 }))).toThrow('reactivation.rate');
+    expect(() => calculateDAUimpact(withReactivation({ windowDays: 0 }))).toThrow('reactivation.windowDays');
+    expect(() => calculateDAUimpact(withReactivation({ duration: 0 }))).toThrow('reactivation.duration');
+  });
+});
@@ -0,0 +1,262 @@
+const {
+  getRetentionAtDay,
+  fitRetentionCurve,
+  selectRetentionCurve,
+  calculateDAUimpact
+} = require('./server-testable');
+
+// Build { d1, d7, ... } percentages from a retention function
+const checkpointsFrom = (retentionAt) => ({
+  d1: retentionAt(1) * 100,
+  d7: retentionAt(7) * 100,
+  d14: retentionAt(14) * 100,
+  d28: retentionAt(28) * 100,
+  d360: retentionAt(360) * 100,
+  d720: retentionAt(720) * 100
+});
+
+describe('Retention Curve Families', () => {
+  const weibullData = checkpointsFrom(t => 0.6 * Math.exp(-Math.pow(t / 90, 0.6)));
+
+  describe('getRetentionAtDay', () => {
+    test('should evaluate Weibull curves: a * exp(-(t/scale)^shape)', () => {
+      const params = { type: 'weibull', a: 0.5, scale: 100, shape: 0.5 };
+      expect(getRetentionAtDay(params, 25)).toBeCloseTo(0.5 * Math.exp(-0.5), 6);
+    });
+
+    test('should evaluate log-normal curves: a * (1 - Φ((ln t - μ)/σ))', () => {
+      const params = { type: 'lognormal', a: 0.4, mu: Math.log(50), sigma: 1 };
+      // At t = e^μ the survival term is exactly one half
+      expect(getRetentionAtDay(params, 50)).toBeCloseTo(0.2, 6);
+    });
+
+    test('should evaluate shifted-beta-geometric curves: B(α, β + t) / B(α, β)', () => {
+      const params = { type: 'sbg', alpha: 1, beta: 1 };
+      // With α = β = 1 the survival simplifies to 1 / (t + 1)
+      expect(getRetentionAtDay(params, 1)).toBeCloseTo(0.5, 6);
+      expect(getRetentionAtDay(params, 9)).toBeCloseTo(0.1, 6);
+    });
+
+    test('should evaluate power curves with a floor: c + a * t^(-b)', () => {
+      const params = { type: 'powerFloor', a: 0.3, b: 0.5, c: 0.05 };
+      expect(getRetentionAtDay(params, 4)).toBeCloseTo(0.2, 6);
+      expect(getRetentionAtDay(params, 0)).toBe(1);
+    });
+  });
+
+  describe('fitRetentionCurve', () => {
+    test.each([
+      ['weibull', t => 0.6 * Math.exp(-Math.pow(t / 90, 0.6))],
+      ['lognormal', t => 0.5 * (1 - 0.5 * (1 + Math.tanh(0.8 * (Math.log(t) - 4))))],
+      ['sbg', t => 1 / (t + 1)],
+      ['powerFloor', t => 0.05 + 0.3 * Math.pow(t, -0.5)]
+    ])('should fit %s curves with high linear R²', (family, retentionAt) => {
+      const params = fitRetentionCurve(family, checkpointsFrom(retentionAt));
+
+      expect(params.type).toBe(family);
+      expect(params.rSquared).toBeGreaterThan(0.98);
+    });
+
+    test('should recover the parameters of an exact power-with-floor curve', () => {
+      const params = fitRetentionCurve('powerFloor', checkpointsFrom(t => 0.05 + 0.3 * Math.pow(t, -0.5)));
+
+      expect(params.a).toBeCloseTo(0.3, 2);
+      expect(params.b).toBeCloseTo(0.5, 1);
+      expect(params.c).toBeCloseTo(0.05, 2);
+    });
+
+    test('should reject unknown families', () => {
+      expect(() => fitRetentionCurve('gompertz', weibullData)).toThrow('Unsupported curve family');
+    });
+  });
+
+  describe('selectRetentionCurve', () => {
+    test('should report every candidate with information criteria', () => {
+      const selected = selectRetentionCurve(weibullData, 'aic');
+
+      expect(selected.selection.criterion).toBe('aic');
+      expect(selected.selection.candidates.map(c => c.type)).toEqual(
+        ['power', 'exponential', 'weibull', 'lognormal', 'sbg', 'powerFloor']
+      );
+      selected.selection.candidates.forEach(candidate => {
+        expect(Number.isFinite(candidate.aic)).toBe(true);
+        expect(Number.isFinite(candidate.bic)).toBe(true);
+      });
+    });
+
+    test('should pick the candidate with the lowest criterion', () => {
+      ['aic', 'bic'].forEach(criterion => {
+        const selected = selectRetentionCurve(weibullData, criterion);
+        const best = Math.min(...selected.selection.candidates.map(c => c[criterion]));
+        const winner = selected.selection.candidates.find(c => c.type === selected.type);
+
+        expect(winner[criterion]).toBe(best);
+      });
+    });
+
+    test('should select by leave-one-out error in holdout mode', () => {
+      const selected = selectRetentionCurve(weibullData, 'holdout', ['exponential', 'weibull']);
+
+      expect(selected.selection.candidates).toHaveLength(2);
+      selected.selection.candidates.forEach(candidate => {
+        expect(candidate.holdoutRmse).toBeGreaterThanOrEqual(0);
+      });
+      expect(selected.type).toBe('weibull');
+    });
+
+    test('should only compare families with fewer parameters than checkpoints', () => {
+      const threePoints = [{ day: 1, retention: 50 }, { day: 7, retention: 30 }, { day: 28, retention: 20 }];
+      const selected = selectRetentionCurve(threePoints, 'aic');
+
+      expect(selected.selection.candidates.map(c => c.type)).toEqual(['power', 'sbg']);
+      expect(() => selectRetentionCurve(threePoints, 'holdout')).toThrow('Too few retention checkpoints (3)');
+    });
+  });
+
+  describe('calculateDAUimpact curve selection', () => {
+    const baselineData = {
+      currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+      weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+      retentionCurves: {
+        existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+        new: weibullData
+      }
+    };
+
+    const retentionParams = {
+      initiativeType: 'retention',
+      retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1 },
+      customBaseline: baselineData,
+      segments: { commercial: true, consumer: false },
+      platforms: { ios: true, android: false }
+    };
+
+    test('should keep power and exponential curves by default', () => {
+      const result = calculateDAUimpact(retentionParams);
+
+      expect(result.retentionCurves.baseNewUser.type).toBe('power');
+      expect(result.retentionCurves.baseExistingUser.type).toBe('exponential');
+      expect(result.retentionCurves.baseNewUser.selection).toBeUndefined();
+    });
+
+    test('should report the selected family and fit improved curves with it', () => {
+      const result = calculateDAUimpact({ ...retentionParams, curveSelection: { mode: 'aic' } });
+      const { baseNewUser, improvedNewUser, baseExistingUser, improvedExistingUser } = result.retentionCurves;
+
+      expect(baseNewUser.selection.criterion).toBe('aic');
+      expect(improvedNewUser.type).toBe(baseNewUser.type);
+      expect(improvedExistingUser.type).toBe(baseExistingUser.type);
+      expect(result.summary.totalImpact).toBeGreaterThan(0);
+    });
+
+    test('should use the named families in fixed mode', () => {
+      const result = calculateDAUimpact({
+        ...retentionParams,
+        curveSelection: { mode: 'fixed', newUsers: 'lognormal', existingUsers: 'weibull' }
+      });
+
+      expect(result.retentionCurves.baseNewUser.type).toBe('lognormal');
+      expect(result.retentionCurves.baseExistingUser.type).toBe('weibull');
+    });
+
+    test('should keep the default family when too few checkpoints can be compared', () => {
+      const twoPoints = { ...baselineData, retentionCurves: { ...baselineData.retentionCurves, new: [{ day: 1, retention: 50 }, { day: 30, retention: 20 }] } };
+
+      ['aic', 'bic', 'holdout'].forEach(mode => {
+        const result = calculateDAUimpact({ ...retentionParams, customBaseline: twoPoints, curveSelection: { mode } });
+
+        expect(result.retentionCurves.baseNewUser.type).toBe('power');
+        expect(result.retentionCurves.baseNewUser.selection).toBeUndefined();
+      });
+    });
+
+    test('should reject unknown selection modes', () => {
+      expect(() => calculateDAUimpact({ ...retentionParams, curveSelection: { mode: 'best' } }))
+        .toThrow('Unsupported curve selection mode');
+    });
+  });
+});
+
+describe('Non-linear Least Squares Fitting', () => {
+  const floorData = checkpointsFrom(t => 0.1 + 0.4 * Math.exp(-0.01 * t));
+  const noisyNewUsers = { d1: 22, d7: 14, d14: 11.5, d28: 9.5, d360: 4, d720: 2 };
+
+  const linearSSE = (params, data) => Object.entries(data).reduce((sum, [key, value]) => {
+    const day = Number(key.slice(1));
+    return sum + (value / 100 - getRetentionAtDay(params, day)) ** 2;
+  }, 0);
+
+  test('should estimate the exponential floor c as a free parameter', () => {
+    const params = fitRetentionCurve('exponential', floorData, { method: 'nls' });
+
+    expect(params.method).toBe('nls');
+    expect(params.c).toBeCloseTo(0.1, 3);
+    expect(params.a).toBeCloseTo(0.4, 3);
+    expect(params.lambda).toBeCloseTo(0.01, 4);
+  });
+
+  test('should return fitted values and residuals per checkpoint in percentage points', () => {
+    const params = fitRetentionCurve('power', noisyNewUsers, { method: 'nls' });
+
+    expect(params.residuals.map(r => r.day)).toEqual([1, 7, 14, 28, 360, 720]);
+    params.residuals.forEach(({ day, actual, fitted, residual }) => {
+      expect(actual).toBeCloseTo(noisyNewUsers[`d${day}`], 10);
+      expect(fitted).toBeCloseTo(getRetentionAtDay(params, day) * 100, 10);
+      expect(residual).toBeCloseTo(actual - fitted, 10);
+    });
+  });
+
+  test('should fit at least as well in retention space as the log-linear fits', () => {
+    ['power', 'exponential'].forEach(family => {
+      const logLinear = fitRetentionCurve(family, noisyNewUsers);
+      const nls = fitRetentionCurve(family, noisyNewUsers, { method: 'nls' });
+
+      expect(linearSSE(nls, noisyNewUsers)).toBeLessThanOrEqual(linearSSE(logLinear, noisyNewUsers) + 1e-12);
+    });
+  });
+
+  test('should honour per-checkpoint weights', () => {
+    const unweighted = fitRetentionCurve('exponential', noisyNewUsers, { method: 'nls' });
+    const weighted = fitRetentionCurve('exponential', noisyNewUsers, { method: 'nls', weights: { d720: 50 } });
+    const residualAt720 = (params) => Math.abs(params.residuals.find(r => r.day === 720).residual);
+
+    expect(residualAt720(weighted)).toBeLessThan(residualAt720(unweighted));
+  });
+
+  test('should accept weights as a list of { day, weight } entries', () => {
+    const keyed = fitRetentionCurve('power', noisyNewUsers, { method: 'nls', weights: { d1: 10 } });
+    const listed = fitRetentionCurve('power', noisyNewUsers, { method: 'nls', weights: [{ day: 1, weight: 10 }] });
+
+    expect(listed.a).toBeCloseTo(keyed.a, 10);
+    expect(listed.b).toBeCloseTo(keyed.b, 10);
+  });
+
+  test('should reject negative, non-finite or all-zero weights', () => {
+    const fitWith = (weights) => () => fitRetentionCurve('power', noisyNewUsers, { method: 'nls', weights });
+    const allZero = Object.fromEntries(Object.keys(noisyNewUsers).map(key => [key, 0]));
+
+    expect(fitWith({ d7: -1 })).toThrow('fitting.weights must be finite non-negative numbers');
+    expect(fitWith([{ day: 7, weight: NaN }])).toThrow('fitting.weights must be finite non-negative numbers');
+    expect(fitWith({ d7: '2' })).toThrow('fitting.weights must be finite non-negative numbers');
+    expect(fitWith(allZero)).toThrow('at least one retention checkpoint a positive weight');
+    expect(() => calculateDAUimpact({
+      initiativeType: 'retention',
+      retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5 },
+      fitting: { method: 'nls', weights: { d1: Infinity } }
+    })).toThrow('fitting.weights must be finite non-negative numbers');
+  });
+
+  test('should use NLS fits throughout calculateDAUimpact when requested', () => {
+    const result = calculateDAUimpact({
+      initiativeType: 'retention',
+      retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1 },
+      fitting: { method: 'nls' }
+    });
+    const { baseNewUser, improvedNewUser, baseExistingUser } = result.retentionCurves;
+
+    expect(baseNewUser.method).toBe('nls');
+    expect(improvedNewUser.method).toBe('nls');
+    expect(baseExistingUser.residuals).toHaveLength(6);
+    expect(result.summary.totalImpact).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,78 @@
+const { calculateDAUimpact } = require('./server-testable');
+
+describe('Staged Exposure Rollout', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const forecast = (retention, extra = {}) => calculateDAUimpact({
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 1, d7Gain: 2, d28Gain: 2, ...retention },
+    customBaseline: baselineData,
+    resolution: 'daily',
+    horizonMonths: 6,
+    ...extra
+  });
+
+  test('should match a constant exposure rate with a single full step at launch', () => {
+    const constant = forecast({}, { exposureRate: 40 });
+    const stepped = forecast({ rollout: { steps: [{ day: 0, percent: 40 }] } }, { exposureRate: 100 });
+
+    expect(stepped.daily.incrementalDAU).toEqual(constant.daily.incrementalDAU);
+  });
+
+  test('should expose nobody before launch and ramp up through the steps', () => {
+    const steps = [{ day: 0, percent: 1 }, { day: 14, percent: 10 }, { day: 28, percent: 50 }, { day: 42, percent: 100 }];
+    const full = forecast({});
+    const staged = forecast({ rollout: { steps } });
+    const launchDay = 30;
+
+    expect(staged.daily.incrementalDAU.slice(0, launchDay + 1).every(value => value === 0)).toBe(true);
+    // While only 1% is exposed the uplift is about 1% of the full launch
+    expect(staged.daily.incrementalDAU[launchDay + 10]).toBeCloseTo(full.daily.incrementalDAU[launchDay + 10] * 0.01, -1);
+    expect(staged.summary.totalImpact).toBeLessThan(full.summary.totalImpact);
+    // Later exposure waves keep adding uplift
+    expect(staged.daily.incrementalDAU[launchDay + 50]).toBeGreaterThan(staged.daily.incrementalDAU[launchDay + 20]);
+  });
+
+  test('should expose each new-user cohort at the level of its install day', () => {
+    const newOnly = (rollout) => forecast({ targetUsers: 'new', rollout });
+    const half = newOnly({ steps: [{ day: 0, percent: 50 }] });
+    const late = newOnly({ steps: [{ day: 0, percent: 50 }, { day: 60, percent: 100 }] });
+
+    // Before the second step both forecasts expose the same cohorts
+    expect(late.daily.incrementalDAU.slice(0, 90)).toEqual(half.daily.incrementalDAU.slice(0, 90));
+    expect(late.daily.incrementalDAU[150]).toBeGreaterThan(half.daily.incrementalDAU[150]);
+  });
+
+  test('should ramp exposure from the start percent to the exposure rate', () => {
+    const constant = forecast({}, { exposureRate: 60 });
+    const ramped = forecast({ rollout: { shape: 'linear', weeks: 4, startPercent: 10 } }, { exposureRate: 60 });
+
+    expect(ramped.summary.totalImpact).toBeLessThan(constant.summary.totalImpact);
+    expect(ramped.summary.totalImpact).toBeGreaterThan(constant.summary.totalImpact * 0.7);
+  });
+
+  test('should place dated steps on the calendar', () => {
+    const calendar = { startDate: '2025-01-01' };
+    const byDay = forecast({ rollout: { steps: [{ day: 0, percent: 5 }, { day: 10, percent: 100 }] } }, { calendar });
+    // Launch is day 30, 2025-01-31
+    const byDate = forecast({ rollout: { steps: [{ date: '2025-01-31', percent: 5 }, { date: '2025-02-10', percent: 100 }] } }, { calendar });
+
+    expect(byDate.daily.incrementalDAU).toEqual(byDay.daily.incrementalDAU);
+  });
+
+  test('should reject invalid rollouts', () => {
+    expect(() => forecast({ rollout: { steps: [] } })).toThrow('non-empty array');
+    expect(() => forecast({ rollout: { steps: [{ day: 0, percent: 120 }] } })).toThrow('percent must be between 0 and 100');
+    expect(() => forecast({ rollout: { steps: [{ day: -1, percent: 10 }] } })).toThrow('day must be a non-negative number');
+    expect(() => forecast({ rollout: { steps: [{ date: '2025-02-01', percent: 10 }] } })).toThrow('calendar.startDate is required');
+    expect(() => forecast({ rollout: { shape: 'cliff', weeks: 2 } })).toThrow('Unsupported rollout shape: cliff');
+    expect(() => forecast({ rollout: { shape: 'linear', weeks: 0 } })).toThrow('weeks must be a positive number');
+  });
+});
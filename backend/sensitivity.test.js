@@ -0,0 +1,90 @@
+const { calculateDAUimpact, runSensitivityAnalysis } = require('./server-testable');
+
+describe('Sensitivity Analysis', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const combinedParams = {
+    initiativeType: 'combined',
+    acquisition: { weeksToStart: 2, duration: 8, weeklyInstalls: 20000 },
+    retention: { targetUsers: 'all', monthsToStart: 1, gains: [{ day: 1, gain: 2 }, { day: 7, gain: 1 }] },
+    exposureRate: 80,
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    resolution: 'daily'
+  };
+
+  test('should perturb every input that applies to the initiative', () => {
+    const analysis = runSensitivityAnalysis(combinedParams);
+    const inputs = analysis.inputs.map(row => row.input).sort();
+
+    expect(inputs).toEqual(['baselineDAU', 'd1Gain', 'd7Gain', 'exposureRate', 'monthsToStart', 'weeklyInstalls', 'weeksToStart']);
+    expect(analysis.base.totalImpact).toBe(calculateDAUimpact(combinedParams).summary.totalImpact);
+  });
+
+  test('should leave exposure rate out for acquisition initiatives', () => {
+    const analysis = runSensitivityAnalysis({ ...combinedParams, initiativeType: 'acquisition' });
+
+    expect(analysis.inputs.map(row => row.input).sort()).toEqual(['baselineDAU', 'weeklyInstalls', 'weeksToStart']);
+  });
+
+  test('should report impact changes for the low and high values of each input', () => {
+    const analysis = runSensitivityAnalysis(combinedParams);
+    const installs = analysis.inputs.find(row => row.input === 'weeklyInstalls');
+
+    expect(installs.low.value).toBe(18000);
+    expect(installs.high.value).toBe(22000);
+    expect(installs.low.totalImpactChange).toBeLessThan(0);
+    expect(installs.high.totalImpactChange).toBeGreaterThan(0);
+    expect(installs.high.totalImpact - analysis.base.totalImpact).toBe(installs.high.totalImpactChange);
+
+    // Launching later leaves less of the horizon for the impact to build up
+    const timing = analysis.inputs.find(row => row.input === 'weeksToStart');
+    expect(timing.low.value).toBe(1);
+    expect(timing.high.value).toBe(3);
+    expect(timing.high.totalImpactChange).toBeLessThan(0);
+  });
+
+  test('should sort inputs by the swing in total impact', () => {
+    const swings = runSensitivityAnalysis(combinedParams).inputs
+      .map(row => Math.abs(row.high.totalImpact - row.low.totalImpact));
+
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+  });
+
+  test('should apply configured changes and input lists', () => {
+    const analysis = runSensitivityAnalysis({
+      ...combinedParams,
+      sensitivity: { inputs: ['exposureRate', 'baselineDAU'], changes: { exposureRate: 50, baselineDAU: 20 } }
+    });
+    const exposure = analysis.inputs.find(row => row.input === 'exposureRate');
+    const baseline = analysis.inputs.find(row => row.input === 'baselineDAU');
+
+    expect(analysis.inputs).toHaveLength(2);
+    expect(exposure.low.value).toBe(40);
+    // Exposure is capped at 100%
+    expect(calculateDAUimpact({ ...combinedParams, exposureRate: 100 }).summary.totalImpact)
+      .toBe(exposure.high.totalImpact);
+    expect(baseline.low.value).toBe(0.8);
+    expect(baseline.high.value).toBe(1.2);
+    expect(baseline.high.totalImpactChange).toBeGreaterThan(0);
+  });
+
+  test('should reject unknown or inapplicable inputs', () => {
+    expect(() => runSensitivityAnalysis({ ...combinedParams, sensitivity: { inputs: ['churn'] } }))
+      .toThrow('Unsupported sensitivity input: churn');
+    expect(() => runSensitivityAnalysis({ ...combinedParams, initiativeType: 'retention', sensitivity: { inputs: ['weeklyInstalls'] } }))
+      .toThrow('Sensitivity input weeklyInstalls does not apply to a retention initiative');
+    expect(() => runSensitivityAnalysis({ ...combinedParams, sensitivity: { changes: { exposureRate: -5 } } }))
+      .toThrow('Sensitivity change for exposureRate must be a non-negative number');
+    expect(() => runSensitivityAnalysis({ initiatives: [] }))
+      .toThrow('Sensitivity analysis covers a single initiative, not a portfolio');
+  });
+});
@@ -2,6 +2,7 @@ const {
   fitPowerCurve,
   fitExponentialDecay,
   getRetentionAtDay,
+  fitRetentionCurve,
   calculateDAUimpact
 } = require('./server-testable');
 
@@ -179,7 +180,8 @@ describe('Existing User Decay Scenario', () => {
       initiativeType: 'none',
       customBaseline: baselineData,
       segments: { commercial: true, consumer: true },
-      platforms: { ios: true, android: true }
+      platforms: { ios: true, android: true },
+      baselineDecay: { method: 'churn', monthlyChurn: 5 }
     };
 
     const result = calculateDAUimpact(params);
@@ -223,7 +225,8 @@ describe('Existing User Decay Scenario', () => {
       initiativeType: 'none',
       customBaseline: baselineData,
       segments: { commercial: true, consumer: true },
-      platforms: { ios: true, android: true }
+      platforms: { ios: true, android: true },
+      baselineDecay: { method: 'churn', monthlyChurn: 5 }
     };
 
     const result = calculateDAUimpact(params);
@@ -578,4 +581,216 @@ describe('Edge Cases and Boundary Conditions', () => {
     const result = calculateDAUimpact(params);
     expect(result.summary.totalImpact).toBe(0); // No exposure, no impact
   });
-});
\ No newline at end of file
+});
+describe('Daily Resolution Forecasts', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const combinedParams = {
+    initiativeType: 'combined',
+    retention: { targetUsers: 'all', monthsToStart: 1, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1 },
+    acquisition: { weeksToStart: 2, duration: 6, weeklyInstalls: 70000 },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100
+  };
+
+  test('should return 360 daily values per series', () => {
+    const result = calculateDAUimpact({ ...combinedParams, resolution: 'daily' });
+
+    expect(result.resolution).toBe('daily');
+    expect(result.daily.baseline).toHaveLength(360);
+    expect(result.daily.withInitiative).toHaveLength(360);
+    expect(result.daily.incrementalDAU).toHaveLength(360);
+    expect(result.baseline).toHaveLength(12);
+  });
+
+  test('should not return daily series in the default monthly mode', () => {
+    const result = calculateDAUimpact(combinedParams);
+
+    expect(result.resolution).toBe('monthly');
+    expect(result.daily).toBeUndefined();
+  });
+
+  test('should match the monthly snapshot at day 15 of each month', () => {
+    const monthly = calculateDAUimpact(combinedParams);
+    const daily = calculateDAUimpact({ ...combinedParams, resolution: 'daily' });
+
+    for (let month = 1; month <= 12; month++) {
+      const day = (month - 1) * 30 + 15;
+      expect(Math.abs(daily.daily.baseline[day] - monthly.baseline[month - 1])).toBeLessThanOrEqual(1);
+      expect(Math.abs(daily.daily.incrementalDAU[day] - monthly.incrementalDAU[month - 1])).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('should roll up monthly values as averages of the daily series', () => {
+    const result = calculateDAUimpact({ ...combinedParams, resolution: 'daily' });
+
+    for (let month = 1; month <= 12; month++) {
+      const days = result.daily.incrementalDAU.slice((month - 1) * 30, month * 30);
+      const average = days.reduce((sum, value) => sum + value, 0) / 30;
+      expect(Math.abs(result.incrementalDAU[month - 1] - average)).toBeLessThanOrEqual(1);
+    }
+  });
+
+  test('should capture a campaign that starts mid-month', () => {
+    const params = {
+      ...combinedParams,
+      initiativeType: 'acquisition',
+      acquisition: { weeksToStart: 3, duration: 1, weeklyInstalls: 70000 },
+      resolution: 'daily'
+    };
+    const result = calculateDAUimpact(params);
+
+    // Campaign starts on day 21, after the day-15 snapshot of month 1
+    expect(result.daily.incrementalDAU[20]).toBe(0);
+    expect(result.daily.incrementalDAU[25]).toBeGreaterThan(0);
+    expect(result.incrementalDAU[0]).toBeGreaterThan(0);
+  });
+
+  test('should total impact as the sum of daily incremental DAU', () => {
+    const result = calculateDAUimpact({ ...combinedParams, resolution: 'daily' });
+    const dailySum = result.daily.incrementalDAU.reduce((sum, value) => sum + value, 0);
+    const { breakdown } = result.summary;
+
+    expect(Math.abs(result.summary.totalImpact - dailySum)).toBeLessThanOrEqual(360);
+    expect(result.summary.totalImpact).toBeCloseTo(breakdown.existingUsers + breakdown.newUsers + breakdown.newAcquisition, -1);
+  });
+});
+
+describe('Forecast Horizon', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const retentionParams = {
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 0, d1Gain: 5, d7Gain: 3, d14Gain: 2, d28Gain: 1, d360Gain: 1, d720Gain: 1 },
+    customBaseline: baselineData,
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100
+  };
+
+  test('should default to a 12-month horizon', () => {
+    const result = calculateDAUimpact(retentionParams);
+
+    expect(result.horizonMonths).toBe(12);
+    expect(result.baseline).toHaveLength(12);
+  });
+
+  test.each([24, 36])('should forecast %i months', (horizonMonths) => {
+    const result = calculateDAUimpact({ ...retentionParams, horizonMonths, resolution: 'daily' });
+
+    expect(result.baseline).toHaveLength(horizonMonths);
+    expect(result.withInitiative).toHaveLength(horizonMonths);
+    expect(result.incrementalDAU).toHaveLength(horizonMonths);
+    expect(result.daily.baseline).toHaveLength(horizonMonths * 30);
+  });
+
+  test('should keep the first 12 months unchanged when extending the horizon', () => {
+    const short = calculateDAUimpact(retentionParams);
+    const long = calculateDAUimpact({ ...retentionParams, horizonMonths: 24 });
+
+    expect(long.baseline.slice(0, 12)).toEqual(short.baseline);
+    expect(long.incrementalDAU.slice(0, 12)).toEqual(short.incrementalDAU);
+  });
+
+  test('should include the extra months in summary stats', () => {
+    const short = calculateDAUimpact(retentionParams);
+    const long = calculateDAUimpact({ ...retentionParams, horizonMonths: 24 });
+
+    expect(long.summary.totalImpact).toBeGreaterThan(short.summary.totalImpact);
+    expect(long.summary.peakMonth).toBeGreaterThanOrEqual(1);
+    expect(long.summary.peakMonth).toBeLessThanOrEqual(24);
+  });
+
+  test('should reject invalid horizons', () => {
+    expect(() => calculateDAUimpact({ ...retentionParams, horizonMonths: 0 })).toThrow('horizonMonths');
+    expect(() => calculateDAUimpact({ ...retentionParams, horizonMonths: 6.5 })).toThrow('horizonMonths');
+    expect(() => calculateDAUimpact({ ...retentionParams, horizonMonths: 61 })).toThrow('horizonMonths');
+  });
+});
+
+describe('Arbitrary Retention Checkpoints', () => {
+  const legacyCurves = {
+    existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+    new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+  };
+  const toCheckpoints = (curve) => Object.entries(curve).map(([key, retention]) => ({ day: Number(key.slice(1)), retention }));
+
+  const buildParams = (retentionCurves, retention) => ({
+    initiativeType: 'retention',
+    retention: { targetUsers: 'all', monthsToStart: 0, ...retention },
+    customBaseline: {
+      currentDAU: { commercial_ios: 1000000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+      weeklyAcquisitions: { commercial_ios: 70000, commercial_android: 0, consumer_ios: 0, consumer_android: 0 },
+      retentionCurves
+    },
+    segments: { commercial: true, consumer: false },
+    platforms: { ios: true, android: false },
+    exposureRate: 100
+  });
+
+  test('should fit a checkpoint list the same as the legacy object', () => {
+    expect(fitPowerCurve(toCheckpoints(legacyCurves.new))).toEqual(fitPowerCurve(legacyCurves.new));
+    expect(fitExponentialDecay(toCheckpoints(legacyCurves.existing))).toEqual(fitExponentialDecay(legacyCurves.existing));
+  });
+
+  test('should accept checkpoints in any order', () => {
+    const shuffled = toCheckpoints(legacyCurves.new).reverse();
+
+    expect(fitPowerCurve(shuffled)).toEqual(fitPowerCurve(legacyCurves.new));
+  });
+
+  test('should fit extra checkpoints such as D2, D3, D30, D60, D90 and D180', () => {
+    const checkpoints = [1, 2, 3, 7, 14, 28, 30, 60, 90, 180, 360, 720]
+      .map(day => ({ day, retention: 50 * Math.pow(day, -0.4) }));
+    const curve = fitPowerCurve(checkpoints);
+
+    expect(Math.abs(curve.b)).toBeCloseTo(0.4, 6);
+    expect(fitRetentionCurve('power', checkpoints, { method: 'nls' }).residuals.map(({ day }) => day))
+      .toEqual([1, 2, 3, 7, 14, 28, 30, 60, 90, 180, 360, 720]);
+    expect(Math.abs(fitPowerCurve({ d2: 50 * Math.pow(2, -0.4), d90: 50 * Math.pow(90, -0.4) }).b)).toBeCloseTo(0.4, 6);
+  });
+
+  test('should match legacy gain fields with a gains list', () => {
+    const legacy = calculateDAUimpact(buildParams(legacyCurves, { d1Gain: 5, d7Gain: 3, d28Gain: 1 }));
+    const listed = calculateDAUimpact(buildParams(
+      { existing: toCheckpoints(legacyCurves.existing), new: toCheckpoints(legacyCurves.new) },
+      { gains: [{ day: 1, gain: 5 }, { day: 7, gain: 3 }, { day: 28, gain: 1 }] }
+    ));
+
+    expect(listed.withInitiative).toEqual(legacy.withInitiative);
+    expect(listed.retentionCurves.improvedNewUser).toEqual(legacy.retentionCurves.improvedNewUser);
+  });
+
+  test('should apply gains on days the baseline does not measure', () => {
+    const fitting = { method: 'nls' };
+    const baseline = calculateDAUimpact({ ...buildParams(legacyCurves, {}), fitting });
+    const result = calculateDAUimpact({ ...buildParams(legacyCurves, { gains: [{ day: 90, gain: 4 }] }), fitting });
+
+    expect(getRetentionAtDay(result.retentionCurves.improvedNewUser, 90))
+      .toBeGreaterThan(getRetentionAtDay(baseline.retentionCurves.baseNewUser, 90));
+    expect(result.summary.totalImpact).toBeGreaterThan(0);
+  });
+
+  test('should reject invalid checkpoint lists', () => {
+    expect(() => fitPowerCurve([{ day: 1, retention: 40 }])).toThrow('At least two');
+    expect(() => fitPowerCurve([{ day: 1, retention: 40 }, { day: 1, retention: 30 }])).toThrow('Duplicate');
+    expect(() => fitPowerCurve([{ day: 0, retention: 100 }, { day: 7, retention: 30 }])).toThrow('positive integer');
+    expect(() => fitPowerCurve([{ day: 1, retention: 140 }, { day: 7, retention: 30 }])).toThrow('between 0 and 100');
+  });
+});
@@ -0,0 +1,74 @@
+const { calculateDAUimpact, calculatePortfolioImpact } = require('./server-testable');
+
+describe('Viral Growth Loop', () => {
+  const baselineData = {
+    currentDAU: { commercial_ios: 0, commercial_android: 0, consumer_ios: 1000000, consumer_android: 0 },
+    weeklyAcquisitions: { commercial_ios: 0, commercial_android: 0, consumer_ios: 70000, consumer_android: 0 },
+    retentionCurves: {
+      existing: { d1: 95, d7: 90, d14: 85, d28: 80, d360: 50, d720: 30 },
+      new: { d1: 50, d7: 30, d14: 25, d28: 20, d360: 10, d720: 5 }
+    }
+  };
+
+  const acquisitionParams = {
+    initiativeType: 'acquisition',
+    acquisition: { weeklyInstalls: 70000, weeksToStart: 0, duration: 8 },
+    fitting: { method: 'nls' },
+    customBaseline: baselineData,
+    segments: { commercial: false, consumer: true },
+    platforms: { ios: true, android: false },
+    exposureRate: 100,
+    resolution: 'daily'
+  };
+
+  const viral = { kFactor: 0.2, cycleDays: 30 };
+  const withoutViral = calculateDAUimpact(acquisitionParams);
+  const withViral = calculateDAUimpact({ ...acquisitionParams, viral });
+
+  test('should leave forecasts unchanged without a viral loop', () => {
+    expect(withoutViral.summary.breakdown.viralUsers).toBe(0);
+    expect(withoutViral.viral).toBeUndefined();
+  });
+
+  test('should grow the baseline with installs invited by baseline DAU', () => {
+    expect(withViral.daily.baseline[0]).toBe(withoutViral.daily.baseline[0]);
+    expect(withViral.daily.baseline[180]).toBeGreaterThan(withoutViral.daily.baseline[180]);
+    expect(withViral.viral.baselineInstalls).toBeGreaterThan(0);
+  });
+
+  test('should attribute viral DAU separately from paid acquisition', () => {
+    const { breakdown } = withViral.summary;
+
+    expect(breakdown.viralUsers).toBeGreaterThan(0);
+    expect(breakdown.newAcquisition).toBeCloseTo(withoutViral.summary.breakdown.newAcquisition, -1);
+    expect(withViral.summary.totalImpact).toBeCloseTo(breakdown.newAcquisition + breakdown.viralUsers, -1);
+  });
+
+  test('should generate kFactor / cycleDays installs per incremental DAU each day', () => {
+    const incrementalDAUDays = withViral.daily.incrementalDAU.reduce((sum, value) => sum + value, 0);
+    const expected = incrementalDAUDays * viral.kFactor / viral.cycleDays;
+
+    expect(withViral.viral.incrementalInstalls / expected).toBeCloseTo(1, 3);
+  });
+
+  test('should compound as the k-factor grows', () => {
+    const stronger = calculateDAUimpact({ ...acquisitionParams, viral: { ...viral, kFactor: 0.4 } });
+    expect(stronger.summary.breakdown.viralUsers).toBeGreaterThan(2 * withViral.summary.breakdown.viralUsers);
+  });
+
+  test('should add viral DAU to portfolio initiatives', () => {
+    const result = calculatePortfolioImpact({
+      ...acquisitionParams,
+      viral,
+      initiatives: [{ name: 'Paid social', initiativeType: 'acquisition', acquisition: acquisitionParams.acquisition }]
+    });
+
+    expect(result.summary.breakdown.viralUsers).toBeCloseTo(withViral.summary.breakdown.viralUsers, -1);
+    expect(result.daily.baseline[180]).toBe(withViral.daily.baseline[180]);
+  });
+
+  test('should reject invalid viral settings', () => {
+    expect(() => calculateDAUimpact({ ...acquisitionParams, viral: { kFactor: -1, cycleDays: 30 } })).toThrow('viral.kFactor');
+    expect(() => calculateDAUimpact({ ...acquisitionParams, viral: { kFactor: 0.2, cycleDays: 0 } })).toThrow('viral.cycleDays');
+  });
+});
@@ -1,16 +1,18 @@
-import React, { useState, useCallback } from 'react';
-import { Layout, Card, Form, Select, Button, InputNumber, Row, Col, Typography, Space, message, Collapse, Checkbox, Slider, Tabs, Switch, ConfigProvider, theme } from 'antd';
-import { Line } from 'react-chartjs-2';
-import { MoonOutlined, SunOutlined } from '@ant-design/icons';
+import React, { useState, useCallback, useMemo } from 'react';
+import { Layout, Card, Form, Select, Button, InputNumber, Row, Col, Typography, Space, message, Collapse, Checkbox, Slider, Tabs, Switch, ConfigProvider, theme, Segmented, DatePicker, Upload, Input, List } from 'antd';
+import { Bar, Line } from 'react-chartjs-2';
+import { MoonOutlined, SunOutlined, PlusOutlined, MinusCircleOutlined, UploadOutlined } from '@ant-design/icons';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
   Legend,
+  Filler,
 } from 'chart.js';
 import axios from 'axios';
 import './App.css';
@@ -26,51 +28,296 @@ ChartJS.register(
   LinearScale,
   PointElement,
   LineElement,
+  BarElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 );
 
-interface PredictionParams {
-  initiativeType: 'acquisition' | 'retention' | 'combined';
+type RampShape = 'linear' | 'step' | 'sCurve';
+type AfterPeakShape = 'flat' | 'rampDown' | 'decay';
+
+interface InitiativeParams {
+  initiativeType: 'acquisition' | 'retention' | 'combined' | 'reactivation';
   acquisition: {
     weeklyInstalls: number;
     weeksToStart: number;
     duration: number;
+    ramp?: { weeks: number; shape: RampShape };
+    afterPeak?: { shape: AfterPeakShape; weeks?: number; weeklyRate?: number };
+    budget?: { weekly: number; cpi: number; cpiElasticity: number; baseVolume?: number };
+    // Cost of an install-driven campaign: a flat CPI or a total spend
+    cpi?: number;
+    totalSpend?: number;
+    cannibalization?: { rate?: number; curve?: { intensity: number; rate: number }[] };
   };
   retention: {
     targetUsers: 'new' | 'existing' | 'all';
     monthsToStart: number;
-    d1Gain: number;
-    d7Gain: number;
-    d14Gain: number;
-    d28Gain: number;
-    d360Gain?: number;
-    d720Gain?: number;
+    gains: { day: number; gain: number }[];
+    novelty?: { halfLifeDays?: number; schedule?: { day: number; remaining: number }[] };
+    // Staged exposure after launch: explicit steps or a ramp up to the exposure rate
+    rollout?: { steps?: { day: number; percent: number }[]; shape?: RampShape; weeks?: number; startPercent?: number };
   };
-  segments?: {
-    commercial: boolean;
-    consumer: boolean;
-  };
-  platforms?: {
-    ios: boolean;
-    android: boolean;
+  reactivation?: {
+    rate: number;
+    windowDays: number;
+    weeksToStart: number;
+    duration: number;
+    retentionCurve?: RetentionCheckpoint[];
   };
+  targeting?: Record<string, string[]>;
   exposureRate?: number;
+}
+
+// One entry of a portfolio of concurrent initiatives
+interface PortfolioInitiative extends InitiativeParams {
+  name: string;
+}
+
+type OverlapRule = 'additive' | 'multiplicative' | 'capped';
+
+interface PredictionParams extends Partial<InitiativeParams> {
+  initiatives?: PortfolioInitiative[];
+  overlap?: {
+    rule: OverlapRule;
+    capPercent?: number;
+  };
+  resolution?: 'monthly' | 'daily';
+  horizonMonths?: number;
+  uncertainty?: {
+    simulations: number;
+    inputs: Record<string, DistributionSpec>;
+  };
+  curveSelection?: {
+    mode: 'default' | 'aic' | 'bic' | 'holdout';
+  };
+  baselineDecay?: { method: 'fitted' } | { method: 'churn'; monthlyChurn: number };
+  fitting?: {
+    method: 'log-linear' | 'nls';
+    weights?: Record<string, number>;
+  };
+  calendar?: {
+    startDate: string;
+    dayOfWeekMultipliers?: Record<string, number>;
+    events?: CalendarEvent[];
+    ics?: string;
+    eventMultiplier?: number;
+  };
+  viral?: {
+    kFactor: number;
+    cycleDays: number;
+  };
+  monetization?: {
+    arpdau: number | Record<string, number>;
+    ramp?: { day: number; percent: number }[];
+    ltvDays?: number;
+  };
+  goalSeek?: {
+    variable: string;
+    target: { metric: GoalMetric; value: number; month?: number };
+    bounds?: { min: number; max: number };
+  };
   customBaseline?: {
+    dimensions: BaselineDimensions;
     currentDAU: Record<string, number>;
     weeklyAcquisitions: Record<string, number>;
     retentionCurves: {
-      existing: Record<string, number>;
-      new: Record<string, number>;
+      existing: RetentionCheckpoint[];
+      new: RetentionCheckpoint[];
+      cells?: CellRetentionCurves;
     };
   } | null;
 }
 
+interface CalendarEvent {
+  date: string;
+  endDate?: string;
+  multiplier: number;
+  name?: string;
+}
+
+// Holiday/event calendar imported from a JSON list of events or an ICS file
+interface EventCalendarFile {
+  fileName: string;
+  events?: CalendarEvent[];
+  ics?: string;
+}
+
+// Fill colors for stacked initiative contributions
+const INITIATIVE_COLORS = ['#389E0D', '#1677FF', '#FA8C16', '#722ED1', '#EB2F96', '#13C2C2'];
+
+const WEEKDAY_OPTIONS = [
+  { key: 'mon', label: 'Mon' },
+  { key: 'tue', label: 'Tue' },
+  { key: 'wed', label: 'Wed' },
+  { key: 'thu', label: 'Thu' },
+  { key: 'fri', label: 'Fri' },
+  { key: 'sat', label: 'Sat' },
+  { key: 'sun', label: 'Sun' },
+];
+
+interface RetentionCheckpoint {
+  day: number;
+  retention: number;
+}
+
+type Granularity = 'daily' | 'weekly' | 'monthly';
+
+type SeriesKey = 'baseline' | 'withInitiative' | 'incrementalDAU';
+
+type ActiveUserMetric = 'wau' | 'mau' | 'dauWau' | 'dauMau';
+type Metric = 'dau' | ActiveUserMetric;
+type ActiveUserSeries = Record<ActiveUserMetric, { baseline: number[]; withInitiative: number[] }>;
+
+const METRIC_LABELS: Record<Metric, string> = {
+  dau: 'DAU',
+  wau: 'WAU',
+  mau: 'MAU',
+  dauWau: 'DAU/WAU',
+  dauMau: 'DAU/MAU',
+};
+
+// Stickiness ratios are percentages; the other metrics are user counts
+const isRatioMetric = (metric: Metric) => metric === 'dauWau' || metric === 'dauMau';
+
+interface DistributionSpec {
+  distribution: 'normal' | 'uniform' | 'triangular';
+  mean?: number;
+  sd?: number;
+  min?: number;
+  mode?: number;
+  max?: number;
+}
+
+interface PercentileBand {
+  p10: number[];
+  p50: number[];
+  p90: number[];
+}
+
+// Convert a saved curve to a checkpoint list; baselines saved before checkpoints
+// became editable use the { d1: 58, d7: 51.8, ... } object form
+const toCheckpointList = (curve: RetentionCheckpoint[] | Record<string, number>): RetentionCheckpoint[] => {
+  const checkpoints = Array.isArray(curve)
+    ? curve
+    : Object.entries(curve).map(([key, retention]) => ({ day: Number(key.slice(1)), retention }));
+  return [...checkpoints].sort((a, b) => a.day - b.day);
+};
+
+// Baseline keys join one value per dimension with '_' in this order, e.g. commercial_ios
+type BaselineDimensions = Record<string, string[]>;
+
+// Baselines saved before dimensions became editable use the segment x platform schema
+const LEGACY_DIMENSIONS: BaselineDimensions = { segment: ['commercial', 'consumer'], platform: ['ios', 'android'] };
+
+const dimensionKeys = (dimensions: BaselineDimensions): string[] =>
+  Object.values(dimensions).reduce<string[]>(
+    (keys, values) => keys.flatMap(key => values.map(value => (key ? `${key}_${value}` : value))),
+    Object.keys(dimensions).length ? [''] : []
+  );
+
+const dimensionKeyLabel = (key: string) => key.split('_').join(' ').toUpperCase();
+
+// Compact dollar amounts for revenue summaries, e.g. $1.2M
+const formatCurrency = (value: number) =>
+  Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 1 }).format(value);
+
+// Unit costs to the cent; n/a when nothing was bought
+const formatCost = (value: number | null) => value === null ? 'n/a' : `$${value.toFixed(2)}`;
+
+// The dimension editor lists values as comma-separated text
+const toDimensions = (dimensionList: { name?: string; values?: string }[] = []): BaselineDimensions =>
+  Object.fromEntries(dimensionList.map(({ name = '', values = '' }) => [
+    name.trim(),
+    values.split(',').map(value => value.trim()).filter(Boolean),
+  ]));
+
+// Retention curves a baseline cell (e.g. consumer_android) uses instead of the shared ones
+type CellRetentionCurves = Record<string, { new?: RetentionCheckpoint[]; existing?: RetentionCheckpoint[] }>;
+
+// Keep the non-empty curves of cells in the schema
+const toCellRetentionCurves = (cells: Record<string, any> = {}, keys: string[]): CellRetentionCurves => {
+  const curves: CellRetentionCurves = {};
+  keys.forEach(key => {
+    (['new', 'existing'] as const).forEach(userType => {
+      const curve = cells[key]?.[userType];
+      if (curve && (Array.isArray(curve) ? curve.length > 0 : Object.keys(curve).length > 0)) {
+        curves[key] = { ...curves[key], [userType]: toCheckpointList(curve) };
+      }
+    });
+  });
+  return curves;
+};
+
+// Attach totals for the baseline display; keys outside the schema are dropped
+const withBaselineTotals = (data: any) => {
+  const keys = dimensionKeys(data.dimensions);
+  const pick = (values: Record<string, number> = {}) => Object.fromEntries(keys.map(key => [key, values[key] || 0]));
+  const currentDAU = pick(data.currentDAU);
+  const weeklyAcquisitions = pick(data.weeklyAcquisitions);
+  const sum = (values: Record<string, number>) => Object.values(values).reduce((total, value) => total + value, 0);
+  const totalWeeklyAcquisitions = sum(weeklyAcquisitions);
+  return {
+    ...data,
+    currentDAU,
+    weeklyAcquisitions,
+    totalCurrentDAU: sum(currentDAU),
+    totalWeeklyAcquisitions,
+    dailyAcquisitions: totalWeeklyAcquisitions / 7,
+  };
+};
+
+interface FitResidual {
+  day: number;
+  actual: number;
+  fitted: number;
+  residual: number;
+}
+
+// z-score of the 90th percentile: low/high are read as P10/P90 for normal distributions
+const P90_Z_SCORE = 1.2816;
+
+// Simulations the server runs over a horizon: its cost grows with the square of the horizon,
+// so 200 over 12 months, 50 over 24 and 22 over 36
+const maxSimulations = (horizonMonths: number) => Math.max(2, Math.min(1000, Math.floor(200 * 144 / horizonMonths ** 2)));
+
 interface PredictionResult {
   baseline: number[];
   withInitiative: number[];
   incrementalDAU?: number[];
+  resolution?: 'monthly' | 'daily';
+  horizonMonths?: number;
+  daily?: Record<SeriesKey, number[]> & {
+    dates?: string[];
+    activeUsers?: ActiveUserSeries;
+    cells?: Record<string, Record<SeriesKey, number[]>>;
+  };
+  activeUsers?: ActiveUserSeries;
+  // Baseline and incremental DAU per targeted baseline cell; cells with their own curves report them
+  cells?: Record<string, Record<SeriesKey, number[]> & { retentionCurves?: any }>;
+  existingUserDecay?: {
+    method: 'fitted' | 'churn';
+    dailyDecay: number;
+    monthlyChurn: number;
+    formula: string;
+  };
+  calendar?: {
+    startDate: string;
+    monthStartDates: string[];
+  };
+  uncertainty?: {
+    simulations: number;
+    // Set when the horizon allowed fewer simulations than requested
+    requestedSimulations?: number;
+    bands: Record<SeriesKey, PercentileBand>;
+    daily?: Record<SeriesKey, PercentileBand>;
+    summary: {
+      totalImpact: { p10: number; p50: number; p90: number };
+      peakImpact: { p10: number; p50: number; p90: number };
+    };
+  };
   summary: {
     totalImpact: number;
     peakImpact: number;
@@ -80,8 +327,66 @@ interface PredictionResult {
       existingUsers: number;
       newUsers: number;
       newAcquisition: number;
+      grossAcquisition?: number;
+      cannibalizedAcquisition?: number;
+      reactivatedUsers?: number;
+      viralUsers?: number;
+    };
+  };
+  reactivation?: {
+    totalReactivated: number;
+  };
+  viral?: {
+    baselineInstalls: number;
+    incrementalInstalls: number;
+  };
+  noveltyDecay?: {
+    remaining: number[];
+    daily?: { remaining: number[] };
+  };
+  revenue?: {
+    baseline: number[];
+    withInitiative: number[];
+    incremental: number[];
+    daily?: { baseline: number[]; withInitiative: number[]; incremental: number[] };
+    summary: {
+      totalBaseline: number;
+      totalWithInitiative: number;
+      totalIncremental: number;
+      liftPercent: number;
+    };
+    ltv?: {
+      days: number;
+      perInstall: number;
+      netInstalls: number;
+      cohortRevenue: number;
+      spend?: number;
+      roas?: number | null;
     };
   };
+  acquisitionEconomics?: {
+    totalSpend: number;
+    costPerIncrementalDAU: number | null;
+    costPerRetainedUser: Record<'d30' | 'd180' | 'd360', number | null>;
+    paybackDay?: number | null;
+    horizonRevenue?: number;
+    roiPercent?: number | null;
+  };
+  acquisitionPlan?: {
+    totalInstalls: number;
+    peakWeeklyInstalls: number;
+    totalSpend?: number;
+    averageCpi?: number;
+    displacedOrganicInstalls?: number;
+    netInstalls?: number;
+  };
+  initiatives?: {
+    name: string;
+    initiativeType: string;
+    incrementalDAU: number[];
+    daily?: { incrementalDAU: number[] };
+    summary: { totalImpact: number; peakImpact: number; peakMonth: number };
+  }[];
   retentionCurves?: {
     baseNewUser: any;
     improvedNewUser: any;
@@ -90,13 +395,167 @@ interface PredictionResult {
   };
 }
 
+// Formula and fitted parameters of each retention curve family the engine can select
+const CURVE_FAMILY_MODELS: Record<string, { label: string; formula: string; params: string[] }> = {
+  power: { label: 'Power Curve', formula: 'retention(t) = a × t^(-b)', params: ['a', 'b'] },
+  exponential: { label: 'Exponential', formula: 'retention(t) = c + a × e^(-λ×t)', params: ['a', 'lambda', 'c'] },
+  weibull: { label: 'Weibull', formula: 'retention(t) = a × e^(-(t/λ)^k)', params: ['a', 'scale', 'shape'] },
+  lognormal: { label: 'Log-normal', formula: 'retention(t) = a × (1 - Φ((ln t - μ) / σ))', params: ['a', 'mu', 'sigma'] },
+  sbg: { label: 'Shifted-beta-geometric', formula: 'retention(t) = B(α, β + t) / B(α, β)', params: ['alpha', 'beta'] },
+  powerFloor: { label: 'Power with Floor', formula: 'retention(t) = c + a × t^(-b)', params: ['a', 'b', 'c'] },
+};
+
+type GoalMetric = 'incrementalDAU' | 'peakImpact' | 'peakLiftPercent' | 'totalImpact';
+
+const GOAL_METRIC_LABELS: Record<GoalMetric, string> = {
+  incrementalDAU: 'Incremental DAU at Month',
+  peakImpact: 'Peak Incremental DAU',
+  peakLiftPercent: 'Peak Lift (%)',
+  totalImpact: 'Total Impact (DAU-days)',
+};
+
+interface GoalSeekResult {
+  variable: string;
+  target: { metric: GoalMetric; value: number; month?: number };
+  bounds: { min: number; max: number };
+  achievable: { min: number; max: number };
+  feasible: boolean;
+  message?: string;
+  value?: number;
+  achieved?: number;
+  forecast?: PredictionResult;
+}
+
+type SensitivityMetric = 'totalImpact' | 'peakImpact';
+
+interface SensitivityPoint {
+  value: number;
+  totalImpact: number;
+  peakImpact: number;
+  totalImpactChange: number;
+  peakImpactChange: number;
+}
+
+interface SensitivityResult {
+  base: { totalImpact: number; peakImpact: number };
+  inputs: {
+    input: string;
+    mode: 'percent' | 'absolute';
+    change: number;
+    value: number;
+    low: SensitivityPoint;
+    high: SensitivityPoint;
+  }[];
+}
+
+const SENSITIVITY_LABELS: Record<string, string> = {
+  weeklyInstalls: 'Weekly Installs',
+  weeklyBudget: 'Weekly Budget',
+  weeksToStart: 'Acquisition Start',
+  monthsToStart: 'Retention Launch',
+  exposureRate: 'Exposure Rate',
+  baselineDAU: 'Baseline DAU',
+};
+
+const TIMING_UNITS: Record<string, string> = { weeksToStart: 'wk', monthsToStart: 'mo' };
+
+// Tornado row label, e.g. "Weekly Installs ±10%" or "D7 Gain ±10%"
+const sensitivityLabel = ({ input, mode, change }: SensitivityResult['inputs'][number]) => {
+  const name = SENSITIVITY_LABELS[input] || `D${input.slice(1, -4)} Gain`;
+  return `${name} ±${change}${mode === 'percent' ? '%' : ` ${TIMING_UNITS[input]}`}`;
+};
+
+interface BacktestMetrics {
+  mape: number | null;
+  bias: number;
+  biasPercent: number | null;
+  rmse: number;
+}
+
+interface BacktestResult {
+  days: number;
+  dates: string[] | null;
+  actual: number[];
+  forecast: number[];
+  metrics: BacktestMetrics;
+}
+
+interface CohortCheckpoint {
+  day: number;
+  retention: number;
+  cohorts: number;
+  sampleSize: number;
+}
+
+interface CohortCalibration {
+  cohorts: number;
+  sampleSize: number;
+  checkpoints: CohortCheckpoint[];
+  curve: { rSquared: number; type: string };
+}
+
+interface CalibrationResult {
+  new?: CohortCalibration;
+  existing?: CohortCalibration;
+  retentionCurves: { new?: RetentionCheckpoint[]; existing?: RetentionCheckpoint[] };
+}
+
+interface CurveFitDiagnostics {
+  type: string;
+  method: string;
+  params: Record<string, number>;
+  checkpoints: { day: number; actual: number; fitted: number; residual: number }[];
+  rSquared: { log: number; linear: number };
+  warnings: string[];
+}
+
+interface FitDiagnosticsResult {
+  warnings: string[];
+  fits: CurveFitDiagnostics[];
+}
+
+// A saved backtest, kept in localStorage to track accuracy across runs
+interface BacktestRun {
+  id: number;
+  name: string;
+  runAt: string;
+  startDate: string | null;
+  days: number;
+  metrics: BacktestMetrics;
+}
+
 function App() {
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState<PredictionResult | null>(null);
+  const [granularity, setGranularity] = useState<Granularity>('monthly');
+  const [metric, setMetric] = useState<Metric>('dau');
+  const [cellSeries, setCellSeries] = useState<SeriesKey>('incrementalDAU');
+  const [goalSeeking, setGoalSeeking] = useState(false);
+  const [goalSeekResult, setGoalSeekResult] = useState<GoalSeekResult | null>(null);
+  const [sensitivity, setSensitivity] = useState<SensitivityResult | null>(null);
+  const [sensitivityLoading, setSensitivityLoading] = useState(false);
+  const [sensitivityMetric, setSensitivityMetric] = useState<SensitivityMetric>('totalImpact');
+  const [fitDiagnostics, setFitDiagnostics] = useState<{ new?: FitDiagnosticsResult; existing?: FitDiagnosticsResult }>({});
+  const [calibration, setCalibration] = useState<{ fileName: string; result: CalibrationResult } | null>(null);
+  const [backtestActuals, setBacktestActuals] = useState<{ fileName: string; actuals: string | any[] } | null>(null);
+  const [backtestBaseline, setBacktestBaseline] = useState<{ fileName: string; data: any } | null>(null);
+  const [backtestName, setBacktestName] = useState('');
+  const [backtestLoading, setBacktestLoading] = useState(false);
+  const [backtest, setBacktest] = useState<BacktestResult | null>(null);
+  const [backtestRuns, setBacktestRuns] = useState<BacktestRun[]>(() => {
+    try {
+      return JSON.parse(localStorage.getItem('dau-predictor-backtests') || '[]');
+    } catch (error) {
+      console.error('Failed to parse saved backtests');
+      return [];
+    }
+  });
   const [baselineData, setBaselineData] = useState<any>(null);
   const [editingBaseline, setEditingBaseline] = useState(false);
   const [baselineForm] = Form.useForm();
+  const [eventCalendar, setEventCalendar] = useState<EventCalendarFile | null>(null);
+  const [portfolio, setPortfolio] = useState<PortfolioInitiative[]>([]);
   const [isDarkMode, setIsDarkMode] = useState(() => {
     const saved = localStorage.getItem('dau-predictor-theme');
     return saved ? saved === 'dark' : false;
@@ -108,6 +567,7 @@ function App() {
       const savedData = loadBaselineFromStorage();
       
       const defaultData = {
+        dimensions: LEGACY_DIMENSIONS,
         currentDAU: {
           commercial_ios: 3550000,
           commercial_android: 2780000,
@@ -121,19 +581,34 @@ function App() {
           consumer_android: 987000
         },
         retentionCurves: {
-          existing: { d1: 58, d7: 51.8, d14: 50, d28: 48, d360: 30, d720: 20 },
-          new: { d1: 26.4, d7: 17.5, d14: 15, d28: 13, d360: 6, d720: 3 }
+          existing: [
+            { day: 1, retention: 58 },
+            { day: 7, retention: 51.8 },
+            { day: 14, retention: 50 },
+            { day: 28, retention: 48 },
+            { day: 360, retention: 30 },
+            { day: 720, retention: 20 }
+          ],
+          new: [
+            { day: 1, retention: 26.4 },
+            { day: 7, retention: 17.5 },
+            { day: 14, retention: 15 },
+            { day: 28, retention: 13 },
+            { day: 360, retention: 6 },
+            { day: 720, retention: 3 }
+          ]
         }
       };
       
       const data = savedData || defaultData;
+      data.dimensions = data.dimensions || LEGACY_DIMENSIONS;
+      data.retentionCurves = {
+        existing: toCheckpointList(data.retentionCurves.existing),
+        new: toCheckpointList(data.retentionCurves.new),
+        cells: toCellRetentionCurves(data.retentionCurves.cells, dimensionKeys(data.dimensions))
+      };
       
-      // Calculate totals
-      data.totalCurrentDAU = Object.values(data.currentDAU).reduce((sum: number, val: unknown) => sum + (val as number), 0);
-      data.totalWeeklyAcquisitions = Object.values(data.weeklyAcquisitions).reduce((sum: number, val: unknown) => sum + (val as number), 0);
-      data.dailyAcquisitions = data.totalWeeklyAcquisitions / 7;
-      
-      setBaselineData(data);
+      setBaselineData(withBaselineTotals(data));
     } catch (error) {
       message.error('Failed to set baseline data');
     }
@@ -164,17 +639,32 @@ function App() {
 
   const handleEditBaseline = () => {
     setEditingBaseline(true);
-    baselineForm.setFieldsValue(baselineData);
+    baselineForm.setFieldsValue({
+      ...baselineData,
+      dimensionList: Object.entries(baselineData.dimensions as BaselineDimensions)
+        .map(([name, values]) => ({ name, values: values.join(', ') })),
+    });
   };
 
   const handleSaveBaseline = async (values: any) => {
     try {
+      const { dimensionList, ...baseline } = values;
+      baseline.dimensions = toDimensions(dimensionList);
+      baseline.retentionCurves = {
+        existing: toCheckpointList(values.retentionCurves.existing),
+        new: toCheckpointList(values.retentionCurves.new),
+        cells: toCellRetentionCurves(values.retentionCurves.cells, dimensionKeys(baseline.dimensions))
+      };
+      const data = withBaselineTotals(baseline);
+      
       // Update baseline data state
-      setBaselineData(values);
+      setBaselineData(data);
       setEditingBaseline(false);
+      setCalibration(null);
+      setFitDiagnostics({});
       
       // Save to localStorage for persistence
-      localStorage.setItem('dau-predictor-baseline', JSON.stringify(values));
+      localStorage.setItem('dau-predictor-baseline', JSON.stringify(data));
       message.success('Baseline data saved successfully');
     } catch (error) {
       message.error('Failed to save baseline data');
@@ -183,9 +673,73 @@ function App() {
 
   const handleCancelBaseline = () => {
     setEditingBaseline(false);
+    setCalibration(null);
+    setFitDiagnostics({});
     baselineForm.resetFields();
   };
 
+  // Fit every curve family to the edited checkpoints of one user type
+  const checkCurveFit = async (userType: 'new' | 'existing') => {
+    try {
+      const retention = toCheckpointList(baselineForm.getFieldValue(['retentionCurves', userType]) || []);
+      const response = await axios.post('/api/fit', { retention });
+      setFitDiagnostics(current => ({ ...current, [userType]: response.data }));
+    } catch (error: any) {
+      message.error(`Failed to fit curves: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const renderFitDiagnostics = (diagnostics?: FitDiagnosticsResult) => diagnostics && (
+    <div style={{ marginTop: 16 }}>
+      {diagnostics.warnings.map(warning => (
+        <div key={warning} style={{ fontSize: '12px', color: '#D48806' }}>{warning}</div>
+      ))}
+      {diagnostics.fits.map(fit => (
+        <div key={fit.type} style={{ marginTop: 8 }}>
+          <Text strong>{fit.type}</Text>{' '}
+          <span className="technical-number">
+            R² {fit.rSquared.linear.toFixed(3)} linear, {fit.rSquared.log.toFixed(3)} log
+          </span>
+          <div style={{ fontSize: '12px', color: '#666' }}>
+            {fit.checkpoints.map(({ day, residual }) => `D${day} ${residual >= 0 ? '+' : ''}${residual.toFixed(2)}pp`).join(', ')}
+          </div>
+          {fit.warnings.map(warning => (
+            <div key={warning} style={{ fontSize: '12px', color: '#D48806' }}>{warning}</div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+
+  // Calibrate the shared retention curves from a cohort table and pre-fill the editor
+  const importCohortData = async (file: File) => {
+    try {
+      const text = await file.text();
+      const cohorts = file.name.toLowerCase().endsWith('.json') ? JSON.parse(text) : text;
+      const response = await axios.post('/api/calibrate-retention', { cohorts });
+      const result: CalibrationResult = response.data;
+      baselineForm.setFieldValue(['retentionCurves', 'new'], result.retentionCurves.new || baselineForm.getFieldValue(['retentionCurves', 'new']));
+      baselineForm.setFieldValue(['retentionCurves', 'existing'], result.retentionCurves.existing || baselineForm.getFieldValue(['retentionCurves', 'existing']));
+      setCalibration({ fileName: file.name, result });
+      message.success(`Calibrated retention from ${file.name}`);
+    } catch (error: any) {
+      message.error(`Failed to calibrate retention: ${error.response?.data?.error || error.message}`);
+    }
+    // Read locally; the file contents go to the calibration endpoint
+    return false;
+  };
+
+  const editedDimensionList = Form.useWatch('dimensionList', baselineForm);
+  const forecastHorizon = Form.useWatch('horizonMonths', form) || 12;
+  const editedKeys = useMemo(() => dimensionKeys(toDimensions(editedDimensionList)), [editedDimensionList]);
+
+  // Target every value of a new schema until the user narrows it down
+  React.useEffect(() => {
+    if (baselineData) {
+      form.setFieldValue('targeting', { ...baselineData.dimensions });
+    }
+  }, [baselineData, form]);
+
   const loadBaselineFromStorage = () => {
     const saved = localStorage.getItem('dau-predictor-baseline');
     if (saved) {
@@ -198,41 +752,301 @@ function App() {
     return null;
   };
 
+  // Every day measured in either baseline curve; gains and fit weights are entered per day
+  const checkpointDays = useMemo(() => {
+    if (!baselineData) return [];
+    const days = [...baselineData.retentionCurves.new, ...baselineData.retentionCurves.existing]
+      .map((checkpoint: RetentionCheckpoint) => checkpoint.day);
+    return Array.from(new Set<number>(days)).sort((a, b) => a - b);
+  }, [baselineData]);
+
+  // Inputs that can be given a distribution in the Uncertainty settings
+  const uncertainInputOptions = [
+    { value: 'weeklyInstalls', label: 'Weekly Installs' },
+    ...checkpointDays.map(day => ({ value: `d${day}Gain`, label: `D${day} Retention Gain (%)` })),
+  ];
+
+  const buildUncertainInputs = (rows: any[]) => {
+    const inputs: Record<string, DistributionSpec> = {};
+    rows.filter(row => row && row.input).forEach(row => {
+      // Retention gains use the same scaling as the gain fields above
+      const scale = row.input === 'weeklyInstalls' ? 1 : 1 / 100;
+      const low = (row.low ?? 0) * scale;
+      const high = (row.high ?? 0) * scale;
+      const mostLikely = (row.mostLikely ?? (row.low + row.high) / 2) * scale;
+      
+      if (row.distribution === 'normal') {
+        inputs[row.input] = { distribution: 'normal', mean: mostLikely, sd: Math.max(0, (high - low) / (2 * P90_Z_SCORE)) };
+      } else if (row.distribution === 'uniform') {
+        inputs[row.input] = { distribution: 'uniform', min: low, max: high };
+      } else {
+        inputs[row.input] = { distribution: 'triangular', min: low, mode: mostLikely, max: high };
+      }
+    });
+    return inputs;
+  };
+
+  const importEventCalendar = async (file: File) => {
+    try {
+      const text = await file.text();
+      if (file.name.toLowerCase().endsWith('.ics')) {
+        setEventCalendar({ fileName: file.name, ics: text });
+      } else {
+        const events = JSON.parse(text);
+        if (!Array.isArray(events)) throw new Error('expected a list of events');
+        setEventCalendar({ fileName: file.name, events });
+      }
+      message.success(`Imported event calendar ${file.name}`);
+    } catch (error: any) {
+      message.error(`Failed to import event calendar: ${error.message}`);
+    }
+    // Read locally; nothing is uploaded
+    return false;
+  };
+
+  // Actual DAU as CSV text or a JSON list; the backend parses both
+  const importBacktestActuals = async (file: File) => {
+    try {
+      const text = await file.text();
+      const actuals = file.name.toLowerCase().endsWith('.json') ? JSON.parse(text) : text;
+      if (typeof actuals !== 'string' && !Array.isArray(actuals)) throw new Error('expected a list of daily values');
+      setBacktestActuals({ fileName: file.name, actuals });
+      message.success(`Imported actuals ${file.name}`);
+    } catch (error: any) {
+      message.error(`Failed to import actuals: ${error.message}`);
+    }
+    // Read locally; nothing is uploaded
+    return false;
+  };
+
+  // Baseline in effect at the start of the actuals, in the saved baseline format
+  const importBacktestBaseline = async (file: File) => {
+    try {
+      const data = JSON.parse(await file.text());
+      if (!data.currentDAU || !data.weeklyAcquisitions || !data.retentionCurves) {
+        throw new Error('expected currentDAU, weeklyAcquisitions and retentionCurves');
+      }
+      setBacktestBaseline({ fileName: file.name, data });
+      message.success(`Imported baseline ${file.name}`);
+    } catch (error: any) {
+      message.error(`Failed to import baseline: ${error.message}`);
+    }
+    return false;
+  };
+
+  const saveBacktestRuns = (runs: BacktestRun[]) => {
+    setBacktestRuns(runs);
+    localStorage.setItem('dau-predictor-backtests', JSON.stringify(runs));
+  };
+
+  // Backtest the initiative (or portfolio) set up on the prediction tab
+  const handleBacktest = async () => {
+    if (!backtestActuals) {
+      message.error('Import an actual DAU series first');
+      return;
+    }
+    const values = form.getFieldsValue(true);
+    setBacktestLoading(true);
+    try {
+      const settings = buildForecastSettings(values);
+      const params = {
+        ...(portfolio.length > 0 ? {
+          initiatives: portfolio,
+          overlap: { rule: values.overlapRule || 'additive', capPercent: values.overlapCap },
+        } : buildInitiative(values)),
+        ...settings,
+        uncertainty: undefined,
+        customBaseline: backtestBaseline ? backtestBaseline.data : settings.customBaseline,
+        actuals: backtestActuals.actuals,
+      };
+      const response = await axios.post('/api/backtest', params);
+      const data: BacktestResult = response.data;
+      setBacktest(data);
+      saveBacktestRuns([...backtestRuns, {
+        id: Date.now(),
+        name: backtestName.trim() || backtestActuals.fileName,
+        runAt: new Date().toISOString(),
+        startDate: data.dates ? data.dates[0] : null,
+        days: data.days,
+        metrics: data.metrics,
+      }]);
+    } catch (error: any) {
+      console.error('API Error:', error);
+      message.error(`Backtest failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setBacktestLoading(false);
+    }
+  };
+
+  const buildCalendar = (values: any) => {
+    if (!values.startDate) return undefined;
+    const dayOfWeekMultipliers: Record<string, number> = {};
+    Object.entries(values.weekdayMultipliers || {}).forEach(([weekday, multiplier]) => {
+      if (typeof multiplier === 'number') dayOfWeekMultipliers[weekday] = multiplier;
+    });
+    return {
+      startDate: values.startDate.format('YYYY-MM-DD'),
+      dayOfWeekMultipliers,
+      events: eventCalendar?.events,
+      ics: eventCalendar?.ics,
+      eventMultiplier: values.eventMultiplier,
+    };
+  };
+
+  const buildCannibalization = (values: any): InitiativeParams['acquisition']['cannibalization'] => {
+    if (values.cannibalizationMode === 'fixed') {
+      return { rate: values.cannibalizationRate || 0 };
+    }
+    if (values.cannibalizationMode === 'curve') {
+      const curve = (values.cannibalizationCurve || [])
+        .filter((point: any) => point && point.intensity !== undefined && point.rate !== undefined)
+        .sort((a: any, b: any) => a.intensity - b.intensity);
+      return curve.length ? { curve } : undefined;
+    }
+    return undefined;
+  };
+
+  const buildNovelty = (values: any): InitiativeParams['retention']['novelty'] => {
+    if (values.noveltyMode === 'halfLife') {
+      return { halfLifeDays: values.noveltyHalfLifeDays || 1 };
+    }
+    if (values.noveltyMode === 'schedule') {
+      const schedule = (values.noveltySchedule || [])
+        .filter((point: any) => point && point.day !== undefined && point.remaining !== undefined)
+        .sort((a: any, b: any) => a.day - b.day);
+      return schedule.length ? { schedule } : undefined;
+    }
+    return undefined;
+  };
+
+  const buildRollout = (values: any): InitiativeParams['retention']['rollout'] => {
+    if (values.rolloutMode === 'steps') {
+      const steps = (values.rolloutSteps || [])
+        .filter((step: any) => step && step.day !== undefined && step.percent !== undefined)
+        .sort((a: any, b: any) => a.day - b.day);
+      return steps.length ? { steps } : undefined;
+    }
+    if (values.rolloutMode === 'ramp') {
+      return {
+        shape: values.rolloutShape || 'linear',
+        weeks: values.rolloutWeeks || 1,
+        startPercent: values.rolloutStartPercent || 0,
+      };
+    }
+    return undefined;
+  };
+
+  const buildInitiative = (values: any): InitiativeParams => ({
+    initiativeType: values.initiativeType,
+    acquisition: {
+      weeklyInstalls: values.weeklyInstalls || 0,
+      weeksToStart: values.weeksToStart || 0,
+      duration: values.duration || 0,
+      ramp: { weeks: values.rampWeeks ?? 4, shape: values.rampShape || 'linear' },
+      afterPeak: {
+        shape: values.afterPeakShape || 'flat',
+        weeks: values.afterPeakShape === 'rampDown' ? values.rampDownWeeks || 1 : undefined,
+        weeklyRate: values.afterPeakShape === 'decay' ? values.weeklyDecayRate || 0 : undefined,
+      },
+      budget: values.acquisitionSource === 'budget' ? {
+        weekly: values.weeklyBudget || 0,
+        cpi: values.cpi || 1,
+        cpiElasticity: values.cpiElasticity || 0,
+        baseVolume: values.cpiBaseVolume || undefined,
+      } : undefined,
+      cpi: values.acquisitionSource !== 'budget' && values.campaignCost === 'cpi' ? values.cpi || 1 : undefined,
+      totalSpend: values.acquisitionSource !== 'budget' && values.campaignCost === 'totalSpend' ? values.totalSpend || 0 : undefined,
+      cannibalization: buildCannibalization(values),
+    },
+    retention: {
+      targetUsers: values.targetUsers || 'new',
+      monthsToStart: values.monthsToStart || 0,
+      gains: checkpointDays.map(day => ({ day, gain: (values.gains?.[`d${day}`] || 0) / 100 })),
+      novelty: buildNovelty(values),
+      rollout: buildRollout(values),
+    },
+    reactivation: values.initiativeType === 'reactivation' ? {
+      rate: values.reactivationRate || 0,
+      windowDays: values.reactivationWindowDays || 30,
+      weeksToStart: values.reactivationWeeksToStart || 0,
+      duration: values.reactivationDuration || 1,
+      retentionCurve: values.reactivationCurve?.length ? toCheckpointList(values.reactivationCurve) : undefined,
+    } : undefined,
+    targeting: values.targeting,
+    exposureRate: values.exposureRate || 100,
+  });
+
+  const addToPortfolio = () => {
+    const values = form.getFieldsValue(true);
+    const name = (values.initiativeName || '').trim();
+    if (!name) {
+      message.error('Enter a name for the initiative');
+      return;
+    }
+    if (portfolio.some(initiative => initiative.name === name)) {
+      message.error(`An initiative named "${name}" is already in the portfolio`);
+      return;
+    }
+    setPortfolio([...portfolio, { name, ...buildInitiative(values) }]);
+    form.setFieldValue('initiativeName', '');
+  };
+
+  // Forecast settings shared by predictions and goal seeks
+  // Flat ARPDAU with optional per-cell overrides and a shared tenure ramp
+  const buildMonetization = (values: any): PredictionParams['monetization'] => {
+    if (!values.monetizationEnabled) {
+      return undefined;
+    }
+    const overrides = Object.entries(values.arpdauByCell || {}).filter(([, value]) => typeof value === 'number');
+    const ramp = (values.arpdauRamp || [])
+      .filter((point: any) => point && point.day !== undefined && point.percent !== undefined)
+      .sort((a: any, b: any) => a.day - b.day);
+    return {
+      arpdau: overrides.length > 0 && baselineData
+        ? Object.fromEntries(dimensionKeys(baselineData.dimensions).map(key => [key, values.arpdauByCell[key] ?? values.arpdau ?? 0]))
+        : values.arpdau ?? 0,
+      ramp: ramp.length ? ramp : undefined,
+      ltvDays: values.ltvDays || undefined,
+    };
+  };
+
+  const buildForecastSettings = (values: any): PredictionParams => ({
+    resolution: 'daily',
+    horizonMonths: values.horizonMonths || 12,
+    uncertainty: values.uncertaintyEnabled ? {
+      simulations: Math.min(values.simulations || 200, maxSimulations(values.horizonMonths || 12)),
+      inputs: buildUncertainInputs(values.uncertainInputs || []),
+    } : undefined,
+    curveSelection: { mode: values.curveSelection || 'default' },
+    baselineDecay: values.baselineDecayMethod === 'churn'
+      ? { method: 'churn', monthlyChurn: values.monthlyChurn || 0 }
+      : { method: 'fitted' },
+    fitting: {
+      method: values.fittingMethod || 'log-linear',
+      weights: values.fittingMethod === 'nls' ? values.fitWeights : undefined,
+    },
+    calendar: buildCalendar(values),
+    viral: values.viralEnabled ? { kFactor: values.kFactor || 0, cycleDays: values.viralCycleDays || 1 } : undefined,
+    monetization: buildMonetization(values),
+    customBaseline: baselineData ? {
+      dimensions: baselineData.dimensions,
+      currentDAU: baselineData.currentDAU,
+      weeklyAcquisitions: baselineData.weeklyAcquisitions,
+      retentionCurves: baselineData.retentionCurves
+    } : null,
+  });
+
   const handleSubmit = async (values: any) => {
     setLoading(true);
     console.log('Raw form values:', values);
     try {
       const params: PredictionParams = {
-        initiativeType: values.initiativeType,
-        acquisition: {
-          weeklyInstalls: values.weeklyInstalls || 0,
-          weeksToStart: values.weeksToStart || 0,
-          duration: values.duration || 0,
-        },
-        retention: {
-          targetUsers: values.targetUsers || 'new',
-          monthsToStart: values.monthsToStart || 0,
-          d1Gain: (values.d1Gain || 0) / 100,
-          d7Gain: (values.d7Gain || 0) / 100,
-          d14Gain: (values.d14Gain || 0) / 100,
-          d28Gain: (values.d28Gain || 0) / 100,
-          d360Gain: (values.d360Gain || 0) / 100,
-          d720Gain: (values.d720Gain || 0) / 100,
-        },
-        segments: {
-          commercial: values.commercial !== false,
-          consumer: values.consumer !== false,
-        },
-        platforms: {
-          ios: values.ios !== false,
-          android: values.android !== false,
-        },
-        exposureRate: values.exposureRate || 100,
-        customBaseline: baselineData ? {
-          currentDAU: baselineData.currentDAU,
-          weeklyAcquisitions: baselineData.weeklyAcquisitions,
-          retentionCurves: baselineData.retentionCurves
-        } : null,
+        // A portfolio replaces the single initiative described by the form
+        ...(portfolio.length > 0 ? {
+          initiatives: portfolio,
+          overlap: { rule: values.overlapRule || 'additive', capPercent: values.overlapCap },
+        } : buildInitiative(values)),
+        ...buildForecastSettings(values),
       };
 
       console.log('Sending params:', params);
@@ -254,30 +1068,230 @@ function App() {
     }
   };
 
-  const getMonthlyData = (monthlyData: number[]) => {
-    // Backend already returns monthly data, no conversion needed
-    return monthlyData;
+  // Gain inputs use the same scaling as the gain fields
+  const goalSeekScale = (variable: string) => variable === 'weeklyInstalls' ? 1 : 1 / 100;
+
+  const handleGoalSeek = async () => {
+    const values = form.getFieldsValue(true);
+    const variable = values.goalVariable;
+    const scale = goalSeekScale(variable);
+    setGoalSeeking(true);
+    try {
+      const params: PredictionParams = {
+        ...buildInitiative(values),
+        ...buildForecastSettings(values),
+        uncertainty: undefined,
+        goalSeek: {
+          variable,
+          target: {
+            metric: values.goalMetric,
+            value: values.goalValue ?? 0,
+            month: values.goalMetric === 'incrementalDAU' ? values.goalMonth || 1 : undefined,
+          },
+          bounds: values.goalMin !== undefined && values.goalMax !== undefined
+            ? { min: values.goalMin * scale, max: values.goalMax * scale }
+            : undefined,
+        },
+      };
+      const response = await axios.post('/api/goal-seek', params);
+      setGoalSeekResult(response.data);
+    } catch (error: any) {
+      console.error('API Error:', error);
+      message.error(`Goal seek failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setGoalSeeking(false);
+    }
+  };
+
+  // Perturb each input of the single initiative in the form, for the tornado chart
+  const handleSensitivity = async () => {
+    const values = form.getFieldsValue(true);
+    setSensitivityLoading(true);
+    try {
+      const params: PredictionParams = { ...buildInitiative(values), ...buildForecastSettings(values), uncertainty: undefined };
+      const response = await axios.post('/api/sensitivity', params);
+      setSensitivity(response.data);
+    } catch (error: any) {
+      console.error('API Error:', error);
+      message.error(`Sensitivity analysis failed: ${error.response?.data?.error || error.message}`);
+    } finally {
+      setSensitivityLoading(false);
+    }
+  };
+
+  // Put the solved value into its form field and show the forecast it produces
+  const applyGoalSeek = (solution: GoalSeekResult) => {
+    const fieldValue = solution.value! / goalSeekScale(solution.variable);
+    if (solution.variable === 'weeklyInstalls') {
+      form.setFieldValue('weeklyInstalls', Math.ceil(fieldValue));
+    } else {
+      form.setFieldValue(['gains', solution.variable.replace('Gain', '')], Math.round(fieldValue * 100) / 100);
+    }
+    setResult(solution.forecast!);
+  };
+
+  const toGranularity = (monthlyData: number[], dailyData?: number[], decimals = 0): number[] => {
+    // Monthly values come straight from the backend rollup
+    if (granularity === 'monthly' || !dailyData) return monthlyData;
+    if (granularity === 'daily') return dailyData;
+    
+    // Weekly values are averages of 7-day blocks of the daily series
+    const weeklyData: number[] = [];
+    for (let start = 0; start < dailyData.length; start += 7) {
+      const week = dailyData.slice(start, start + 7);
+      const scale = 10 ** decimals;
+      weeklyData.push(Math.round((week.reduce((sum, value) => sum + value, 0) / week.length) * scale) / scale);
+    }
+    return weeklyData;
+  };
+
+  const getSeriesData = (series: SeriesKey): number[] => {
+    if (!result) return [];
+    return toGranularity(result[series] || [], result.daily?.[series]);
   };
 
+  // Baseline or with-initiative values of the selected metric
+  const getMetricData = (series: 'baseline' | 'withInitiative'): number[] => {
+    if (metric === 'dau') return getSeriesData(series);
+    if (!result?.activeUsers) return [];
+    return toGranularity(result.activeUsers[metric][series], result.daily?.activeUsers?.[metric][series], isRatioMetric(metric) ? 1 : 0);
+  };
+
+  // Shaded P10-P90 band datasets; the P10 line fills up to the P90 line drawn before it
+  const getBandDatasets = (series: SeriesKey, label: string, color: string) => {
+    const band = result?.uncertainty?.bands[series];
+    if (!band) return [];
+    const dailyBand = result?.uncertainty?.daily?.[series];
+    const bandStyle = {
+      borderColor: 'transparent',
+      backgroundColor: color,
+      pointRadius: 0,
+      tension: 0.1,
+    };
+    return [
+      { ...bandStyle, label: `${label} (P10-P90)`, data: toGranularity(band.p90, dailyBand?.p90), fill: false },
+      { ...bandStyle, label: '', data: toGranularity(band.p10, dailyBand?.p10), fill: '-1' },
+    ];
+  };
+
+  // One stacked area per portfolio initiative
+  const getInitiativeDatasets = () => (result?.initiatives || []).map((initiative, index) => {
+    const color = INITIATIVE_COLORS[index % INITIATIVE_COLORS.length];
+    return {
+      label: initiative.name,
+      data: toGranularity(initiative.incrementalDAU, initiative.daily?.incrementalDAU),
+      borderColor: color,
+      backgroundColor: `${color}55`,
+      tension: 0.1,
+      borderWidth: 1,
+      fill: index === 0 ? 'origin' : '-1',
+    };
+  });
+
+  // Dashed overlay of the share of the retention uplift still in effect, on its own % axis
+  const getNoveltyDatasets = () => {
+    if (!result?.noveltyDecay) return [];
+    return [{
+      label: 'Uplift Remaining (%)',
+      data: toGranularity(result.noveltyDecay.remaining, result.noveltyDecay.daily?.remaining),
+      borderColor: isDarkMode ? '#FAAD14' : '#D48806',
+      backgroundColor: 'transparent',
+      borderDash: [6, 4],
+      tension: 0.1,
+      borderWidth: 1,
+      pointRadius: 0,
+      yAxisID: 'noveltyAxis',
+    }];
+  };
+
+  const getPeriodLabels = (length: number) => {
+    const unit = !result?.daily || granularity === 'monthly' ? 'Month' : granularity === 'daily' ? 'Day' : 'Week';
+    // Calendar forecasts label each period with the date it starts on
+    const dates = unit === 'Month' ? result?.calendar?.monthStartDates : result?.daily?.dates;
+    if (dates) {
+      const step = unit === 'Week' ? 7 : 1;
+      return Array.from({ length }, (_, i) => dates[i * step]);
+    }
+    return Array.from({ length }, (_, i) => `${unit} ${i + 1}`);
+  };
+
+  const horizonMonths = result?.horizonMonths || 12;
+
+  // Per-checkpoint misses of a non-linear fit, in percentage points
+  const renderResiduals = (residuals?: FitResidual[]) => residuals && (
+    <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+      Residuals (pp): {residuals.map(({ day, residual }) => `D${day} ${residual >= 0 ? '+' : ''}${residual.toFixed(2)}`).join(' · ')}
+    </div>
+  );
+
+  // Editable { day, retention } checkpoints of one retention curve in the baseline form
+  const renderCheckpointList = (listName: (string | number)[]) => (
+    <Form.List name={listName}>
+      {(fields, { add, remove }) => (
+        <>
+          {fields.map(({ key, name }) => (
+            <Row gutter={8} key={key} align="middle">
+              <Col xs={10}>
+                <Form.Item name={[name, 'day']} label="Day" rules={[{ required: true, message: 'Enter a day' }]}>
+                  <InputNumber style={{ width: '100%' }} min={1} precision={0} />
+                </Form.Item>
+              </Col>
+              <Col xs={10}>
+                <Form.Item name={[name, 'retention']} label="Retention" rules={[{ required: true, message: 'Enter retention' }]}>
+                  <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
+                </Form.Item>
+              </Col>
+              <Col xs={4}>
+                <MinusCircleOutlined onClick={() => remove(name)} />
+              </Col>
+            </Row>
+          ))}
+          <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />}>
+            Add Checkpoint
+          </Button>
+        </>
+      )}
+    </Form.List>
+  );
+
+  // Stacked areas of the selected series, one per baseline cell
+  const getCellDatasets = () => Object.entries(result?.cells || {}).map(([key, cell], index) => {
+    const color = INITIATIVE_COLORS[index % INITIATIVE_COLORS.length];
+    return {
+      label: dimensionKeyLabel(key),
+      data: toGranularity(cell[cellSeries], result?.daily?.cells?.[key][cellSeries]),
+      borderColor: color,
+      backgroundColor: `${color}55`,
+      tension: 0.1,
+      borderWidth: 1,
+      fill: index === 0 ? 'origin' : '-1',
+    };
+  });
+
   const chartData = result ? {
-    labels: Array.from({ length: 12 }, (_, i) => `Month ${i + 1}`),
+    labels: getPeriodLabels(getMetricData('baseline').length),
     datasets: [
       {
-        label: 'Baseline DAU',
-        data: getMonthlyData(result.baseline),
+        label: `Baseline ${METRIC_LABELS[metric]}`,
+        data: getMetricData('baseline'),
         borderColor: isDarkMode ? '#8B8B8B' : '#595959',
         backgroundColor: isDarkMode ? 'rgba(139, 139, 139, 0.1)' : 'rgba(89, 89, 89, 0.1)',
         tension: 0.1,
         borderWidth: 2,
       },
       {
-        label: 'Baseline + Initiative Impact',
-        data: getMonthlyData(result.withInitiative),
+        label: metric === 'dau' ? 'Baseline + Initiative Impact' : `${METRIC_LABELS[metric]} with Initiative`,
+        data: getMetricData('withInitiative'),
         borderColor: isDarkMode ? '#52C41A' : '#389E0D',
         backgroundColor: isDarkMode ? 'rgba(82, 196, 26, 0.1)' : 'rgba(56, 158, 13, 0.1)',
         tension: 0.1,
         borderWidth: 2,
       },
+      // Monte Carlo bands cover DAU only
+      ...(metric === 'dau' ? [
+        ...getBandDatasets('baseline', 'Baseline', isDarkMode ? 'rgba(139, 139, 139, 0.2)' : 'rgba(89, 89, 89, 0.15)'),
+        ...getBandDatasets('withInitiative', 'Baseline + Initiative', isDarkMode ? 'rgba(82, 196, 26, 0.2)' : 'rgba(56, 158, 13, 0.15)'),
+      ] : []),
     ],
   } : null;
 
@@ -292,10 +1306,18 @@ function App() {
     animation: {
       duration: 0
     },
+    elements: {
+      point: {
+        // Hide point markers when plotting hundreds of daily values
+        radius: granularity === 'daily' ? 0 : 3,
+      }
+    },
     plugins: {
       legend: {
         position: 'top' as const,
         labels: {
+          // Hide the unlabeled lower edge of confidence bands
+          filter: (item: any) => Boolean(item.text),
           color: isDarkMode ? '#FFFFFF' : '#000000',
           font: {
             family: 'JetBrains Mono, Monaco, Menlo, Consolas, monospace',
@@ -306,7 +1328,7 @@ function App() {
       },
       title: {
         display: true,
-        text: 'DAU Prediction - 12 Month Forecast',
+        text: `DAU Prediction - ${horizonMonths} Month Forecast`,
         color: isDarkMode ? '#FFFFFF' : '#000000',
         font: {
           family: 'JetBrains Mono, Monaco, Menlo, Consolas, monospace',
@@ -349,6 +1371,10 @@ function App() {
     },
   };
 
+  // Selected new-user curve family for the Key Assumptions card
+  const newUserCurve = result?.retentionCurves?.baseNewUser;
+  const newUserModel = newUserCurve ? CURVE_FAMILY_MODELS[newUserCurve.type] : undefined;
+
   return (
     <ConfigProvider
       theme={{
@@ -421,23 +1447,71 @@ function App() {
                 form={form}
                 layout="vertical"
                 onFinish={handleSubmit}
+                onValuesChange={(changedValues) => {
+                  // Run as many simulations as the new horizon allows
+                  if (changedValues.horizonMonths) {
+                    form.setFieldValue('simulations', maxSimulations(changedValues.horizonMonths));
+                  }
+                }}
                 initialValues={{
                   initiativeType: 'acquisition',
                   targetUsers: 'new',
                   weeklyInstalls: 100000,
                   weeksToStart: 0,
                   duration: 4,
-                  d1Gain: 0,
-                  d7Gain: 0,
-                  d14Gain: 0,
-                  d28Gain: 0,
-                  d360Gain: 0,
-                  d720Gain: 0,
-                  commercial: true,
-                  consumer: true,
-                  ios: true,
-                  android: true,
+                  acquisitionSource: 'installs',
+                  weeklyBudget: 200000,
+                  campaignCost: 'none',
+                  totalSpend: 500000,
+                  cpi: 2,
+                  cpiElasticity: 0,
+                  rampWeeks: 4,
+                  rampShape: 'linear',
+                  afterPeakShape: 'flat',
+                  rampDownWeeks: 2,
+                  weeklyDecayRate: 10,
+                  noveltyMode: 'none',
+                  noveltyHalfLifeDays: 90,
+                  noveltySchedule: [{ day: 30, remaining: 70 }, { day: 180, remaining: 30 }],
+                  cannibalizationMode: 'none',
+                  cannibalizationRate: 20,
+                  cannibalizationCurve: [{ intensity: 0.5, rate: 10 }, { intensity: 2, rate: 40 }],
+                  gains: {},
+                  goalMetric: 'incrementalDAU',
+                  goalMonth: 12,
+                  goalVariable: 'weeklyInstalls',
                   exposureRate: 100,
+                  rolloutMode: 'none',
+                  rolloutSteps: [{ day: 0, percent: 1 }, { day: 7, percent: 10 }, { day: 14, percent: 50 }, { day: 28, percent: 100 }],
+                  rolloutShape: 'linear',
+                  rolloutWeeks: 4,
+                  rolloutStartPercent: 0,
+                  horizonMonths: 12,
+                  uncertaintyEnabled: false,
+                  viralEnabled: false,
+                  kFactor: 0.1,
+                  viralCycleDays: 30,
+                  monetizationEnabled: false,
+                  arpdau: 0.1,
+                  arpdauByCell: {},
+                  arpdauRamp: [{ day: 0, percent: 50 }, { day: 30, percent: 100 }],
+                  ltvDays: 365,
+                  simulations: 200,
+                  uncertainInputs: [],
+                  curveSelection: 'default',
+                  baselineDecayMethod: 'fitted',
+                  monthlyChurn: 5,
+                  fittingMethod: 'log-linear',
+                  fitWeights: {},
+                  weekdayMultipliers: {},
+                  reactivationRate: 5,
+                  reactivationWindowDays: 60,
+                  reactivationWeeksToStart: 0,
+                  reactivationDuration: 4,
+                  reactivationCurve: [],
+                  eventMultiplier: 0.85,
+                  overlapRule: 'additive',
+                  overlapCap: 5,
                 }}
               >
                 <Form.Item name="initiativeType" label="Initiative Type">
@@ -445,6 +1519,15 @@ function App() {
                     <Option value="acquisition">Acquisition Campaign</Option>
                     <Option value="retention">Retention Experiment</Option>
                     <Option value="combined">Combined</Option>
+                    <Option value="reactivation">Reactivation Campaign</Option>
+                  </Select>
+                </Form.Item>
+
+                <Form.Item name="horizonMonths" label="Forecast Horizon">
+                  <Select>
+                    <Option value={12}>12 Months</Option>
+                    <Option value={24}>24 Months</Option>
+                    <Option value={36}>36 Months</Option>
                   </Select>
                 </Form.Item>
 
@@ -460,13 +1543,90 @@ function App() {
                       <>
                         {(type === 'acquisition' || type === 'combined') && (
                           <Card size="small" title="Acquisition Parameters" style={{ marginBottom: 16 }}>
-                            <Form.Item name="weeklyInstalls" label="Expected Weekly Installations">
-                              <InputNumber 
-                                style={{ width: '100%' }} 
-                                min={0} 
-                                defaultValue={100000}
-                                onChange={(value) => form.setFieldValue('weeklyInstalls', value)}
-                              />
+                            <Form.Item name="acquisitionSource" label="Campaign Volume">
+                              <Select>
+                                <Option value="installs">Weekly Installs</Option>
+                                <Option value="budget">Weekly Budget + CPI</Option>
+                              </Select>
+                            </Form.Item>
+                            <Form.Item
+                              noStyle
+                              shouldUpdate={(prevValues, currentValues) =>
+                                prevValues.acquisitionSource !== currentValues.acquisitionSource
+                              }
+                            >
+                              {({ getFieldValue: getSourceValue }) => getSourceValue('acquisitionSource') === 'budget' ? (
+                                <Row gutter={16}>
+                                  <Col xs={24} sm={12}>
+                                    <Form.Item name="weeklyBudget" label="Weekly Budget">
+                                      <InputNumber style={{ width: '100%' }} min={0} step={10000} />
+                                    </Form.Item>
+                                  </Col>
+                                  <Col xs={24} sm={12}>
+                                    <Form.Item name="cpi" label="Cost per Install">
+                                      <InputNumber style={{ width: '100%' }} min={0.01} step={0.1} />
+                                    </Form.Item>
+                                  </Col>
+                                  <Col xs={24} sm={12}>
+                                    <Form.Item name="cpiBaseVolume" label="CPI Flat Up To (weekly installs)">
+                                      <InputNumber style={{ width: '100%' }} min={1} placeholder="No limit" />
+                                    </Form.Item>
+                                  </Col>
+                                  <Col xs={24} sm={12}>
+                                    <Form.Item name="cpiElasticity" label="CPI Elasticity">
+                                      <InputNumber style={{ width: '100%' }} min={0} step={0.1} />
+                                    </Form.Item>
+                                  </Col>
+                                  <Col span={24}>
+                                    <div style={{ fontSize: '12px', color: '#666', marginTop: '-16px', marginBottom: '16px' }}>
+                                      Above the flat volume, CPI rises with (installs / flat volume) ^ elasticity
+                                    </div>
+                                  </Col>
+                                </Row>
+                              ) : (
+                                <>
+                                  <Form.Item name="weeklyInstalls" label="Expected Weekly Installations">
+                                    <InputNumber 
+                                      style={{ width: '100%' }} 
+                                      min={0} 
+                                      defaultValue={100000}
+                                      onChange={(value) => form.setFieldValue('weeklyInstalls', value)}
+                                    />
+                                  </Form.Item>
+                                  <Row gutter={16}>
+                                    <Col xs={24} sm={12}>
+                                      <Form.Item name="campaignCost" label="Campaign Cost">
+                                        <Select>
+                                          <Option value="none">Not Costed</Option>
+                                          <Option value="cpi">Cost per Install</Option>
+                                          <Option value="totalSpend">Total Spend</Option>
+                                        </Select>
+                                      </Form.Item>
+                                    </Col>
+                                    <Col xs={24} sm={12}>
+                                      <Form.Item
+                                        noStyle
+                                        shouldUpdate={(prevValues, currentValues) => prevValues.campaignCost !== currentValues.campaignCost}
+                                      >
+                                        {({ getFieldValue: getCostValue }) => (
+                                          <>
+                                            {getCostValue('campaignCost') === 'cpi' && (
+                                              <Form.Item name="cpi" label="Cost per Install">
+                                                <InputNumber style={{ width: '100%' }} min={0.01} step={0.1} />
+                                              </Form.Item>
+                                            )}
+                                            {getCostValue('campaignCost') === 'totalSpend' && (
+                                              <Form.Item name="totalSpend" label="Total Spend">
+                                                <InputNumber style={{ width: '100%' }} min={0} step={10000} />
+                                              </Form.Item>
+                                            )}
+                                          </>
+                                        )}
+                                      </Form.Item>
+                                    </Col>
+                                  </Row>
+                                </>
+                              )}
                             </Form.Item>
                             <Form.Item name="weeksToStart" label="Lead Time (weeks)">
                               <InputNumber 
@@ -491,6 +1651,108 @@ function App() {
                                 How long the extra installations will continue
                               </div>
                             </Form.Item>
+                            <Row gutter={16}>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="rampShape" label="Ramp Shape">
+                                  <Select>
+                                    <Option value="linear">Linear</Option>
+                                    <Option value="step">Weekly Steps</Option>
+                                    <Option value="sCurve">S-Curve</Option>
+                                  </Select>
+                                </Form.Item>
+                              </Col>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="rampWeeks" label="Ramp Length (weeks)">
+                                  <InputNumber style={{ width: '100%' }} min={0} />
+                                </Form.Item>
+                              </Col>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="afterPeakShape" label="After Peak">
+                                  <Select>
+                                    <Option value="flat">Hold Flat</Option>
+                                    <Option value="rampDown">Ramp Down</Option>
+                                    <Option value="decay">Weekly Decay</Option>
+                                  </Select>
+                                </Form.Item>
+                              </Col>
+                              <Col xs={24} sm={12}>
+                                <Form.Item
+                                  noStyle
+                                  shouldUpdate={(prevValues, currentValues) =>
+                                    prevValues.afterPeakShape !== currentValues.afterPeakShape
+                                  }
+                                >
+                                  {({ getFieldValue: getPeakValue }) => (
+                                    <>
+                                      {getPeakValue('afterPeakShape') === 'rampDown' && (
+                                        <Form.Item name="rampDownWeeks" label="Ramp-Down Length (weeks)">
+                                          <InputNumber style={{ width: '100%' }} min={1} />
+                                        </Form.Item>
+                                      )}
+                                      {getPeakValue('afterPeakShape') === 'decay' && (
+                                        <Form.Item name="weeklyDecayRate" label="Weekly Decay (%)">
+                                          <InputNumber style={{ width: '100%' }} min={0} max={100} />
+                                        </Form.Item>
+                                      )}
+                                    </>
+                                  )}
+                                </Form.Item>
+                              </Col>
+                            </Row>
+                            <Form.Item name="cannibalizationMode" label="Organic Cannibalization">
+                              <Select>
+                                <Option value="none">None (fully incremental)</Option>
+                                <Option value="fixed">Fixed Share</Option>
+                                <Option value="curve">By Campaign Intensity</Option>
+                              </Select>
+                            </Form.Item>
+                            <Form.Item
+                              noStyle
+                              shouldUpdate={(prevValues, currentValues) =>
+                                prevValues.cannibalizationMode !== currentValues.cannibalizationMode
+                              }
+                            >
+                              {({ getFieldValue: getCannibalizationValue }) => (
+                                <>
+                                  {getCannibalizationValue('cannibalizationMode') === 'fixed' && (
+                                    <Form.Item name="cannibalizationRate" label="Displaced Organic Installs (% of paid)">
+                                      <InputNumber style={{ width: '100%' }} min={0} max={100} />
+                                    </Form.Item>
+                                  )}
+                                  {getCannibalizationValue('cannibalizationMode') === 'curve' && (
+                                    <Form.List name="cannibalizationCurve">
+                                      {(fields, { add, remove }) => (
+                                        <>
+                                          {fields.map(({ key, name }) => (
+                                            <Row gutter={8} key={key} align="middle">
+                                              <Col xs={10}>
+                                                <Form.Item name={[name, 'intensity']} label="Paid / Organic" rules={[{ required: true, message: 'Enter an intensity' }]}>
+                                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} />
+                                                </Form.Item>
+                                              </Col>
+                                              <Col xs={10}>
+                                                <Form.Item name={[name, 'rate']} label="Displaced (%)" rules={[{ required: true, message: 'Enter a rate' }]}>
+                                                  <InputNumber style={{ width: '100%' }} min={0} max={100} />
+                                                </Form.Item>
+                                              </Col>
+                                              <Col xs={4}>
+                                                <MinusCircleOutlined onClick={() => remove(name)} />
+                                              </Col>
+                                            </Row>
+                                          ))}
+                                          <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />}>
+                                            Add Intensity Point
+                                          </Button>
+                                          <div style={{ fontSize: '12px', color: '#666', marginTop: '4px', marginBottom: '16px' }}>
+                                            Intensity is daily paid installs divided by daily organic installs
+                                          </div>
+                                        </>
+                                      )}
+                                    </Form.List>
+                                  )}
+                                </>
+                              )}
+                            </Form.Item>
                           </Card>
                         )}
 
@@ -507,41 +1769,129 @@ function App() {
                               <InputNumber style={{ width: '100%' }} min={0} />
                             </Form.Item>
                             <Row gutter={16}>
-                              <Col xs={24} sm={12}>
-                                <Form.Item name="d1Gain" label="D1 Retention Gain (%)">
-                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} />
-                                </Form.Item>
-                              </Col>
-                              <Col xs={24} sm={12}>
-                                <Form.Item name="d7Gain" label="D7 Retention Gain (%)">
-                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} />
-                                </Form.Item>
-                              </Col>
+                              {checkpointDays.map(day => (
+                                <Col xs={24} sm={12} key={day}>
+                                  <Form.Item name={['gains', `d${day}`]} label={`D${day} Retention Gain (%)`}>
+                                    <InputNumber style={{ width: '100%' }} min={0} step={0.1} placeholder="0" />
+                                  </Form.Item>
+                                </Col>
+                              ))}
                             </Row>
+                            <Form.Item name="noveltyMode" label="Novelty Decay">
+                              <Select>
+                                <Option value="none">None (permanent gain)</Option>
+                                <Option value="halfLife">Half-Life</Option>
+                                <Option value="schedule">Decay Schedule</Option>
+                              </Select>
+                            </Form.Item>
+                            <Form.Item
+                              noStyle
+                              shouldUpdate={(prevValues, currentValues) =>
+                                prevValues.noveltyMode !== currentValues.noveltyMode
+                              }
+                            >
+                              {({ getFieldValue: getNoveltyValue }) => (
+                                <>
+                                  {getNoveltyValue('noveltyMode') === 'halfLife' && (
+                                    <Form.Item name="noveltyHalfLifeDays" label="Uplift Half-Life (days since launch)">
+                                      <InputNumber style={{ width: '100%' }} min={1} />
+                                    </Form.Item>
+                                  )}
+                                  {getNoveltyValue('noveltyMode') === 'schedule' && (
+                                    <Form.List name="noveltySchedule">
+                                      {(fields, { add, remove }) => (
+                                        <>
+                                          {fields.map(({ key, name }) => (
+                                            <Row gutter={8} key={key} align="middle">
+                                              <Col xs={10}>
+                                                <Form.Item name={[name, 'day']} label="Days Since Launch" rules={[{ required: true, message: 'Enter a day' }]}>
+                                                  <InputNumber style={{ width: '100%' }} min={0} precision={0} />
+                                                </Form.Item>
+                                              </Col>
+                                              <Col xs={10}>
+                                                <Form.Item name={[name, 'remaining']} label="Uplift Remaining (%)" rules={[{ required: true, message: 'Enter a share' }]}>
+                                                  <InputNumber style={{ width: '100%' }} min={0} max={100} />
+                                                </Form.Item>
+                                              </Col>
+                                              <Col xs={4}>
+                                                <MinusCircleOutlined onClick={() => remove(name)} />
+                                              </Col>
+                                            </Row>
+                                          ))}
+                                          <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />}>
+                                            Add Decay Point
+                                          </Button>
+                                          <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                                            The full gain applies at launch and fades linearly between points
+                                          </div>
+                                        </>
+                                      )}
+                                    </Form.List>
+                                  )}
+                                </>
+                              )}
+                            </Form.Item>
+                          </Card>
+                        )}
+
+                        {type === 'reactivation' && (
+                          <Card size="small" title="Reactivation Parameters" style={{ marginBottom: 16 }}>
                             <Row gutter={16}>
                               <Col xs={24} sm={12}>
-                                <Form.Item name="d14Gain" label="D14 Retention Gain (%)">
-                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} />
+                                <Form.Item name="reactivationRate" label="Weekly Reactivation Rate (%)">
+                                  <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.5} />
                                 </Form.Item>
                               </Col>
                               <Col xs={24} sm={12}>
-                                <Form.Item name="d28Gain" label="D28 Retention Gain (%)">
-                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} />
+                                <Form.Item name="reactivationWindowDays" label="Targeting Window (days lapsed)">
+                                  <InputNumber style={{ width: '100%' }} min={1} precision={0} />
                                 </Form.Item>
                               </Col>
                             </Row>
                             <Row gutter={16}>
                               <Col xs={24} sm={12}>
-                                <Form.Item name="d360Gain" label="D360 Retention Gain (%)">
-                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} placeholder="Optional" />
+                                <Form.Item name="reactivationWeeksToStart" label="Lead Time (weeks)">
+                                  <InputNumber style={{ width: '100%' }} min={0} />
                                 </Form.Item>
                               </Col>
                               <Col xs={24} sm={12}>
-                                <Form.Item name="d720Gain" label="D720 Retention Gain (%)">
-                                  <InputNumber style={{ width: '100%' }} min={0} step={0.1} placeholder="Optional" />
+                                <Form.Item name="reactivationDuration" label="Campaign Duration (weeks)">
+                                  <InputNumber style={{ width: '100%' }} min={1} />
                                 </Form.Item>
                               </Col>
                             </Row>
+                            <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>
+                              Share of users who lapsed within the window won back each week by pushes and emails
+                            </div>
+                            <Form.List name="reactivationCurve">
+                              {(fields, { add, remove }) => (
+                                <>
+                                  {fields.map(({ key, name }) => (
+                                    <Row gutter={8} key={key} align="middle">
+                                      <Col xs={10}>
+                                        <Form.Item name={[name, 'day']} label="Day" rules={[{ required: true, message: 'Enter a day' }]}>
+                                          <InputNumber style={{ width: '100%' }} min={1} precision={0} />
+                                        </Form.Item>
+                                      </Col>
+                                      <Col xs={10}>
+                                        <Form.Item name={[name, 'retention']} label="Retention (%)" rules={[{ required: true, message: 'Enter retention' }]}>
+                                          <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
+                                        </Form.Item>
+                                      </Col>
+                                      <Col xs={4}>
+                                        <MinusCircleOutlined onClick={() => remove(name)} />
+                                      </Col>
+                                    </Row>
+                                  ))}
+                                  <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />}>
+                                    Add Post-Return Retention Checkpoint
+                                  </Button>
+                                  <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                                    Leave empty to use the new-user retention curve for returning users
+                                  </div>
+                                </>
+                              )}
+                            </Form.List>
                           </Card>
                         )}
                       </>
@@ -549,36 +1899,488 @@ function App() {
                   }}
                 </Form.Item>
 
+                <Card size="small" title="Portfolio" style={{ marginBottom: 16 }}>
+                  <Row gutter={8} align="bottom">
+                    <Col flex="auto">
+                      <Form.Item name="initiativeName" label="Initiative Name">
+                        <Input placeholder="e.g. Onboarding revamp" />
+                      </Form.Item>
+                    </Col>
+                    <Col>
+                      <Form.Item>
+                        <Button icon={<PlusOutlined />} onClick={addToPortfolio}>Add to Portfolio</Button>
+                      </Form.Item>
+                    </Col>
+                  </Row>
+                  {portfolio.length > 0 && (
+                    <>
+                      <List
+                        size="small"
+                        dataSource={portfolio}
+                        renderItem={(initiative) => (
+                          <List.Item
+                            actions={[
+                              <MinusCircleOutlined
+                                key="remove"
+                                onClick={() => setPortfolio(portfolio.filter(entry => entry.name !== initiative.name))}
+                              />
+                            ]}
+                          >
+                            {initiative.name} <Text type="secondary">({initiative.initiativeType})</Text>
+                          </List.Item>
+                        )}
+                        style={{ marginBottom: 16 }}
+                      />
+                      <Row gutter={16}>
+                        <Col xs={24} sm={12}>
+                          <Form.Item name="overlapRule" label="Overlapping Retention Gains">
+                            <Select>
+                              <Option value="additive">Additive</Option>
+                              <Option value="multiplicative">Multiplicative</Option>
+                              <Option value="capped">Capped</Option>
+                            </Select>
+                          </Form.Item>
+                        </Col>
+                        <Col xs={24} sm={12}>
+                          <Form.Item
+                            noStyle
+                            shouldUpdate={(prevValues, currentValues) => prevValues.overlapRule !== currentValues.overlapRule}
+                          >
+                            {({ getFieldValue }) => getFieldValue('overlapRule') === 'capped' && (
+                              <Form.Item name="overlapCap" label="Max Combined Retention Lift (% of baseline)">
+                                <InputNumber style={{ width: '100%' }} min={0} step={0.5} />
+                              </Form.Item>
+                            )}
+                          </Form.Item>
+                        </Col>
+                      </Row>
+                    </>
+                  )}
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    {portfolio.length > 0
+                      ? 'The portfolio is forecast instead of the single initiative above'
+                      : 'Add initiatives to forecast several overlapping launches together'}
+                  </div>
+                </Card>
+
+                <Card size="small" title="Goal Seek" style={{ marginBottom: 16 }}>
+                  <Row gutter={16}>
+                    <Col xs={24} sm={12}>
+                      <Form.Item name="goalMetric" label="Target">
+                        <Select options={(Object.keys(GOAL_METRIC_LABELS) as GoalMetric[]).map(key => ({ label: GOAL_METRIC_LABELS[key], value: key }))} />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={12} sm={6}>
+                      <Form.Item name="goalValue" label="Target Value">
+                        <InputNumber style={{ width: '100%' }} />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={12} sm={6}>
+                      <Form.Item
+                        noStyle
+                        shouldUpdate={(prevValues, currentValues) => prevValues.goalMetric !== currentValues.goalMetric}
+                      >
+                        {({ getFieldValue }) => getFieldValue('goalMetric') === 'incrementalDAU' && (
+                          <Form.Item name="goalMonth" label="Month">
+                            <InputNumber style={{ width: '100%' }} min={1} precision={0} />
+                          </Form.Item>
+                        )}
+                      </Form.Item>
+                    </Col>
+                  </Row>
+                  <Row gutter={16}>
+                    <Col xs={24} sm={12}>
+                      <Form.Item name="goalVariable" label="Solve For">
+                        <Select
+                          options={[
+                            { label: 'Weekly Installs', value: 'weeklyInstalls' },
+                            ...checkpointDays.map(day => ({ label: `D${day} Retention Gain (%)`, value: `d${day}Gain` })),
+                          ]}
+                        />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={12} sm={6}>
+                      <Form.Item name="goalMin" label="Min">
+                        <InputNumber style={{ width: '100%' }} min={0} />
+                      </Form.Item>
+                    </Col>
+                    <Col xs={12} sm={6}>
+                      <Form.Item name="goalMax" label="Max">
+                        <InputNumber style={{ width: '100%' }} min={0} />
+                      </Form.Item>
+                    </Col>
+                  </Row>
+                  <Space wrap>
+                    <Button onClick={handleGoalSeek} loading={goalSeeking}>Solve</Button>
+                    {goalSeekResult?.feasible && (
+                      <Button type="link" onClick={() => applyGoalSeek(goalSeekResult)}>Apply to Form</Button>
+                    )}
+                  </Space>
+                  {goalSeekResult && (
+                    <div style={{ marginTop: 8 }}>
+                      {goalSeekResult.feasible ? (
+                        <Text>
+                          {goalSeekResult.variable === 'weeklyInstalls' ? 'Weekly installs' : `D${goalSeekResult.variable.slice(1, -4)} gain`} of{' '}
+                          <span className="technical-number">
+                            {(goalSeekResult.value! / goalSeekScale(goalSeekResult.variable)).toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                          </span>{' '}
+                          reaches {goalSeekResult.achieved!.toLocaleString()}
+                        </Text>
+                      ) : (
+                        <Text type="danger">
+                          Not reachable within the bounds: {GOAL_METRIC_LABELS[goalSeekResult.target.metric]} ranges from{' '}
+                          {goalSeekResult.achievable.min.toLocaleString()} to {goalSeekResult.achievable.max.toLocaleString()}
+                        </Text>
+                      )}
+                    </div>
+                  )}
+                  <div style={{ fontSize: '12px', color: '#666', marginTop: 8 }}>
+                    Searches the single initiative above; leave Min and Max empty for the default range
+                  </div>
+                </Card>
+
                 <Collapse ghost>
                   <Panel header="Advanced Settings" key="1">
                     <Card size="small" title="Targeting" style={{ marginBottom: 16 }}>
                       <Row gutter={16}>
-                        <Col xs={24} sm={12}>
-                          <Form.Item label="User Segments">
-                            <Form.Item name="commercial" valuePropName="checked" noStyle>
-                              <Checkbox>Commercial</Checkbox>
+                        {baselineData && Object.entries(baselineData.dimensions as BaselineDimensions).map(([dimension, values]) => (
+                          <Col xs={24} sm={12} key={dimension}>
+                            <Form.Item name={['targeting', dimension]} label={dimensionKeyLabel(dimension)}>
+                              <Checkbox.Group options={values.map(value => ({ label: dimensionKeyLabel(value), value }))} />
                             </Form.Item>
-                            <br />
-                            <Form.Item name="consumer" valuePropName="checked" noStyle>
-                              <Checkbox>Consumer</Checkbox>
+                          </Col>
+                        ))}
+                      </Row>
+                      <Form.Item name="exposureRate" label="Exposure Rate (%)">
+                        <Slider min={0} max={100} marks={{0: '0%', 50: '50%', 100: '100%'}} />
+                      </Form.Item>
+                    </Card>
+                    <Card size="small" title="Retention Rollout" style={{ marginBottom: 16 }}>
+                      <Form.Item name="rolloutMode" label="Rollout">
+                        <Select>
+                          <Option value="none">Full exposure rate at launch</Option>
+                          <Option value="steps">Staged steps</Option>
+                          <Option value="ramp">Ramp to the exposure rate</Option>
+                        </Select>
+                      </Form.Item>
+                      <Form.Item
+                        noStyle
+                        shouldUpdate={(prevValues, currentValues) => prevValues.rolloutMode !== currentValues.rolloutMode}
+                      >
+                        {({ getFieldValue }) => (
+                          <>
+                            {getFieldValue('rolloutMode') === 'steps' && (
+                              <Form.List name="rolloutSteps">
+                                {(fields, { add, remove }) => (
+                                  <>
+                                    {fields.map(({ key, name }) => (
+                                      <Row gutter={8} key={key} align="middle">
+                                        <Col xs={10}>
+                                          <Form.Item name={[name, 'day']} label="Days Since Launch" rules={[{ required: true, message: 'Enter a day' }]}>
+                                            <InputNumber style={{ width: '100%' }} min={0} precision={0} />
+                                          </Form.Item>
+                                        </Col>
+                                        <Col xs={10}>
+                                          <Form.Item name={[name, 'percent']} label="Exposure (%)" rules={[{ required: true, message: 'Enter a share' }]}>
+                                            <InputNumber style={{ width: '100%' }} min={0} max={100} />
+                                          </Form.Item>
+                                        </Col>
+                                        <Col xs={4}>
+                                          <MinusCircleOutlined onClick={() => remove(name)} />
+                                        </Col>
+                                      </Row>
+                                    ))}
+                                    <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />}>
+                                      Add Rollout Step
+                                    </Button>
+                                  </>
+                                )}
+                              </Form.List>
+                            )}
+                            {getFieldValue('rolloutMode') === 'ramp' && (
+                              <Row gutter={16}>
+                                <Col xs={24} sm={8}>
+                                  <Form.Item name="rolloutShape" label="Ramp Shape">
+                                    <Select>
+                                      <Option value="linear">Linear</Option>
+                                      <Option value="step">Weekly Steps</Option>
+                                      <Option value="sCurve">S-Curve</Option>
+                                    </Select>
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={24} sm={8}>
+                                  <Form.Item name="rolloutWeeks" label="Ramp Weeks">
+                                    <InputNumber style={{ width: '100%' }} min={1} />
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={24} sm={8}>
+                                  <Form.Item name="rolloutStartPercent" label="Start Exposure (%)">
+                                    <InputNumber style={{ width: '100%' }} min={0} max={100} />
+                                  </Form.Item>
+                                </Col>
+                              </Row>
+                            )}
+                          </>
+                        )}
+                      </Form.Item>
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                        Applies to retention launches: existing users join as exposure grows and new installs
+                        get the exposure of their install day. Steps replace the exposure rate; a ramp rises to it
+                      </div>
+                    </Card>
+                    <Card size="small" title="Retention Curve Model" style={{ marginBottom: 16 }}>
+                      <Form.Item name="curveSelection" label="Curve Family Selection">
+                        <Select>
+                          <Option value="default">Default (power for new, exponential for existing)</Option>
+                          <Option value="aic">Best fit by AIC</Option>
+                          <Option value="bic">Best fit by BIC</Option>
+                          <Option value="holdout">Best fit by held-out error</Option>
+                        </Select>
+                      </Form.Item>
+                      <div style={{ fontSize: '12px', color: '#666', marginTop: '-16px' }}>
+                        Automatic modes compare power, exponential, Weibull, log-normal, shifted-beta-geometric and power-with-floor curves
+                      </div>
+                      <Form.Item name="fittingMethod" label="Fitting Method" style={{ marginTop: 16 }}>
+                        <Select>
+                          <Option value="log-linear">Log-linear regression</Option>
+                          <Option value="nls">Non-linear least squares (percentage points)</Option>
+                        </Select>
+                      </Form.Item>
+                      <Form.Item
+                        noStyle
+                        shouldUpdate={(prevValues, currentValues) => prevValues.fittingMethod !== currentValues.fittingMethod}
+                      >
+                        {({ getFieldValue }) => getFieldValue('fittingMethod') === 'nls' && (
+                          <Row gutter={8}>
+                            {checkpointDays.map(day => (
+                              <Col xs={8} sm={4} key={day}>
+                                <Form.Item name={['fitWeights', `d${day}`]} label={`D${day} Weight`}>
+                                  <InputNumber style={{ width: '100%' }} min={0} step={0.5} placeholder="1" />
+                                </Form.Item>
+                              </Col>
+                            ))}
+                          </Row>
+                        )}
+                      </Form.Item>
+                      <Form.Item name="baselineDecayMethod" label="Existing-User Baseline Decay">
+                        <Select>
+                          <Option value="fitted">Fitted from existing-user retention</Option>
+                          <Option value="churn">Monthly churn rate</Option>
+                        </Select>
+                      </Form.Item>
+                      <Form.Item
+                        noStyle
+                        shouldUpdate={(prevValues, currentValues) => prevValues.baselineDecayMethod !== currentValues.baselineDecayMethod}
+                      >
+                        {({ getFieldValue }) => getFieldValue('baselineDecayMethod') === 'churn' && (
+                          <Form.Item name="monthlyChurn" label="Monthly Churn (%)">
+                            <InputNumber style={{ width: '100%' }} min={0} max={99} step={0.5} />
+                          </Form.Item>
+                        )}
+                      </Form.Item>
+                    </Card>
+                    <Card size="small" title="Viral Loop" style={{ marginBottom: 16 }}>
+                      <Form.Item name="viralEnabled" label="Model Invites and Sharing" valuePropName="checked">
+                        <Switch />
+                      </Form.Item>
+                      <Form.Item
+                        noStyle
+                        shouldUpdate={(prevValues, currentValues) => prevValues.viralEnabled !== currentValues.viralEnabled}
+                      >
+                        {({ getFieldValue }) => getFieldValue('viralEnabled') && (
+                          <>
+                            <Row gutter={16}>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="kFactor" label="K-Factor">
+                                  <InputNumber style={{ width: '100%' }} min={0} step={0.05} />
+                                </Form.Item>
+                              </Col>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="viralCycleDays" label="Cycle Time (days)">
+                                  <InputNumber style={{ width: '100%' }} min={1} />
+                                </Form.Item>
+                              </Col>
+                            </Row>
+                            <div style={{ fontSize: '12px', color: '#666' }}>
+                              Each active user brings K new users per cycle; invited users follow the new-user retention curve
+                            </div>
+                          </>
+                        )}
+                      </Form.Item>
+                    </Card>
+                    <Card size="small" title="Monetization" style={{ marginBottom: 16 }}>
+                      <Form.Item name="monetizationEnabled" label="Forecast Revenue" valuePropName="checked">
+                        <Switch />
+                      </Form.Item>
+                      <Form.Item
+                        noStyle
+                        shouldUpdate={(prevValues, currentValues) => prevValues.monetizationEnabled !== currentValues.monetizationEnabled}
+                      >
+                        {({ getFieldValue }) => getFieldValue('monetizationEnabled') && (
+                          <>
+                            <Row gutter={16}>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="arpdau" label="ARPDAU ($ per DAU per day)">
+                                  <InputNumber style={{ width: '100%' }} min={0} step={0.01} />
+                                </Form.Item>
+                              </Col>
+                              <Col xs={24} sm={12}>
+                                <Form.Item name="ltvDays" label="Campaign LTV Window (days)">
+                                  <InputNumber style={{ width: '100%' }} min={1} precision={0} />
+                                </Form.Item>
+                              </Col>
+                            </Row>
+                            <Collapse size="small" style={{ marginBottom: 16 }}>
+                              <Panel header="ARPDAU by Cell" key="cells" forceRender>
+                                <Row gutter={8}>
+                                  {baselineData && dimensionKeys(baselineData.dimensions).map(key => (
+                                    <Col xs={12} sm={6} key={key}>
+                                      <Form.Item name={['arpdauByCell', key]} label={dimensionKeyLabel(key)}>
+                                        <InputNumber style={{ width: '100%' }} min={0} step={0.01} placeholder="Flat" />
+                                      </Form.Item>
+                                    </Col>
+                                  ))}
+                                </Row>
+                              </Panel>
+                            </Collapse>
+                            <Form.List name="arpdauRamp">
+                              {(fields, { add, remove }) => (
+                                <>
+                                  {fields.map(({ key, name }) => (
+                                    <Row gutter={8} key={key} align="middle">
+                                      <Col xs={10}>
+                                        <Form.Item name={[name, 'day']} label="Days Since Install" rules={[{ required: true, message: 'Enter a day' }]}>
+                                          <InputNumber style={{ width: '100%' }} min={0} precision={0} />
+                                        </Form.Item>
+                                      </Col>
+                                      <Col xs={10}>
+                                        <Form.Item name={[name, 'percent']} label="ARPDAU Earned (%)" rules={[{ required: true, message: 'Enter a share' }]}>
+                                          <InputNumber style={{ width: '100%' }} min={0} />
+                                        </Form.Item>
+                                      </Col>
+                                      <Col xs={4}>
+                                        <MinusCircleOutlined onClick={() => remove(name)} />
+                                      </Col>
+                                    </Row>
+                                  ))}
+                                  <Button type="dashed" onClick={() => add()} block icon={<PlusOutlined />}>
+                                    Add Ramp Point
+                                  </Button>
+                                  <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                                    New users earn a share of ARPDAU that ramps with tenure; existing and won-back users earn the last point's share. Remove every point for flat ARPDAU
+                                  </div>
+                                </>
+                              )}
+                            </Form.List>
+                          </>
+                        )}
+                      </Form.Item>
+                    </Card>
+                    <Card size="small" title="Calendar" style={{ marginBottom: 16 }}>
+                      <Form.Item name="startDate" label="Forecast Start Date">
+                        <DatePicker style={{ width: '100%' }} />
+                      </Form.Item>
+                      <div style={{ fontSize: '12px', color: '#666', marginBottom: '12px' }}>
+                        Months follow the calendar from the start date; weekday and holiday effects need a start date
+                      </div>
+                      <Row gutter={8}>
+                        {WEEKDAY_OPTIONS.map(({ key, label }) => (
+                          <Col xs={6} sm={3} key={key}>
+                            <Form.Item name={['weekdayMultipliers', key]} label={label}>
+                              <InputNumber style={{ width: '100%' }} min={0} step={0.05} placeholder="1" />
                             </Form.Item>
+                          </Col>
+                        ))}
+                      </Row>
+                      <Row gutter={16} align="bottom">
+                        <Col xs={24} sm={12}>
+                          <Form.Item label="Holiday/Event Calendar">
+                            <Space>
+                              <Upload accept=".json,.ics" showUploadList={false} beforeUpload={importEventCalendar}>
+                                <Button icon={<UploadOutlined />}>Import JSON or ICS</Button>
+                              </Upload>
+                              {eventCalendar && (
+                                <MinusCircleOutlined onClick={() => setEventCalendar(null)} />
+                              )}
+                            </Space>
+                            {eventCalendar && (
+                              <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                                {eventCalendar.fileName}{eventCalendar.events ? ` (${eventCalendar.events.length} events)` : ''}
+                              </div>
+                            )}
                           </Form.Item>
                         </Col>
                         <Col xs={24} sm={12}>
-                          <Form.Item label="Platforms">
-                            <Form.Item name="ios" valuePropName="checked" noStyle>
-                              <Checkbox>iOS</Checkbox>
-                            </Form.Item>
-                            <br />
-                            <Form.Item name="android" valuePropName="checked" noStyle>
-                              <Checkbox>Android</Checkbox>
-                            </Form.Item>
+                          <Form.Item name="eventMultiplier" label="ICS Event Multiplier">
+                            <InputNumber style={{ width: '100%' }} min={0} step={0.05} />
                           </Form.Item>
                         </Col>
                       </Row>
-                      <Form.Item name="exposureRate" label="Exposure Rate (%)">
-                        <Slider min={0} max={100} marks={{0: '0%', 50: '50%', 100: '100%'}} />
-                      </Form.Item>
+                      <div style={{ fontSize: '12px', color: '#666' }}>
+                        JSON: [{'{'} "date": "2027-12-25", "endDate": "2027-12-26", "multiplier": 0.7, "name": "Christmas" {'}'}]. ICS events use X-DAU-MULTIPLIER when set.
+                      </div>
+                    </Card>
+                    <Card size="small" title="Uncertainty (Monte Carlo)" style={{ marginBottom: 16 }}>
+                      <Row gutter={16}>
+                        <Col xs={24} sm={12}>
+                          <Form.Item name="uncertaintyEnabled" label="Show Confidence Bands" valuePropName="checked">
+                            <Switch />
+                          </Form.Item>
+                        </Col>
+                        <Col xs={24} sm={12}>
+                          <Form.Item name="simulations" label="Simulations">
+                            <InputNumber style={{ width: '100%' }} min={2} max={maxSimulations(forecastHorizon)} step={10} />
+                          </Form.Item>
+                        </Col>
+                      </Row>
+                      <Form.List name="uncertainInputs">
+                        {(fields, { add, remove }) => (
+                          <>
+                            {fields.map(({ key, name }) => (
+                              <Row gutter={8} key={key} align="middle">
+                                <Col xs={24} sm={7}>
+                                  <Form.Item name={[name, 'input']} label="Input">
+                                    <Select options={uncertainInputOptions} />
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={24} sm={5}>
+                                  <Form.Item name={[name, 'distribution']} label="Distribution" initialValue="triangular">
+                                    <Select>
+                                      <Option value="normal">Normal</Option>
+                                      <Option value="uniform">Uniform</Option>
+                                      <Option value="triangular">Triangular</Option>
+                                    </Select>
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={8} sm={3}>
+                                  <Form.Item name={[name, 'low']} label="Low">
+                                    <InputNumber style={{ width: '100%' }} />
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={8} sm={4}>
+                                  <Form.Item name={[name, 'mostLikely']} label="Likely">
+                                    <InputNumber style={{ width: '100%' }} />
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={8} sm={3}>
+                                  <Form.Item name={[name, 'high']} label="High">
+                                    <InputNumber style={{ width: '100%' }} />
+                                  </Form.Item>
+                                </Col>
+                                <Col xs={24} sm={2}>
+                                  <MinusCircleOutlined onClick={() => remove(name)} />
+                                </Col>
+                              </Row>
+                            ))}
+                            <Button type="dashed" onClick={() => add()} icon={<PlusOutlined />} block>
+                              Add Uncertain Input
+                            </Button>
+                            <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                              Normal: low/high are P10/P90. Uniform: likely is ignored.
+                            </div>
+                          </>
+                        )}
+                      </Form.List>
                     </Card>
                   </Panel>
                 </Collapse>
@@ -595,7 +2397,30 @@ function App() {
 
           <Col xs={24} lg={12}>
             <Space direction="vertical" style={{ width: '100%' }}>
-              <Card title="Prediction Results">
+              <Card
+                title="Prediction Results"
+                extra={
+                  <Space size="small" wrap>
+                    <Select
+                      size="small"
+                      value={metric}
+                      onChange={(value) => setMetric(value)}
+                      style={{ width: 110 }}
+                      options={(Object.keys(METRIC_LABELS) as Metric[]).map(key => ({ label: METRIC_LABELS[key], value: key }))}
+                    />
+                    <Segmented
+                      size="small"
+                      value={granularity}
+                      onChange={(value) => setGranularity(value as Granularity)}
+                      options={[
+                        { label: 'Daily', value: 'daily' },
+                        { label: 'Weekly', value: 'weekly' },
+                        { label: 'Monthly', value: 'monthly' },
+                      ]}
+                    />
+                  </Space>
+                }
+              >
                   <div 
                     className="chart-container"
                     style={{ 
@@ -612,7 +2437,28 @@ function App() {
                       <Line 
                         key={`chart-${Date.now()}`}
                         data={chartData} 
-                        options={chartOptions}
+                        options={{
+                          ...chartOptions,
+                          plugins: {
+                            ...chartOptions.plugins,
+                            title: {
+                              ...chartOptions.plugins.title,
+                              text: `${METRIC_LABELS[metric]} Prediction - ${horizonMonths} Month Forecast`
+                            }
+                          },
+                          scales: {
+                            ...chartOptions.scales,
+                            y: {
+                              ...chartOptions.scales.y,
+                              ticks: {
+                                ...chartOptions.scales.y.ticks,
+                                callback: isRatioMetric(metric)
+                                  ? (value: any) => `${value}%`
+                                  : chartOptions.scales.y.ticks.callback
+                              }
+                            }
+                          }
+                        }}
                         width={undefined}
                         height={undefined}
                       />
@@ -648,17 +2494,19 @@ function App() {
                       <Line 
                         key={`delta-chart-${Date.now()}`}
                         data={{
-                          labels: Array.from({ length: 12 }, (_, i) => `Month ${i + 1}`),
-                          datasets: [
+                          labels: getPeriodLabels(getSeriesData('incrementalDAU').length),
+                          datasets: result.initiatives ? getInitiativeDatasets() : [
                             {
                               label: 'DAU Impact',
-                              data: getMonthlyData(result.incrementalDAU),
+                              data: getSeriesData('incrementalDAU'),
                               borderColor: isDarkMode ? '#52C41A' : '#389E0D',
                               backgroundColor: isDarkMode ? 'rgba(82, 196, 26, 0.1)' : 'rgba(56, 158, 13, 0.1)',
                               tension: 0.1,
                               borderWidth: 2,
                               fill: true,
-                            }
+                            },
+                            ...getBandDatasets('incrementalDAU', 'DAU Impact', isDarkMode ? 'rgba(82, 196, 26, 0.25)' : 'rgba(56, 158, 13, 0.2)'),
+                            ...getNoveltyDatasets(),
                           ]
                         }}
                         options={{
@@ -667,8 +2515,25 @@ function App() {
                             ...chartOptions.plugins,
                             title: {
                               ...chartOptions.plugins.title,
-                              text: 'Incremental DAU Impact - 12 Month Forecast'
+                              text: `Incremental DAU Impact - ${horizonMonths} Month Forecast`
                             }
+                          },
+                          scales: {
+                            ...chartOptions.scales,
+                            // Initiative contributions stack up to the portfolio total
+                            y: { ...chartOptions.scales.y, stacked: Boolean(result.initiatives) },
+                            ...(result.noveltyDecay && {
+                              noveltyAxis: {
+                                position: 'right' as const,
+                                min: 0,
+                                max: 100,
+                                ticks: {
+                                  ...chartOptions.scales.y.ticks,
+                                  callback: (value: any) => `${value}%`
+                                },
+                                grid: { drawOnChartArea: false }
+                              }
+                            })
                           }
                         }}
                         width={undefined}
@@ -689,35 +2554,130 @@ function App() {
                   </div>
                 </Card>
 
+                {result?.cells && (
+                  <Card
+                    title="DAU by Cell"
+                    extra={
+                      <Segmented
+                        size="small"
+                        value={cellSeries}
+                        onChange={(value) => setCellSeries(value as SeriesKey)}
+                        options={[
+                          { label: 'Impact', value: 'incrementalDAU' },
+                          { label: 'Baseline', value: 'baseline' },
+                          { label: 'With Initiative', value: 'withInitiative' },
+                        ]}
+                      />
+                    }
+                  >
+                    <div className="chart-container" style={{ height: '300px', position: 'relative', width: '100%', overflow: 'hidden' }}>
+                      <Line
+                        key={`cell-chart-${Date.now()}`}
+                        data={{
+                          labels: getPeriodLabels(getSeriesData(cellSeries).length),
+                          datasets: getCellDatasets(),
+                        }}
+                        options={{
+                          ...chartOptions,
+                          plugins: {
+                            ...chartOptions.plugins,
+                            title: {
+                              ...chartOptions.plugins.title,
+                              text: `DAU by Cell - ${horizonMonths} Month Forecast`
+                            }
+                          },
+                          scales: {
+                            ...chartOptions.scales,
+                            // Cells stack up to the total
+                            y: { ...chartOptions.scales.y, stacked: true }
+                          }
+                        }}
+                        width={undefined}
+                        height={undefined}
+                      />
+                    </div>
+                  </Card>
+                )}
+
                 <Card title="Summary Metrics">
                   {result && result.summary ? (
                     <>
                       <Row gutter={16}>
                         <Col xs={24} sm={12}>
-                          <Text strong>Total 12-Month Impact:</Text>
+                          <Text strong>Total {horizonMonths}-Month Impact:</Text>
                           <div className="technical-number">{(result.summary.totalImpact / 1000000).toFixed(2)}M DAU-days</div>
+                          {result.uncertainty && (
+                            <Text type="secondary" style={{ fontSize: '12px' }}>
+                              P10-P90: {(result.uncertainty.summary.totalImpact.p10 / 1000000).toFixed(2)}M - {(result.uncertainty.summary.totalImpact.p90 / 1000000).toFixed(2)}M
+                            </Text>
+                          )}
                         </Col>
                         <Col xs={24} sm={12}>
                           <Text strong>Peak Impact:</Text>
                           <div className="technical-number">{(result.summary.peakImpact / 1000000).toFixed(2)}M DAU</div>
+                          {result.uncertainty && (
+                            <Text type="secondary" style={{ fontSize: '12px' }}>
+                              P10-P90: {(result.uncertainty.summary.peakImpact.p10 / 1000000).toFixed(2)}M - {(result.uncertainty.summary.peakImpact.p90 / 1000000).toFixed(2)}M
+                            </Text>
+                          )}
                         </Col>
                       </Row>
                       <Row gutter={16} style={{ marginTop: 16 }}>
                         <Col xs={24} sm={12}>
                           <Text strong>Peak Month:</Text>
-                          <div className="technical-number">Month {result.summary.peakMonth}</div>
+                          <div className="technical-number">{result.calendar && result.summary.peakMonth > 0 ? result.calendar.monthStartDates[result.summary.peakMonth - 1] : `Month ${result.summary.peakMonth}`}</div>
                         </Col>
                         <Col xs={24} sm={12}>
                           <Text strong>Peak Lift:</Text>
                           <div className="technical-number">{result.summary.peakLiftPercent.toFixed(1)}%</div>
                         </Col>
                       </Row>
+                      {result.activeUsers && (
+                        <Row gutter={16} style={{ marginTop: 16 }}>
+                          {(['dauWau', 'dauMau'] as ActiveUserMetric[]).map(ratio => {
+                            const { baseline, withInitiative } = result.activeUsers![ratio];
+                            const last = baseline.length - 1;
+                            return (
+                              <Col xs={24} sm={12} key={ratio}>
+                                <Text strong>{METRIC_LABELS[ratio]} (final month):</Text>
+                                <div className="technical-number">{baseline[last].toFixed(1)}% → {withInitiative[last].toFixed(1)}%</div>
+                              </Col>
+                            );
+                          })}
+                        </Row>
+                      )}
                       {result.summary.breakdown && (
                         <>
                           <div style={{ marginTop: 24, marginBottom: 8 }}>
                             <Text strong>Impact Breakdown:</Text>
                           </div>
                           <Row gutter={16}>
+                            {Boolean(result.summary.breakdown.viralUsers) && (
+                              <Col xs={24}>
+                                <Text type="secondary">Viral Users:</Text>
+                                <div className="technical-number">
+                                  {((result.summary.breakdown.viralUsers || 0) / 1000000).toFixed(2)}M
+                                  {result.viral && (
+                                    <span style={{ fontSize: '12px', color: '#666', marginLeft: 8 }}>
+                                      ({(result.viral.incrementalInstalls / 1000).toFixed(0)}K invited installs)
+                                    </span>
+                                  )}
+                                </div>
+                              </Col>
+                            )}
+                            {Boolean(result.summary.breakdown.reactivatedUsers) && (
+                              <Col xs={24}>
+                                <Text type="secondary">Reactivated Users:</Text>
+                                <div className="technical-number">
+                                  {((result.summary.breakdown.reactivatedUsers || 0) / 1000000).toFixed(2)}M
+                                  {result.reactivation && (
+                                    <span style={{ fontSize: '12px', color: '#666', marginLeft: 8 }}>
+                                      ({(result.reactivation.totalReactivated / 1000).toFixed(0)}K users won back)
+                                    </span>
+                                  )}
+                                </div>
+                              </Col>
+                            )}
                             <Col xs={24} sm={8}>
                               <Text type="secondary">Existing Users:</Text>
                               <div className="technical-number">{(result.summary.breakdown.existingUsers / 1000000).toFixed(2)}M</div>
@@ -727,9 +2687,99 @@ function App() {
                               <div className="technical-number">{(result.summary.breakdown.newUsers / 1000000).toFixed(2)}M</div>
                             </Col>
                             <Col xs={24} sm={8}>
-                              <Text type="secondary">New Acquisition:</Text>
+                              <Text type="secondary">New Acquisition{result.summary.breakdown.cannibalizedAcquisition ? ' (net)' : ''}:</Text>
                               <div className="technical-number">{(result.summary.breakdown.newAcquisition / 1000000).toFixed(2)}M</div>
                             </Col>
+                            {Boolean(result.summary.breakdown.cannibalizedAcquisition) && (
+                              <>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Gross Acquisition:</Text>
+                                  <div className="technical-number">{((result.summary.breakdown.grossAcquisition || 0) / 1000000).toFixed(2)}M</div>
+                                </Col>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Cannibalized Organic:</Text>
+                                  <div className="technical-number">-{((result.summary.breakdown.cannibalizedAcquisition || 0) / 1000000).toFixed(2)}M</div>
+                                </Col>
+                              </>
+                            )}
+                          </Row>
+                        </>
+                      )}
+                      {result.acquisitionPlan && (
+                        <>
+                          <div style={{ marginTop: 24, marginBottom: 8 }}>
+                            <Text strong>Acquisition Plan:</Text>
+                          </div>
+                          <Row gutter={16}>
+                            <Col xs={24} sm={12}>
+                              <Text type="secondary">Total Installs:</Text>
+                              <div className="technical-number">{(result.acquisitionPlan.totalInstalls / 1000).toFixed(0)}K</div>
+                            </Col>
+                            <Col xs={24} sm={12}>
+                              <Text type="secondary">Peak Weekly Installs:</Text>
+                              <div className="technical-number">{(result.acquisitionPlan.peakWeeklyInstalls / 1000).toFixed(0)}K</div>
+                            </Col>
+                            {result.acquisitionPlan.displacedOrganicInstalls !== undefined && (
+                              <>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Displaced Organic Installs:</Text>
+                                  <div className="technical-number">{(result.acquisitionPlan.displacedOrganicInstalls / 1000).toFixed(0)}K</div>
+                                </Col>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Net Installs:</Text>
+                                  <div className="technical-number">{((result.acquisitionPlan.netInstalls || 0) / 1000).toFixed(0)}K</div>
+                                </Col>
+                              </>
+                            )}
+                            {result.acquisitionPlan.totalSpend !== undefined && (
+                              <>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Total Spend:</Text>
+                                  <div className="technical-number">{(result.acquisitionPlan.totalSpend / 1000).toFixed(0)}K</div>
+                                </Col>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Average CPI:</Text>
+                                  <div className="technical-number">{(result.acquisitionPlan.averageCpi || 0).toFixed(2)}</div>
+                                </Col>
+                              </>
+                            )}
+                          </Row>
+                        </>
+                      )}
+                      {result.acquisitionEconomics && (
+                        <>
+                          <div style={{ marginTop: 24, marginBottom: 8 }}>
+                            <Text strong>Acquisition ROI:</Text>
+                          </div>
+                          <Row gutter={16}>
+                            <Col xs={24} sm={12}>
+                              <Text type="secondary">Cost per Incremental DAU:</Text>
+                              <div className="technical-number">{formatCost(result.acquisitionEconomics.costPerIncrementalDAU)}</div>
+                            </Col>
+                            <Col xs={24} sm={12}>
+                              <Text type="secondary">Cost per Retained User:</Text>
+                              <div className="technical-number">
+                                {(['d30', 'd180', 'd360'] as const).map(day => `${day.toUpperCase()} ${formatCost(result.acquisitionEconomics?.costPerRetainedUser[day] ?? null)}`).join(' · ')}
+                              </div>
+                            </Col>
+                            {result.acquisitionEconomics.roiPercent !== undefined && (
+                              <>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">Payback:</Text>
+                                  <div className="technical-number">
+                                    {result.acquisitionEconomics.paybackDay !== null && result.acquisitionEconomics.paybackDay !== undefined
+                                      ? `Day ${result.acquisitionEconomics.paybackDay} of campaign`
+                                      : `Not within ${horizonMonths} months`}
+                                  </div>
+                                </Col>
+                                <Col xs={24} sm={12}>
+                                  <Text type="secondary">ROI over {horizonMonths} Months:</Text>
+                                  <div className="technical-number">
+                                    {result.acquisitionEconomics.roiPercent !== null ? `${result.acquisitionEconomics.roiPercent.toFixed(1)}%` : 'n/a'}
+                                  </div>
+                                </Col>
+                              </>
+                            )}
                           </Row>
                         </>
                       )}
@@ -740,12 +2790,14 @@ function App() {
                           </div>
                           <Row gutter={16}>
                             <Col xs={24} sm={12}>
-                              <Text type="secondary">New Users:</Text>
+                              <Text type="secondary">New Users ({result.retentionCurves.baseNewUser.type}):</Text>
                               <div className="technical-number">{result.retentionCurves.baseNewUser.rSquared?.toFixed(3) || 'N/A'}</div>
+                              {renderResiduals(result.retentionCurves.baseNewUser.residuals)}
                             </Col>
                             <Col xs={24} sm={12}>
-                              <Text type="secondary">Existing Users:</Text>
+                              <Text type="secondary">Existing Users ({result.retentionCurves.baseExistingUser.type}):</Text>
                               <div className="technical-number">{result.retentionCurves.baseExistingUser.rSquared?.toFixed(3) || 'N/A'}</div>
+                              {renderResiduals(result.retentionCurves.baseExistingUser.residuals)}
                             </Col>
                           </Row>
                         </>
@@ -764,6 +2816,118 @@ function App() {
                     </div>
                   )}
                 </Card>
+
+                {result?.revenue && (
+                  <Card title="Revenue">
+                    <Row gutter={16}>
+                      <Col xs={24} sm={12}>
+                        <Text strong>Incremental Revenue:</Text>
+                        <div className="technical-number">{formatCurrency(result.revenue.summary.totalIncremental)}</div>
+                        <Text type="secondary" style={{ fontSize: '12px' }}>
+                          {result.revenue.summary.liftPercent.toFixed(1)}% over {horizonMonths} months
+                        </Text>
+                      </Col>
+                      <Col xs={24} sm={12}>
+                        <Text strong>Baseline Revenue:</Text>
+                        <div className="technical-number">{formatCurrency(result.revenue.summary.totalBaseline)}</div>
+                        <Text type="secondary" style={{ fontSize: '12px' }}>
+                          {formatCurrency(result.revenue.summary.totalWithInitiative)} with initiative
+                        </Text>
+                      </Col>
+                    </Row>
+                    {result.revenue.ltv && (
+                      <Row gutter={16} style={{ marginTop: 16 }}>
+                        <Col xs={24} sm={12}>
+                          <Text strong>{result.revenue.ltv.days}-Day LTV per Install:</Text>
+                          <div className="technical-number">${result.revenue.ltv.perInstall.toFixed(2)}</div>
+                          <Text type="secondary" style={{ fontSize: '12px' }}>
+                            {formatCurrency(result.revenue.ltv.cohortRevenue)} from {result.revenue.ltv.netInstalls.toLocaleString()} net installs
+                          </Text>
+                        </Col>
+                        {result.revenue.ltv.spend !== undefined && (
+                          <Col xs={24} sm={12}>
+                            <Text strong>Return on Ad Spend:</Text>
+                            <div className="technical-number">
+                              {result.revenue.ltv.roas !== null && result.revenue.ltv.roas !== undefined ? `${result.revenue.ltv.roas.toFixed(2)}x` : 'n/a'}
+                            </div>
+                            <Text type="secondary" style={{ fontSize: '12px' }}>
+                              on {formatCurrency(result.revenue.ltv.spend)} spend
+                            </Text>
+                          </Col>
+                        )}
+                      </Row>
+                    )}
+                  </Card>
+                )}
+
+                <Card
+                  title="Sensitivity"
+                  extra={
+                    <Space size="small" wrap>
+                      <Segmented
+                        size="small"
+                        value={sensitivityMetric}
+                        onChange={(value) => setSensitivityMetric(value as SensitivityMetric)}
+                        options={[
+                          { label: 'Total Impact', value: 'totalImpact' },
+                          { label: 'Peak Impact', value: 'peakImpact' },
+                        ]}
+                      />
+                      <Button size="small" onClick={handleSensitivity} loading={sensitivityLoading}>Run</Button>
+                    </Space>
+                  }
+                >
+                  {sensitivity ? (
+                    <div className="chart-container" style={{ height: `${Math.max(200, sensitivity.inputs.length * 40 + 80)}px`, position: 'relative', width: '100%' }}>
+                      <Bar
+                        data={{
+                          labels: sensitivity.inputs.map(sensitivityLabel),
+                          datasets: [
+                            {
+                              label: 'Input Lowered',
+                              data: sensitivity.inputs.map(row => row.low[`${sensitivityMetric}Change`]),
+                              backgroundColor: isDarkMode ? 'rgba(255, 120, 117, 0.8)' : 'rgba(207, 19, 34, 0.7)',
+                            },
+                            {
+                              label: 'Input Raised',
+                              data: sensitivity.inputs.map(row => row.high[`${sensitivityMetric}Change`]),
+                              backgroundColor: isDarkMode ? 'rgba(82, 196, 26, 0.8)' : 'rgba(56, 158, 13, 0.7)',
+                            },
+                          ],
+                        }}
+                        options={{
+                          responsive: true,
+                          maintainAspectRatio: false,
+                          animation: { duration: 0 },
+                          indexAxis: 'y' as const,
+                          plugins: {
+                            legend: chartOptions.plugins.legend,
+                            title: {
+                              ...chartOptions.plugins.title,
+                              text: `Change in ${sensitivityMetric === 'totalImpact' ? 'Total Impact (DAU-days)' : 'Peak Impact (DAU)'}`
+                            }
+                          },
+                          scales: {
+                            // Both bars of an input start at zero on the same row
+                            y: { ...chartOptions.scales.x, stacked: true },
+                            x: {
+                              ...chartOptions.scales.x,
+                              stacked: false,
+                              ticks: {
+                                ...chartOptions.scales.x.ticks,
+                                callback: (value: any) => Intl.NumberFormat(undefined, { notation: 'compact' }).format(value)
+                              }
+                            },
+                          }
+                        }}
+                      />
+                    </div>
+                  ) : (
+                    <div style={{ fontSize: '12px', color: '#666' }}>
+                      Run to see how much each input of the initiative above moves the forecast
+                    </div>
+                  )}
+                </Card>
               </Space>
           </Col>
         </Row>
@@ -788,11 +2952,11 @@ function App() {
             {!editingBaseline && baselineData && (
               <Row gutter={24}>
                 <Col xs={24} lg={12}>
-                  <Card title="Current DAU by Segment/Platform">
+                  <Card title="Current DAU by Dimension">
                     <Row gutter={16}>
                       {Object.entries(baselineData.currentDAU).map(([key, value]) => (
                         <Col xs={12} sm={12} key={key}>
-                          <Text type="secondary">{key.replace('_', ' ').toUpperCase()}:</Text>
+                          <Text type="secondary">{dimensionKeyLabel(key)}:</Text>
                           <div className="technical-number">{(value as number / 1000000).toFixed(2)}M</div>
                         </Col>
                       ))}
@@ -805,11 +2969,11 @@ function App() {
                 </Col>
                 
                 <Col xs={24} lg={12}>
-                  <Card title="Weekly Acquisitions by Segment/Platform">
+                  <Card title="Weekly Acquisitions by Dimension">
                     <Row gutter={16}>
                       {Object.entries(baselineData.weeklyAcquisitions).map(([key, value]) => (
                         <Col xs={12} sm={12} key={key}>
-                          <Text type="secondary">{key.replace('_', ' ').toUpperCase()}:</Text>
+                          <Text type="secondary">{dimensionKeyLabel(key)}:</Text>
                           <div className="technical-number">{(value as number / 1000).toFixed(0)}K/week</div>
                         </Col>
                       ))}
@@ -832,138 +2996,145 @@ function App() {
                 layout="vertical"
                 onFinish={handleSaveBaseline}
               >
+                <Card title="Dimensions" style={{ marginBottom: 24 }}>
+                  <Form.List name="dimensionList">
+                    {(fields, { add, remove }) => (
+                      <>
+                        {fields.map(({ key, name }) => (
+                          <Row gutter={8} key={key} align="middle">
+                            <Col xs={8}>
+                              <Form.Item name={[name, 'name']} label="Dimension" rules={[{ required: true, whitespace: true, message: 'Enter a dimension name' }]}>
+                                <Input placeholder="region" />
+                              </Form.Item>
+                            </Col>
+                            <Col xs={14}>
+                              <Form.Item
+                                name={[name, 'values']}
+                                label="Values (comma-separated)"
+                                rules={[
+                                  { required: true, whitespace: true, message: 'Enter at least one value' },
+                                  { pattern: /^[^_]*$/, message: "Values cannot contain '_'" },
+                                ]}
+                              >
+                                <Input placeholder="na, emea, apac" />
+                              </Form.Item>
+                            </Col>
+                            <Col xs={2}>
+                              {fields.length > 1 && <MinusCircleOutlined onClick={() => remove(name)} />}
+                            </Col>
+                          </Row>
+                        ))}
+                        <Button type="dashed" onClick={() => add({ name: '', values: '' })} icon={<PlusOutlined />}>
+                          Add Dimension
+                        </Button>
+                      </>
+                    )}
+                  </Form.List>
+                </Card>
+
                 <Row gutter={24}>
                   <Col xs={24} lg={12}>
-                    <Card title="Current DAU by Segment/Platform">
+                    <Card title="Current DAU by Dimension">
                       <Row gutter={16}>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['currentDAU', 'commercial_ios']} label="Commercial iOS">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['currentDAU', 'commercial_android']} label="Commercial Android">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['currentDAU', 'consumer_ios']} label="Consumer iOS">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['currentDAU', 'consumer_android']} label="Consumer Android">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
+                        {editedKeys.map(key => (
+                          <Col xs={24} sm={12} key={key}>
+                            <Form.Item name={['currentDAU', key]} label={dimensionKeyLabel(key)}>
+                              <InputNumber style={{ width: '100%' }} min={0} />
+                            </Form.Item>
+                          </Col>
+                        ))}
                       </Row>
                     </Card>
                   </Col>
                   
                   <Col xs={24} lg={12}>
-                    <Card title="Weekly Acquisitions by Segment/Platform">
+                    <Card title="Weekly Acquisitions by Dimension">
                       <Row gutter={16}>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['weeklyAcquisitions', 'commercial_ios']} label="Commercial iOS">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['weeklyAcquisitions', 'commercial_android']} label="Commercial Android">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['weeklyAcquisitions', 'consumer_ios']} label="Consumer iOS">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={12}>
-                          <Form.Item name={['weeklyAcquisitions', 'consumer_android']} label="Consumer Android">
-                            <InputNumber style={{ width: '100%' }} min={0} />
-                          </Form.Item>
-                        </Col>
+                        {editedKeys.map(key => (
+                          <Col xs={24} sm={12} key={key}>
+                            <Form.Item name={['weeklyAcquisitions', key]} label={dimensionKeyLabel(key)}>
+                              <InputNumber style={{ width: '100%' }} min={0} />
+                            </Form.Item>
+                          </Col>
+                        ))}
                       </Row>
                     </Card>
                   </Col>
                 </Row>
                 
+                <Card
+                  title="Calibrate From Cohort Data"
+                  style={{ marginTop: 24 }}
+                  extra={
+                    <Upload accept=".csv,.json" showUploadList={false} beforeUpload={importCohortData}>
+                      <Button icon={<UploadOutlined />}>Import CSV or JSON</Button>
+                    </Upload>
+                  }
+                >
+                  <div style={{ fontSize: '12px', color: '#666' }}>
+                    CSV columns install_date, cohort_size, user_type (new or existing) and active users per day since install as d1, d7, ...;
+                    the weighted checkpoints replace the shared curves below
+                  </div>
+                  {calibration && (
+                    <Row gutter={24} style={{ marginTop: 16 }}>
+                      {(['new', 'existing'] as const).map(userType => {
+                        const fit = calibration.result[userType];
+                        return fit && (
+                          <Col xs={24} lg={12} key={userType}>
+                            <Text strong>{userType === 'new' ? 'New Users' : 'Existing Users'}:</Text>
+                            <div className="technical-number">
+                              {fit.cohorts} cohorts, {fit.sampleSize.toLocaleString()} users, R² {fit.curve.rSquared.toFixed(3)} ({fit.curve.type})
+                            </div>
+                            {fit.checkpoints.map(checkpoint => (
+                              <div key={checkpoint.day} style={{ fontSize: '12px', color: '#666' }}>
+                                D{checkpoint.day}: {checkpoint.retention.toFixed(2)}% from {checkpoint.cohorts} cohorts, {checkpoint.sampleSize.toLocaleString()} users
+                              </div>
+                            ))}
+                          </Col>
+                        );
+                      })}
+                    </Row>
+                  )}
+                </Card>
+
                 <Row gutter={24} style={{ marginTop: 24 }}>
                   <Col xs={24} lg={12}>
-                    <Card title="Retention Curves - New Users (%)">
-                      <Row gutter={16}>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'new', 'd1']} label="D1">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'new', 'd7']} label="D7">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'new', 'd14']} label="D14">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'new', 'd28']} label="D28">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'new', 'd360']} label="D360">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'new', 'd720']} label="D720">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                      </Row>
+                    <Card title="Retention Curves - New Users (%)" extra={<Button size="small" onClick={() => checkCurveFit('new')}>Check Fit</Button>}>
+                      {renderCheckpointList(['retentionCurves', 'new'])}
+                      {renderFitDiagnostics(fitDiagnostics.new)}
                     </Card>
                   </Col>
                   
                   <Col xs={24} lg={12}>
-                    <Card title="Retention Curves - Existing Users (%)">
-                      <Row gutter={16}>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'existing', 'd1']} label="D1">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'existing', 'd7']} label="D7">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'existing', 'd14']} label="D14">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'existing', 'd28']} label="D28">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'existing', 'd360']} label="D360">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                        <Col xs={24} sm={8}>
-                          <Form.Item name={['retentionCurves', 'existing', 'd720']} label="D720">
-                            <InputNumber style={{ width: '100%' }} min={0} max={100} step={0.1} />
-                          </Form.Item>
-                        </Col>
-                      </Row>
+                    <Card title="Retention Curves - Existing Users (%)" extra={<Button size="small" onClick={() => checkCurveFit('existing')}>Check Fit</Button>}>
+                      {renderCheckpointList(['retentionCurves', 'existing'])}
+                      {renderFitDiagnostics(fitDiagnostics.existing)}
                     </Card>
                   </Col>
                 </Row>
                 
+                <Card title="Retention Curves by Cell (%)" style={{ marginTop: 24 }}>
+                  <div style={{ fontSize: '12px', color: '#666', marginBottom: 8 }}>
+                    Cells with no checkpoints for a user type use the shared curve above
+                  </div>
+                  <Collapse>
+                    {editedKeys.map(key => (
+                      <Panel header={dimensionKeyLabel(key)} key={key} forceRender>
+                        <Row gutter={24}>
+                          <Col xs={24} lg={12}>
+                            <Text strong>New Users</Text>
+                            {renderCheckpointList(['retentionCurves', 'cells', key, 'new'])}
+                          </Col>
+                          <Col xs={24} lg={12}>
+                            <Text strong>Existing Users</Text>
+                            {renderCheckpointList(['retentionCurves', 'cells', key, 'existing'])}
+                          </Col>
+                        </Row>
+                      </Panel>
+                    ))}
+                  </Collapse>
+                </Card>
+                
                 <div style={{ marginTop: 24, textAlign: 'center' }}>
                   <Button type="primary" htmlType="submit" size="large">
                     Save Baseline Data
@@ -977,11 +3148,11 @@ function App() {
                 <Col xs={24} lg={12}>
                   <Card title="Baseline Retention Curves - New Users">
                     <Row gutter={16}>
-                      {Object.entries(baselineData.retentionCurves.new).map(([day, value]) => (
+                      {baselineData.retentionCurves.new.map(({ day, retention }: RetentionCheckpoint) => (
                         <Col xs={12} sm={8} md={4} key={day}>
                           <div>
-                            <Text type="secondary">{day.toUpperCase()}:</Text>
-                            <div className="technical-number">{value as number}%</div>
+                            <Text type="secondary">D{day}:</Text>
+                            <div className="technical-number">{retention}%</div>
                           </div>
                         </Col>
                       ))}
@@ -992,11 +3163,11 @@ function App() {
                 <Col xs={24} lg={12}>
                   <Card title="Baseline Retention Curves - Existing Users">
                     <Row gutter={16}>
-                      {Object.entries(baselineData.retentionCurves.existing).map(([day, value]) => (
+                      {baselineData.retentionCurves.existing.map(({ day, retention }: RetentionCheckpoint) => (
                         <Col xs={12} sm={8} md={4} key={day}>
                           <div>
-                            <Text type="secondary">{day.toUpperCase()}:</Text>
-                            <div className="technical-number">{value as number}%</div>
+                            <Text type="secondary">D{day}:</Text>
+                            <div className="technical-number">{retention}%</div>
                           </div>
                         </Col>
                       ))}
@@ -1006,6 +3177,25 @@ function App() {
               </Row>
             )}
             
+            {baselineData && Object.keys(baselineData.retentionCurves.cells).length > 0 && (
+              <Row gutter={24} style={{ marginTop: 24 }}>
+                <Col xs={24}>
+                  <Card title="Cell Retention Curves">
+                    {Object.entries(baselineData.retentionCurves.cells as CellRetentionCurves).map(([key, curves]) => (
+                      <div key={key} style={{ marginBottom: 8 }}>
+                        <Text strong>{dimensionKeyLabel(key)}</Text>
+                        {(['new', 'existing'] as const).map(userType => curves[userType] && (
+                          <div key={userType} className="technical-number" style={{ fontSize: '12px' }}>
+                            {userType === 'new' ? 'New' : 'Existing'}: {curves[userType]!.map(({ day, retention }) => `D${day} ${retention}%`).join(' · ')}
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </Card>
+                </Col>
+              </Row>
+            )}
+            
             {baselineData && (
               <Row gutter={24} style={{ marginTop: 24 }}>
                 <Col xs={24}>
@@ -1013,17 +3203,41 @@ function App() {
                     <Row gutter={16}>
                       <Col xs={24} sm={8}>
                         <Text type="secondary">Existing User Retention:</Text>
-                        <div className="technical-number">1 - 0.0217×e^(-0.0131×t)</div>
-                        <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
-                          ~98% retention by day 7
-                        </div>
+                        {result?.existingUserDecay ? (
+                          <>
+                            <div className="technical-number">{result.existingUserDecay.formula}</div>
+                            <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+                              {result.existingUserDecay.monthlyChurn.toFixed(2)}% monthly churn
+                              {result.existingUserDecay.method === 'fitted' ? ', fitted from existing-user retention' : ', from the chosen churn rate'}
+                            </div>
+                          </>
+                        ) : (
+                          <>
+                            <div className="technical-number">e^(-λ×t)</div>
+                            <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+                              λ is fitted from existing-user retention or set by a monthly churn rate; run a forecast to see it
+                            </div>
+                          </>
+                        )}
                       </Col>
                       <Col xs={24} sm={8}>
                         <Text type="secondary">New User Model:</Text>
-                        <div className="technical-number">Power Curve: retention(t) = a × t^(-b)</div>
-                        <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
-                          Fitted from retention data
-                        </div>
+                        {newUserModel ? (
+                          <>
+                            <div className="technical-number">{newUserModel.label}: {newUserModel.formula}</div>
+                            <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+                              {newUserModel.params.map(param => `${param} = ${Number(newUserCurve[param]).toPrecision(3)}`).join(', ')}
+                              {newUserCurve.selection ? `, selected by ${newUserCurve.selection.criterion.toUpperCase()}` : ', fitted from retention data'}
+                            </div>
+                          </>
+                        ) : (
+                          <>
+                            <div className="technical-number">Power Curve: retention(t) = a × t^(-b)</div>
+                            <div style={{ fontSize: '11px', color: '#666', marginTop: '4px' }}>
+                              Fitted from retention data; run a forecast to see the selected family
+                            </div>
+                          </>
+                        )}
                       </Col>
                       <Col xs={24} sm={8}>
                         <Text type="secondary">Cohort Analysis:</Text>
@@ -1038,6 +3252,188 @@ function App() {
               </Row>
             )}
           </TabPane>
+          <TabPane tab="Backtest" key="3">
+            <Row gutter={[24, 24]}>
+              <Col xs={24} lg={8}>
+                <Card title="Backtest Setup">
+                  <Space direction="vertical" style={{ width: '100%' }}>
+                    <div style={{ fontSize: '12px', color: '#666' }}>
+                      Replays the initiative or portfolio from the DAU Prediction tab from the first day of the actuals
+                    </div>
+                    <Text strong>Actual DAU</Text>
+                    <Upload accept=".csv,.json" showUploadList={false} beforeUpload={importBacktestActuals}>
+                      <Button icon={<UploadOutlined />}>Import CSV or JSON</Button>
+                    </Upload>
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                      {backtestActuals ? backtestActuals.fileName : 'date,dau rows or a JSON list of daily values'}
+                    </Text>
+                    <Text strong>Baseline at Start</Text>
+                    <Space>
+                      <Upload accept=".json" showUploadList={false} beforeUpload={importBacktestBaseline}>
+                        <Button icon={<UploadOutlined />}>Import JSON</Button>
+                      </Upload>
+                      {backtestBaseline && <Button onClick={() => setBacktestBaseline(null)}>Clear</Button>}
+                    </Space>
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                      {backtestBaseline ? backtestBaseline.fileName : 'Optional; uses the Baseline Data tab otherwise'}
+                    </Text>
+                    <Text strong>Run Name</Text>
+                    <Input
+                      placeholder={backtestActuals ? backtestActuals.fileName : 'Backtest name'}
+                      value={backtestName}
+                      onChange={(event) => setBacktestName(event.target.value)}
+                    />
+                    <Button type="primary" block onClick={handleBacktest} loading={backtestLoading} disabled={!backtestActuals}>
+                      Run Backtest
+                    </Button>
+                  </Space>
+                </Card>
+              </Col>
+              <Col xs={24} lg={16}>
+                <Space direction="vertical" size="large" style={{ width: '100%' }}>
+                  <Card title="Forecast vs Actual">
+                    {backtest ? (
+                      <>
+                        <div className="chart-container" style={{ height: '400px', position: 'relative', width: '100%' }}>
+                          <Line
+                            data={{
+                              labels: backtest.dates || backtest.actual.map((_, index) => `Day ${index + 1}`),
+                              datasets: [
+                                {
+                                  label: 'Actual DAU',
+                                  data: backtest.actual,
+                                  borderColor: isDarkMode ? '#FFFFFF' : '#000000',
+                                  backgroundColor: 'transparent',
+                                  tension: 0.1,
+                                  borderWidth: 2,
+                                },
+                                {
+                                  label: 'Forecast DAU',
+                                  data: backtest.forecast,
+                                  borderColor: isDarkMode ? '#1890FF' : '#0050B3',
+                                  backgroundColor: 'transparent',
+                                  tension: 0.1,
+                                  borderWidth: 2,
+                                  borderDash: [5, 5],
+                                },
+                              ]
+                            }}
+                            options={{
+                              ...chartOptions,
+                              elements: { point: { radius: 0 } },
+                              plugins: {
+                                ...chartOptions.plugins,
+                                title: {
+                                  ...chartOptions.plugins.title,
+                                  text: `Backtest - ${backtest.days} Days`
+                                }
+                              }
+                            }}
+                          />
+                        </div>
+                        <Row gutter={16} style={{ marginTop: 16 }}>
+                          <Col xs={24} sm={8}>
+                            <Text strong>MAPE:</Text>
+                            <div className="technical-number">{backtest.metrics.mape !== null ? `${backtest.metrics.mape.toFixed(2)}%` : 'n/a'}</div>
+                          </Col>
+                          <Col xs={24} sm={8}>
+                            <Text strong>Bias:</Text>
+                            <div className="technical-number">{Math.round(backtest.metrics.bias).toLocaleString()} DAU</div>
+                            {backtest.metrics.biasPercent !== null && (
+                              <Text type="secondary" style={{ fontSize: '12px' }}>
+                                {backtest.metrics.biasPercent > 0 ? '+' : ''}{backtest.metrics.biasPercent.toFixed(2)}% of actual
+                              </Text>
+                            )}
+                          </Col>
+                          <Col xs={24} sm={8}>
+                            <Text strong>RMSE:</Text>
+                            <div className="technical-number">{Math.round(backtest.metrics.rmse).toLocaleString()} DAU</div>
+                          </Col>
+                        </Row>
+                      </>
+                    ) : (
+                      <div style={{ fontSize: '12px', color: '#666' }}>
+                        Import actual DAU and run a backtest to compare it with the forecast
+                      </div>
+                    )}
+                  </Card>
+                  <Card title="Saved Backtests">
+                    {backtestRuns.length > 0 ? (
+                      <>
+                        <List
+                          size="small"
+                          dataSource={[...backtestRuns].reverse()}
+                          renderItem={(run) => (
+                            <List.Item
+                              actions={[
+                                <MinusCircleOutlined
+                                  key="remove"
+                                  onClick={() => saveBacktestRuns(backtestRuns.filter(entry => entry.id !== run.id))}
+                                />
+                              ]}
+                            >
+                              {run.name}{' '}
+                              <Text type="secondary">
+                                ({new Date(run.runAt).toLocaleDateString()}, {run.startDate ? `from ${run.startDate}, ` : ''}{run.days} days)
+                              </Text>
+                              <span className="technical-number" style={{ marginLeft: 'auto' }}>
+                                MAPE {run.metrics.mape !== null ? `${run.metrics.mape.toFixed(2)}%` : 'n/a'}
+                              </span>
+                            </List.Item>
+                          )}
+                        />
+                        {backtestRuns.length > 1 && (
+                          <div className="chart-container" style={{ height: '250px', position: 'relative', width: '100%', marginTop: 16 }}>
+                            <Line
+                              data={{
+                                labels: backtestRuns.map(run => run.name),
+                                datasets: [
+                                  {
+                                    label: 'MAPE',
+                                    data: backtestRuns.map(run => run.metrics.mape),
+                                    borderColor: isDarkMode ? '#FAAD14' : '#D48806',
+                                    backgroundColor: 'transparent',
+                                    tension: 0.1,
+                                    borderWidth: 2,
+                                  },
+                                ]
+                              }}
+                              options={{
+                                ...chartOptions,
+                                elements: { point: { radius: 3 } },
+                                plugins: {
+                                  ...chartOptions.plugins,
+                                  title: {
+                                    ...chartOptions.plugins.title,
+                                    text: 'Forecast Accuracy Over Time'
+                                  }
+                                },
+                                scales: {
+                                  ...chartOptions.scales,
+                                  y: {
+                                    ...chartOptions.scales.y,
+                                    beginAtZero: true,
+                                    ticks: {
+                                      ...chartOptions.scales.y.ticks,
+                                      callback: (value: any) => `${value}%`
+                                    }
+                                  }
+                                }
+                              }}
+                            />
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <div style={{ fontSize: '12px', color: '#666' }}>
+                        Each backtest run is saved here to track forecast accuracy over time
+                      </div>
+                    )}
+                  </Card>
+                </Space>
+              </Col>
+            </Row>
+          </TabPane>
         </Tabs>
       </Content>
     </Layout>